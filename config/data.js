@@ -2,16 +2,16 @@
 // AI Voice Assistant Configuration
 // ============================================
 
-// System prompts define the AI's personality and behavior
-const systemPrompts = {
-    // Default helpful assistant
-    default:`Skylar - Skillora Design Academy Virtual Assistant
+const path = require('path');
+
+// Shared admissions prompt - personas change the assistant's name and focus
+const admissionsPrompt = ({ name, focus }) => `${name} - Skillora Design Academy Virtual Assistant
 
 IDENTITY
-You are "Skylar," the official virtual assistant for Skillora Design Academy in Pune.
+You are "${name}," the official virtual assistant for Skillora Design Academy in Pune.
 
 MISSION
-Your mission is to assist prospective students and visitors with clarity, creativity, and encouragement. You represent the academy's values of innovation and student success.
+Your mission is to assist prospective students and visitors with clarity, creativity, and encouragement. You represent the academy's values of innovation and student success.${focus ? `\n${focus}` : ''}
 
 COMMUNICATION PROTOCOL
 1. Language: Always respond in the same language the user uses for their question (e.g., English, Marathi, Hindi).
@@ -23,8 +23,9 @@ COMMUNICATION PROTOCOL
 CORE RESPONSIBILITIES
 1. Course Information: Provide details on Skillora's courses (Graphic Design, UI/UX, etc.), duration, curriculum, and course structure.
 2. Admissions Guidance: Explain the admission process, eligibility criteria, fee structure, and upcoming batch dates.
-3. Academy Logistics: Share information about the campus location in Pune, contact numbers, timings, and how to schedule a visit.
+3. Academy Logistics: Share information about the campus location in Pune, contact numbers, timings, and book campus visits.
 4. Guidance on Course Selection: If a user describes their interests (e.g., "I like drawing" or "I'm interested in websites"), suggest relevant courses that align with those interests.
+5. Campus Visits: When a user wants to visit, use the list_visit_slots tool and offer at most 3 options. Once they pick one, read the date and time back and ask them to confirm. Only call book_campus_visit after they clearly confirm, then confirm the booking in their language.
 
 STRICT PROHIBITIONS & LIMITATIONS
 * CRITICAL: NEVER guarantee a specific job, salary, or admission outcome.
@@ -33,13 +34,27 @@ STRICT PROHIBITIONS & LIMITATIONS
 * PRIVACY: Do not ask for sensitive personal data like bank details or detailed academic transcripts.
 
 KNOWLEDGE BASE
-* Location: Near Bhapkar Petrol Pump, Adinath Society, Pune-Satara Road, Pune.
-* Key Features: 100% Placement Guarantee, Personalized Learning (1:8 student-teacher ratio), Industry Mentors, Live Projects.
-* Courses Offered: Graphic Design, UI/UX Design, Fashion Design, Interior Design, Animation & VFX, Game Design.
-* Founder: Pooja M., Design Educator.
-* Admissions: The process is available via the website or by contacting the admissions team.
-* Information Retrieval: You can access public online information from the official website (skilloraacademy.com) to find current details.`
+* Facts about courses, curriculum, duration, fees, eligibility, batch dates, the campus and the academy are provided in a CATALOG CONTEXT message with each question.
+* Use ONLY the catalog context for these facts. Never invent, estimate or round fees, durations or dates.
+* If the catalog context does not contain the answer, say the admissions team will confirm it.
+* Admissions: The process is available via the website or by contacting the admissions team.`;
 
+// System prompts define the AI's personality and behavior
+const systemPrompts = {
+    // Default helpful assistant
+    default: admissionsPrompt({ name: 'Skylar' }),
+
+    // Digital design programs desk
+    digital: admissionsPrompt({
+        name: 'Aarav',
+        focus: 'You are the advisor for our digital programs: UI/UX Design, Graphic Design, Animation & VFX and Game Design. For any other program, say our main admissions team will help and share the website.'
+    }),
+
+    // Fashion and interiors desk
+    lifestyle: admissionsPrompt({
+        name: 'Meera',
+        focus: 'You are the advisor for our Fashion Design and Interior Design programs. For any other program, say our main admissions team will help and share the website.'
+    }),
 };
 
 // Voice configurations for Sarvam AI Bulbul TTS
@@ -50,6 +65,7 @@ const voiceConfigs = {
     anushka: {
         model: 'bulbul:v2',
         speaker: 'anushka',
+        gender: 'female',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -60,6 +76,7 @@ const voiceConfigs = {
     manisha: {
         model: 'bulbul:v2',
         speaker: 'manisha',
+        gender: 'female',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -70,6 +87,7 @@ const voiceConfigs = {
     vidya: {
         model: 'bulbul:v2',
         speaker: 'vidya',
+        gender: 'female',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -80,6 +98,7 @@ const voiceConfigs = {
     isha: {
         model: 'bulbul:v2',
         speaker: 'isha',
+        gender: 'female',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -90,6 +109,7 @@ const voiceConfigs = {
     ritu: {
         model: 'bulbul:v2',
         speaker: 'ritu',
+        gender: 'female',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -100,6 +120,7 @@ const voiceConfigs = {
     sakshi: {
         model: 'bulbul:v2',
         speaker: 'sakshi',
+        gender: 'female',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -110,6 +131,7 @@ const voiceConfigs = {
     priya: {
         model: 'bulbul:v2',
         speaker: 'priya',
+        gender: 'female',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -120,6 +142,7 @@ const voiceConfigs = {
     neha: {
         model: 'bulbul:v2',
         speaker: 'neha',
+        gender: 'female',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -130,6 +153,7 @@ const voiceConfigs = {
     pooja: {
         model: 'bulbul:v2',
         speaker: 'pooja',
+        gender: 'female',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -140,6 +164,7 @@ const voiceConfigs = {
     simran: {
         model: 'bulbul:v2',
         speaker: 'simran',
+        gender: 'female',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -150,6 +175,7 @@ const voiceConfigs = {
     kavya: {
         model: 'bulbul:v2',
         speaker: 'kavya',
+        gender: 'female',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -160,6 +186,7 @@ const voiceConfigs = {
     anjali: {
         model: 'bulbul:v2',
         speaker: 'anjali',
+        gender: 'female',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -170,6 +197,7 @@ const voiceConfigs = {
     sneha: {
         model: 'bulbul:v2',
         speaker: 'sneha',
+        gender: 'female',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -180,6 +208,7 @@ const voiceConfigs = {
     arya: {
         model: 'bulbul:v2',
         speaker: 'arya',
+        gender: 'female',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -190,6 +219,7 @@ const voiceConfigs = {
     sunita: {
         model: 'bulbul:v2',
         speaker: 'sunita',
+        gender: 'female',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -200,6 +230,7 @@ const voiceConfigs = {
     tara: {
         model: 'bulbul:v2',
         speaker: 'tara',
+        gender: 'female',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -210,6 +241,7 @@ const voiceConfigs = {
     kriti: {
         model: 'bulbul:v2',
         speaker: 'kriti',
+        gender: 'female',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -221,6 +253,7 @@ const voiceConfigs = {
     abhilash: {
         model: 'bulbul:v2',
         speaker: 'abhilash',
+        gender: 'male',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -231,6 +264,7 @@ const voiceConfigs = {
     karun: {
         model: 'bulbul:v2',
         speaker: 'karun',
+        gender: 'male',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -241,6 +275,7 @@ const voiceConfigs = {
     hitesh: {
         model: 'bulbul:v2',
         speaker: 'hitesh',
+        gender: 'male',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -251,6 +286,7 @@ const voiceConfigs = {
     aditya: {
         model: 'bulbul:v2',
         speaker: 'aditya',
+        gender: 'male',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -261,6 +297,7 @@ const voiceConfigs = {
     chirag: {
         model: 'bulbul:v2',
         speaker: 'chirag',
+        gender: 'male',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -271,6 +308,7 @@ const voiceConfigs = {
     harsh: {
         model: 'bulbul:v2',
         speaker: 'harsh',
+        gender: 'male',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -281,6 +319,7 @@ const voiceConfigs = {
     rahul: {
         model: 'bulbul:v2',
         speaker: 'rahul',
+        gender: 'male',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -291,6 +330,7 @@ const voiceConfigs = {
     rohan: {
         model: 'bulbul:v2',
         speaker: 'rohan',
+        gender: 'male',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -301,6 +341,7 @@ const voiceConfigs = {
     kiran: {
         model: 'bulbul:v2',
         speaker: 'kiran',
+        gender: 'male',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -311,6 +352,7 @@ const voiceConfigs = {
     vikram: {
         model: 'bulbul:v2',
         speaker: 'vikram',
+        gender: 'male',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -321,6 +363,7 @@ const voiceConfigs = {
     rajesh: {
         model: 'bulbul:v2',
         speaker: 'rajesh',
+        gender: 'male',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -331,6 +374,7 @@ const voiceConfigs = {
     anirudh: {
         model: 'bulbul:v2',
         speaker: 'anirudh',
+        gender: 'male',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -341,6 +385,7 @@ const voiceConfigs = {
     ishaan: {
         model: 'bulbul:v2',
         speaker: 'ishaan',
+        gender: 'male',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -352,6 +397,7 @@ const voiceConfigs = {
     hindi_anushka: {
         model: 'bulbul:v2',
         speaker: 'anushka',
+        gender: 'female',
         language: 'hi-IN',
         pitch: 0,
         pace: 1.0,
@@ -362,6 +408,7 @@ const voiceConfigs = {
     hindi_abhilash: {
         model: 'bulbul:v2',
         speaker: 'abhilash',
+        gender: 'male',
         language: 'hi-IN',
         pitch: 0,
         pace: 1.0,
@@ -373,6 +420,7 @@ const voiceConfigs = {
     default: {
         model: 'bulbul:v2',
         speaker: 'anushka',
+        gender: 'female',
         language: 'en-IN',
         pitch: 0,
         pace: 1.0,
@@ -381,11 +429,71 @@ const voiceConfigs = {
     }
 };
 
+// Voice used automatically for each reply language, unless the session picked
+// a voice. The speaker matching the persona voice's gender is used; pace
+// (and pitch/loudness, if set) override that voice's own settings.
+// Languages not listed keep the persona's voice.
+const languageVoices = {
+    hi: { female: 'hindi_anushka', male: 'hindi_abhilash', pace: 0.95 },
+    mr: { female: 'manisha', male: 'karun', pace: 0.95 },
+    gu: { female: 'arya', male: 'hitesh', pace: 0.95 },
+    pa: { female: 'manisha', male: 'karun' },
+    bn: { female: 'manisha', male: 'abhilash', pace: 0.95 },
+    ta: { female: 'vidya', male: 'karun', pace: 0.9 },
+    te: { female: 'vidya', male: 'hitesh', pace: 0.9 },
+    kn: { female: 'arya', male: 'karun', pace: 0.9 },
+    ml: { female: 'vidya', male: 'hitesh', pace: 0.9 },
+};
+
 // OpenAI configuration
 const openAIConfig = {
     model: 'gpt-4o', // Options: 'gpt-4o', 'gpt-4-turbo', 'gpt-3.5-turbo'
     temperature: 0.7, // 0.0-2.0: Lower = more focused, Higher = more creative
     maxTokens: 100, // Maximum response length (100-300 recommended for voice)
+    utilityModel: 'gpt-4o-mini', // Language detection, recommendations, lead extraction
+};
+
+// External service providers - see services/providers/index.js
+// PROVIDERS=mock switches every service to the offline mock providers.
+const defaultProvider = (name, fallback) =>
+    process.env[`${name}_PROVIDER`] || (process.env.PROVIDERS === 'mock' ? 'mock' : fallback);
+
+const providerConfig = {
+    llm: defaultProvider('LLM', 'openai'), // 'openai', 'local' or 'mock'
+    stt: defaultProvider('STT', 'openai'), // 'openai', 'local' or 'mock'
+    tts: defaultProvider('TTS', 'sarvam'), // 'sarvam' or 'mock'
+    translate: defaultProvider('TRANSLATE', 'google'), // 'google' or 'mock'
+    openai: {
+        apiKey: process.env.OPENAI_API_KEY,
+    },
+    // Any OpenAI-compatible server (Ollama, vLLM, LM Studio, faster-whisper-server...)
+    local: {
+        baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+        model: process.env.LOCAL_LLM_MODEL || 'llama3.1', // Used for every chat request
+        transcriptionBaseURL: process.env.LOCAL_STT_BASE_URL, // Defaults to baseURL
+        transcriptionModel: process.env.LOCAL_STT_MODEL || 'whisper-1',
+    },
+    sarvam: {
+        apiKey: process.env.SARVAM_API_KEY,
+    },
+    google: {
+        apiKey: process.env.GOOGLE_TRANSLATE_API_KEY,
+    },
+    mock: {
+        transcript: process.env.MOCK_TRANSCRIPT, // What the mock STT "hears"
+    },
+};
+
+// Text-to-speech audio cache - see services/ttsCache.js
+const ttsCacheConfig = {
+    enabled: process.env.TTS_CACHE !== 'off',
+    dir: path.join(__dirname, '..', 'public', 'audio', 'cache'),
+    maxBytes: (Number(process.env.TTS_CACHE_MAX_MB) || 200) * 1024 * 1024,
+    maxEntries: 5000,
+    // Fixed prompts are cached at once; other text once it has been spoken this
+    // many times. One-off replies get a file that is deleted after playback.
+    minRepeats: 2,
 };
 
 // Twilio configuration
@@ -394,19 +502,371 @@ const twilioConfig = {
     // Twilio will auto-detect from these options
     language: 'en-IN, hi-IN, mr-IN, ta-IN, te-IN, ml-IN, kn-IN, bn-IN, gu-IN, pa-IN',
     speechTimeout: 'auto', // How long to wait for speech
+    // 'gather' - Twilio <Gather> speech recognition, one turn per webhook
+    // 'stream' - Media Streams over WebSocket with barge-in (needs a text-to-speech provider)
+    callMode: process.env.CALL_MODE || 'gather',
+    // Reject webhooks without a valid X-Twilio-Signature. Only turn this off
+    // for local development and the call simulator: TWILIO_SIGNATURE_VALIDATION=off
+    // (it is off by default when NODE_ENV=development)
+    validateSignatures: process.env.TWILIO_SIGNATURE_VALIDATION
+        ? process.env.TWILIO_SIGNATURE_VALIDATION !== 'off'
+        : process.env.NODE_ENV !== 'development',
+};
+
+// Outbound calls through /make-call - see services/callGuard.js
+const outboundCallConfig = {
+    // Country calling codes we may dial, without "+"; an empty list allows any country
+    allowedCountryCodes: (process.env.CALL_ALLOWED_COUNTRY_CODES || '91').split(',').map((code) => code.trim()).filter(Boolean),
+    // Numbers given without "+" or "00" are read as numbers in this country:
+    // 98765 43210, 098765 43210 and 91 98765 43210 all dial +91 98765 43210
+    defaultCountryCode: '91',
+    nationalNumberLength: 10,
+    cooldownMinutes: 30, // Minimum gap between calls to the same number
+    maxCallsPerNumberPerDay: 3,
+    maxCallsPerDay: 500, // Across all numbers
+    timezone: 'Asia/Kolkata', // Where the day starts and ends for the caps
+    auditRetentionDays: 90, // Attempts older than this are dropped from data/call-audit.json
 };
 
-// Active configuration - Change these to switch personalities/voices
-const activeConfig = {
-    systemPrompt: systemPrompts.default, // Change to any key from systemPrompts
-    voice: voiceConfigs.default, // Change to any key from voiceConfigs
+// Outbound calling campaigns - see services/campaigns.js. Campaign calls go
+// through the outboundCallConfig checks too, so keep retryBackoffMinutes at
+// or above cooldownMinutes and maxAttempts within maxCallsPerNumberPerDay.
+const campaignConfig = {
+    timezone: 'Asia/Kolkata',
+    callingHours: { start: '10:00', end: '19:00' }, // Calls only start inside this window (HH:MM, local time)
+    callingDays: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+    maxConcurrentCalls: 3, // Across all campaigns; a campaign may ask for fewer
+    maxAttempts: 3, // Per number, including retries
+    retryOutcomes: ['busy', 'no-answer'], // Call statuses that are tried again ('voicemail' too, to call back after a message)
+    retryBackoffMinutes: 60, // Wait before the first retry; doubles after each further attempt
+    callTimeoutMinutes: 30, // A call with no final status by then counts as unanswered
+    tickSeconds: 15, // How often the queue looks for numbers to dial
+};
+
+// Menu for calls to our numbers: the caller picks a language on the keypad
+// (or by saying it), which then holds for the whole call. During the call
+// the keypad shortcuts work alongside speech, so callers who cannot be
+// understood can still get answers.
+const ivrConfig = {
+    enabled: process.env.INBOUND_IVR !== 'off', // off: inbound calls start with the greeting, like outbound ones
+    // Key -> language; only the persona's languages are offered
+    languageKeys: { 1: 'en', 2: 'hi', 3: 'mr', 4: 'gu', 5: 'ta', 6: 'te', 7: 'kn', 8: 'ml', 9: 'bn' },
+    welcome: 'Welcome to Skillora Design Academy.', // Spoken in English before the options
+    // Each option is read in its own language; {key} is the key to press
+    languagePrompts: {
+        en: 'For English, press {key}.',
+        hi: 'हिंदी के लिए {key} दबाएँ।',
+        mr: 'मराठीसाठी {key} दाबा.',
+        gu: 'ગુજરાતી માટે {key} દબાવો.',
+        ta: 'தமிழுக்கு {key} ஐ அழுத்தவும்.',
+        te: 'తెలుగు కోసం {key} నొక్కండి.',
+        kn: 'ಕನ್ನಡಕ್ಕಾಗಿ {key} ಒತ್ತಿ.',
+        ml: 'മലയാളത്തിന് {key} അമർത്തുക.',
+        bn: 'বাংলার জন্য {key} টিপুন।',
+        pa: 'ਪੰਜਾਬੀ ਲਈ {key} ਦਬਾਓ।',
+    },
+    menuTimeoutSeconds: 6, // Silence after the options before they are read again
+    menuRepeats: 2, // Times the options are read before the persona's first language is used
+    // Keys that work at any point in the call. A question is answered as if
+    // the caller had asked it; handoff goes to a counselor. The label is read
+    // out in the hint after the greeting ("press 1 for fees, ...").
+    shortcuts: {
+        1: { label: 'fees', question: 'What are the fees for your courses?' },
+        2: { label: 'courses', question: 'Which courses do you offer?' },
+        3: { label: 'our address', question: 'Where is the academy and how do I get there?' },
+        0: { label: 'a counselor', handoff: true },
+    },
+};
+
+// Answering-machine detection and voicemail for outbound calls. With
+// DetectMessageEnd Twilio waits for the greeting's beep before asking
+// /twilio-voice what to do, so the whole message lands on the recording.
+const voicemailConfig = {
+    // 'DetectMessageEnd', 'Enable' (answer as soon as a machine is detected) or 'off'
+    machineDetection: process.env.MACHINE_DETECTION || 'DetectMessageEnd',
+    detectionTimeoutSeconds: 30, // Twilio reports "unknown" (treated as a person) after this
+    // Left in the call's language, synthesized with the call's voice; languages
+    // missing here are translated from English. {persona} is the persona's name.
+    messages: {
+        en: 'Hello, this is {persona} from Skillora Design Academy. We called to tell you about our design courses and campus visits. Please call us back on this number whenever it suits you. Thank you!',
+        hi: 'नमस्ते, यह Skillora Design Academy से {persona} का संदेश है। हमने आपको हमारे डिज़ाइन कोर्स और कैंपस विज़िट के बारे में बताने के लिए कॉल किया था। अपनी सुविधा से इसी नंबर पर हमें वापस कॉल करें। धन्यवाद!',
+        mr: 'नमस्कार, हा Skillora Design Academy कडून {persona} चा संदेश आहे. आमच्या डिझाइन कोर्सेस आणि कॅम्पस भेटीबद्दल सांगण्यासाठी आम्ही तुम्हाला कॉल केला होता. तुमच्या सोयीनुसार याच नंबरवर आम्हाला परत कॉल करा. धन्यवाद!',
+    },
+};
+
+// Handoff to a human admissions counselor - see services/handoff.js
+// "talk to a counselor", "connect me with someone", ...
+const ASK_FOR_PERSON = ['talk to', 'talk with', 'speak to', 'speak with', 'connect me to', 'connect me with', 'transfer me to', 'put me through to']
+    .flatMap((verb) => ['a human', 'a real person', 'a person', 'someone', 'an agent', 'a representative', 'a counselor', 'a counsellor', 'the counselor', 'the counsellor', 'your counselor', 'an operator']
+        .map((person) => `${verb} ${person}`));
+
+const handoffConfig = {
+    // Numbers rung at once when a call is transferred (E.164, comma-separated
+    // in COUNSELOR_PHONE_NUMBERS); the first counselor to answer hears the summary
+    counselorNumbers: (process.env.COUNSELOR_PHONE_NUMBERS || '').split(',').map((number) => number.trim()).filter(Boolean),
+    // Or a Twilio queue name to <Enqueue> callers in when no numbers are set;
+    // queued callers cannot be whispered, so counselors read the summary on the dashboard
+    counselorQueue: process.env.COUNSELOR_QUEUE || '',
+    dialTimeoutSeconds: 25, // Ring time before the transfer counts as missed
+    webWaitSeconds: 180, // A web chat nobody picks up in this time goes back to the assistant, marked missed
+    maxFailedTurns: 2, // Turns in a row not understood before handing off
+    minConfidence: 0.4, // Twilio speech confidence below this counts as not understood
+    // Asking for a person, in English and romanized or native Hindi / Marathi.
+    // Whole requests only: "human" or "counselor" on their own also come up
+    // in questions about courses ("human-centered design", "career counselor").
+    requestPhrases: [
+        ...ASK_FOR_PERSON,
+        'transfer me', 'human agent',
+        'insaan se baat', 'kisi se baat', 'aadmi se baat', 'counselor se baat', 'counsellor se baat', 'agent se baat',
+        'mansashi bolaycha', 'counselor shi bolaycha',
+        'इंसान से बात', 'किसी से बात', 'काउंसलर से बात', 'व्यक्ति से बात', 'माणसाशी बोलायचं', 'काउंसलरशी बोलायचं',
+    ],
+};
+
+// Checks every reply against the prompt's prohibitions before it is spoken
+// or shown - see services/guardrails.js. Patterns are case-insensitive
+// regular expressions matched one sentence at a time, in English and
+// romanized or native Hindi / Marathi. Negation only counts right next to the
+// word it negates ("we cannot guarantee a job", "placement is not
+// guaranteed", "guarantee nahi"), never anywhere in the sentence.
+const NEGATED_BEFORE = "(?<!\\b(?:not|cannot|can't|can not|don't|do not|doesn't|does not|never|no)\\s+(?:\\w+\\s+){0,2})";
+const NEGATED_AFTER = "(?!\\s+(?:\\S+\\s+)?(?:nahi|नहीं|नाही))";
+const unnegated = (words) => `${NEGATED_BEFORE}(?:${words})${NEGATED_AFTER}`;
+
+const GUARANTEE_WORDS = 'guarantee|assured|promise|100\\s*%|hundred per ?cent|pakki|pakka|पक्की|पक्का|गारंटी|हमखास';
+const OUTCOME_WORDS = 'job|placement|salary|(?:salary|placement|job) package|admission|seat|naukri|नौकरी|नोकरी|प्लेसमेंट|सैलरी|पगार|एडमिशन|प्रवेश';
+
+const guardrailConfig = {
+    enabled: process.env.GUARDRAILS !== 'off',
+    maxWords: 40, // Longer replies are cut at a sentence boundary (disclaimers included)
+    maxRegenerations: 1, // Fresh attempts at a reply that breaks a claim or advice rule before it is rewritten
+    // Claims the assistant must never make
+    bannedClaims: [
+        {
+            id: 'guaranteed-outcome',
+            description: 'Guarantees a job, placement, salary or admission',
+            pattern: `${unnegated(GUARANTEE_WORDS)}[^.!?।]{0,40}(${OUTCOME_WORDS})`
+                + `|(${OUTCOME_WORDS})[^.!?।]{0,40}${unnegated(`${GUARANTEE_WORDS}|certain`)}`,
+        },
+        {
+            id: 'salary-figure',
+            description: 'Quotes a salary or earnings figure',
+            // Course fee "packages" are fine; only pay after the course counts
+            pattern: `${unnegated('\\bearn|salary|salaries|(?:salary|placement|job) package|ctc|stipend|kamai|कमाई|सैलरी|वेतन|पगार')}[^.!?।]{0,30}(₹|\\brs\\b|\\binr\\b|lakh|lpa|\\d)`,
+        },
+    ],
+    // Loans and personal financial planning - only the fee structure may be
+    // shared, and fee instalments or EMI options are part of it
+    financialAdvice: [
+        {
+            id: 'loan-advice',
+            description: 'Recommends taking an education loan',
+            pattern: `${unnegated('\\b(?:you should|you must|we recommend|i recommend|recommend|suggest|advise|apply for|take (?:a|an|out)?)')}[^.!?।]{0,30}\\b(loan|loans)\\b`
+                + "|\\b(loan|loans)\\b[^.!?।]{0,30}\\b(is|are) (the )?(best|better|ideal|recommended|a good idea)\\b"
+                + '|\\b(loan|लोन|कर्ज)\\s*(le lo|le lijiye|lena chahiye|ले लो|ले लीजिए|लेना चाहिए|घ्या|घ्यावे)',
+        },
+        {
+            id: 'financial-planning',
+            description: 'Gives personal financial planning advice',
+            pattern: unnegated('\\b(?:invest|investment|mutual funds?|fixed deposits?|sip|savings plan|credit card)\\b|निवेश|गुंतवणूक'),
+        },
+    ],
+    // Added (translated) when a reply raises the topic without the disclaimer
+    disclaimers: [
+        {
+            id: 'career-outcome',
+            when: '\\b(career|job|jobs|placement|placements|salary|hired|employ\\w*)\\b|नौकरी|नोकरी|करियर|प्लेसमेंट',
+            present: 'depend|निर्भर|अवलंबून',
+            text: 'Career success depends on your own performance.',
+        },
+        {
+            id: 'admission-eligibility',
+            when: '\\b(admission|admissions|admitted|enrol\\w*|seat)\\b|एडमिशन|प्रवेश',
+            present: 'eligib|पात्र',
+            text: 'Admission is subject to meeting all eligibility criteria.',
+        },
+    ],
+    // Said (translated) when nothing in a reply can be kept
+    fallbackReply: 'I am not able to advise on that, but our admissions counselors can help. Is there anything else I can help you with?',
+    logRetentionDays: 180, // Interventions older than this are dropped from data/guardrail-log.json
+};
+
+// Conversation memory for long calls and chats - see services/memory.js.
+// Token counts are estimates (there is no tokenizer on the server).
+const memoryConfig = {
+    recentTurns: 8, // Latest messages (user and assistant) sent word for word
+    foldBatch: 4, // Older messages are summarized this many at a time, so the summarizer runs every few turns
+    summaryMaxTokens: 200, // Longest running summary of the earlier conversation
+    tokenBudget: 4000, // Most prompt tokens per reply request: instructions, catalog, tools, memory and history
+};
+
+// Conversation language - see services/languageState.js. Detection has to
+// agree on switchAfterTurns turns in a row before replies change language;
+// a language asked for by name ("speak in English", "Hindi mein baat karo")
+// holds until another is asked for. In commands, {language} stands for any
+// of that language's names; mixedNames ask for the code-mixed mode.
+const languageConfig = {
+    switchAfterTurns: 2, // Consecutive turns in another language before replies follow it
+    minWordsToSwitch: 3, // Shorter turns ("OK", "yes", a course name) never count towards a switch
+    names: {
+        en: ['english', 'angrezi', 'angreji', 'इंग्लिश', 'अंग्रेजी', 'इंग्रजी'],
+        hi: ['hindi', 'हिंदी', 'हिन्दी'],
+        mr: ['marathi', 'मराठी'],
+        gu: ['gujarati', 'ગુજરાતી', 'गुजराती'],
+        ta: ['tamil', 'தமிழ்'],
+        te: ['telugu', 'తెలుగు'],
+        kn: ['kannada', 'ಕನ್ನಡ'],
+        ml: ['malayalam', 'മലയാളം'],
+        bn: ['bengali', 'bangla', 'বাংলা'],
+        pa: ['punjabi', 'ਪੰਜਾਬੀ'],
+    },
+    mixedNames: {
+        hi: ['hinglish'],
+        mr: ['manglish', 'marathi english'],
+    },
+    // A request starts the utterance, after nothing but these words - "my
+    // friend said reply in Hindi" reports one, it does not make one. One that
+    // is negated ("please don't speak in English", "Hindi mein baat mat karo")
+    // does not count either.
+    commandLeadIns: [
+        'ok', 'okay', 'hi', 'hello', 'please', 'kindly', 'sir', 'madam', 'now', 'so', 'and', 'just',
+        'can you', 'could you', 'will you', 'would you', "let's", 'lets', 'i want to', 'i would like to', "i'd like to",
+        'aap', 'aapko', 'mujhse', 'humse', 'kripya', 'ab', 'tumhi', 'majhyashi', 'ata',
+        'आप', 'मुझसे', 'कृपया', 'अब', 'तुम्ही', 'माझ्याशी', 'आता',
+    ],
+    commands: [
+        "(speak|talk|reply|answer|respond|continue|switch)( to| in)? {language}\\b",
+        "(can|could) (you|we) (speak|talk)( in)? {language}\\b",
+        "{language} (mein|me|madhe|madhye|में|मध्ये|मधे)\\s*(baat|bolo|bola|boliye|bolna|बात|बोलो|बोला|बोलिए)",
+        "{language}(t|त)\\s*(bola|bol|बोला|बोल)",
+        "(in |only )?{language}( only| please)?[.!]?$",
+    ],
+};
+
+// Personal data masked before anything is logged or archived - see
+// services/redaction.js. Categories: 'phone', 'email', 'name' (names callers
+// give, and name fields) and 'governmentId' (Aadhaar, PAN, voter ID,
+// passport numbers); an empty list writes that destination unmasked.
+// Leads, visit bookings, handoffs, the call audit and do-not-call lists keep
+// names and numbers (they exist to reach people), and live sessions hold the
+// raw conversation until they expire.
+const ALL_PERSONAL_DATA = ['phone', 'email', 'name', 'governmentId'];
+
+const redactionConfig = {
+    destinations: {
+        console: ALL_PERSONAL_DATA,
+        combinedLog: ALL_PERSONAL_DATA, // logs/combined.log
+        errorLog: ALL_PERSONAL_DATA, // logs/error.log
+        transcripts: ALL_PERSONAL_DATA, // data/transcripts/, and the admin dashboard
+        guardrailLog: ALL_PERSONAL_DATA, // data/guardrail-log.json
+    },
+    phoneDigitsShown: 4, // Last digits left in masked numbers, to tell calls apart (0 masks all)
+    // Never a caller's name, even after "I am" / "this is" - the assistant says
+    // these about itself (persona names from personaConfig are added to the list)
+    keptNames: ['Skillora'],
+};
+
+// Real-time phone audio (Media Streams) settings
+const mediaStreamConfig = {
+    path: '/media-stream',
+    vad: {
+        speechThreshold: 700, // RMS energy of a 20 ms frame that counts as speech
+        minSpeechMs: 120, // Sustained speech needed to start an utterance (and to barge in)
+        endSilenceMs: 800, // Silence that ends the caller's utterance
+        maxUtteranceMs: 15000, // Cut very long utterances so the caller still gets an answer
+        preRollMs: 200, // Audio kept from just before speech was detected
+    },
+};
+
+// Campus visit scheduling - all times are IST (Asia/Kolkata)
+const visitConfig = {
+    timezone: 'Asia/Kolkata',
+    slotTimes: {
+        monday: ['11:00', '15:00'],
+        tuesday: ['11:00', '15:00'],
+        wednesday: ['11:00', '15:00'],
+        thursday: ['11:00', '15:00'],
+        friday: ['11:00', '15:00'],
+        saturday: ['11:00', '13:00', '16:00'],
+        sunday: [], // Campus closed
+    },
+    capacityPerSlot: 4, // Visitors (families) per slot
+    durationMinutes: 45,
+    bookingHorizonDays: 14, // How far ahead callers can book
+    minNoticeHours: 3, // No same-day slots starting sooner than this
+    blackoutDates: ['2026-11-08', '2026-11-09', '2026-12-25', '2027-01-26'], // Holidays (YYYY-MM-DD)
+};
+
+// Conversation session storage
+const sessionConfig = {
+    backend: process.env.SESSION_BACKEND || 'memory', // 'memory', 'file' or 'redis'
+    ttlSeconds: Number(process.env.SESSION_TTL_SECONDS) || 2 * 60 * 60, // Idle sessions expire after 2 hours
+    redisUrl: process.env.REDIS_URL || 'redis://localhost:6379', // Any Redis-compatible server
+    keyPrefix: 'skylar:session:',
+};
+
+// Personas - each program desk gets its own prompt, voice, greeting,
+// languages and slice of the catalog. A call picks its persona from the
+// Twilio number dialed (or dialing out), the /make-call "persona" field,
+// or the X-Persona header on web chat; otherwise defaultPersona is used.
+const SUPPORTED_LANGUAGES = ['en', 'hi', 'mr', 'ta', 'te', 'ml', 'kn', 'bn', 'gu', 'pa'];
+
+const personaConfig = {
+    defaultPersona: process.env.DEFAULT_PERSONA || 'skylar',
+    personas: {
+        skylar: {
+            name: 'Skylar',
+            description: 'General admissions for every Skillora program',
+            systemPrompt: 'default', // Key from systemPrompts
+            voice: 'default', // Key from voiceConfigs
+            greeting: 'Hello! I am Skylar from Skillora Design Academy. How can I help you today?',
+            languages: SUPPORTED_LANGUAGES, // Replies fall back to the first language for anything else
+            courses: null, // Catalog course ids this persona covers; null = all
+            phoneNumbers: [process.env.TWILIO_PHONE_NUMBER].filter(Boolean), // Twilio numbers routed here (E.164)
+        },
+        aarav: {
+            name: 'Aarav',
+            description: 'Digital design programs desk',
+            systemPrompt: 'digital',
+            voice: 'aditya',
+            greeting: 'Hi! I am Aarav from Skillora Design Academy. Which digital design course can I tell you about?',
+            languages: ['en', 'hi', 'mr'],
+            courses: ['ui-ux-design', 'graphic-design', 'animation-vfx', 'game-design'],
+            phoneNumbers: (process.env.AARAV_PHONE_NUMBERS || '').split(',').filter(Boolean),
+        },
+        meera: {
+            name: 'Meera',
+            description: 'Fashion and interior design programs desk',
+            systemPrompt: 'lifestyle',
+            voice: 'priya',
+            greeting: 'Namaste! I am Meera from Skillora Design Academy. Are you interested in fashion or interior design?',
+            languages: ['en', 'hi', 'mr', 'gu'],
+            courses: ['fashion-design', 'interior-design'],
+            phoneNumbers: (process.env.MEERA_PHONE_NUMBERS || '').split(',').filter(Boolean),
+        },
+    },
 };
 
 // Export configurations
 module.exports = {
     systemPrompts,
     voiceConfigs,
+    languageVoices,
     openAIConfig,
+    providerConfig,
+    ttsCacheConfig,
     twilioConfig,
-    activeConfig,
+    outboundCallConfig,
+    campaignConfig,
+    handoffConfig,
+    ivrConfig,
+    voicemailConfig,
+    guardrailConfig,
+    memoryConfig,
+    languageConfig,
+    redactionConfig,
+    mediaStreamConfig,
+    visitConfig,
+    sessionConfig,
+    personaConfig,
 };
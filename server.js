@@ -1,6 +1,6 @@
 // ============================================
 // AI Voice Assistant Server - Enhanced Version
-// Built with Twilio, OpenAI Whisper, GPT-4, and Sarvam AI
+// Built with Twilio, OpenAI Whisper, GPT-4, and Sarvam AI (swappable - see services/providers)
 // ============================================
 
 require('dotenv').config();
@@ -8,37 +8,77 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { VoiceResponse } = require('twilio').twiml;
 const twilio = require('twilio');
-const OpenAI = require('openai');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
-const axios = require('axios');
-const { Translate } = require('@google-cloud/translate').v2;
 const winston = require('winston');
 
-// Import configuration from data.js
-const { activeConfig, openAIConfig, twilioConfig } = require('./config/data');
+const { createConfigLoader } = require('./services/configLoader');
+const { createProviders } = require('./services/providers');
+const { createTtsCache, ttsCacheKey } = require('./services/ttsCache');
+const { createPersonaRegistry, replyLanguageFor } = require('./services/personas');
+const { createVoiceCatalog } = require('./services/voices');
+const { loadCatalog, buildCatalogContext } = require('./services/catalog');
+const { createLeadStore, leadsToCsv, LEAD_FIELDS } = require('./services/leads');
+const { createVisitScheduler } = require('./services/visits');
+const { createSessionStore } = require('./services/sessionStore');
+const { createTranscriptStore } = require('./services/transcripts');
+const { createCallGuard } = require('./services/callGuard');
+const { createCampaignManager, parseContactsCsv } = require('./services/campaigns');
+const { createHandoffDesk } = require('./services/handoff');
+const { createGuardrails } = require('./services/guardrails');
+const { createRedactor } = require('./services/redaction');
+const { createConversationMemory, estimateTokens } = require('./services/memory');
+const { createLanguageTracker } = require('./services/languageState');
+const { attachMediaStreamServer, SAMPLE_RATE: STREAM_SAMPLE_RATE } = require('./services/mediaStream');
+const { pcmToWav, parseWav, resample } = require('./services/audio');
 
 // ============================================
 // Logger Configuration
 // ============================================
 
+// Personal data is masked per destination (redactionConfig). The logger
+// starts before the config is loaded, so until then everything is masked.
+// Names already known for a conversation (its lead) are masked in entries
+// about it - found by the "[<id>]" message prefix or sessionId / callSid.
+let redactor = createRedactor();
+let logNames = () => []; // knownNames once the lead store is up
+const redact = winston.format((info, { destination }) => {
+    const sourceId = info.sessionId || info.callSid || /^\[([\w-]+)\]/.exec(String(info.message))?.[1];
+    return redactor.redactLogEntry(info, destination, { names: sourceId ? logNames(sourceId) : [] });
+});
+
+// The assistant introduces itself by persona name; that is never a caller's name
+function configuredRedactor(loaded) {
+    const personaNames = Object.values(loaded.personaConfig.personas).map((persona) => persona.name);
+    return createRedactor(loaded.redactionConfig, { keptNames: personaNames });
+}
+
 const logger = winston.createLogger({
     level: 'info',
     format: winston.format.combine(
         winston.format.timestamp(),
-        winston.format.errors({ stack: true }),
-        winston.format.json()
+        winston.format.errors({ stack: true })
     ),
     defaultMeta: { service: 'ai-voice-assistant' },
     transports: [
-        new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-        new winston.transports.File({ filename: 'logs/combined.log' }),
+        new winston.transports.File({
+            filename: 'logs/error.log',
+            level: 'error',
+            format: winston.format.combine(redact({ destination: 'errorLog' }), winston.format.json())
+        }),
+        new winston.transports.File({
+            filename: 'logs/combined.log',
+            format: winston.format.combine(redact({ destination: 'combinedLog' }), winston.format.json())
+        }),
         new winston.transports.Console({
             format: winston.format.combine(
+                redact({ destination: 'console' }),
                 winston.format.colorize(),
                 winston.format.simple()
             )
@@ -59,32 +99,141 @@ if (!fs.existsSync(logsDir)) {
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Configuration from data.js, checked against services/configSchema.js
+const configLoader = createConfigLoader({ file: path.join(__dirname, 'config', 'data.js'), logger });
+let config;
+try {
+    config = configLoader.load();
+} catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+}
+const startupConfig = config;
+redactor = configuredRedactor(config);
+
+// Reloadable without a restart - see reloadConfig()
+let { systemPrompts, voiceConfigs, languageVoices, personaConfig, openAIConfig, twilioConfig, ivrConfig, voicemailConfig, redactionConfig, languageConfig } = config;
+// Read once at startup
+const { providerConfig, ttsCacheConfig, outboundCallConfig, campaignConfig, handoffConfig, guardrailConfig, memoryConfig, mediaStreamConfig, visitConfig, sessionConfig } = config;
+const RESTART_ONLY_CONFIG = ['providerConfig', 'ttsCacheConfig', 'outboundCallConfig', 'campaignConfig', 'handoffConfig', 'guardrailConfig', 'memoryConfig', 'mediaStreamConfig', 'visitConfig', 'sessionConfig'];
+
 // Twilio credentials
 const accountSid = process.env.TWILIO_ACCOUNT_SID;
 const authToken = process.env.TWILIO_AUTH_TOKEN;
 const twilioPhoneNumber = process.env.TWILIO_PHONE_NUMBER;
-const client = twilio(accountSid, authToken);
+// Without credentials the server still runs (web chat, mock providers); calls are disabled
+const client = accountSid && authToken ? twilio(accountSid, authToken) : null;
 
-// OpenAI configuration with Whisper support
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-});
+// Stream-mode calls connect Twilio to our WebSocket at PUBLIC_URL
+if (twilioConfig.callMode === 'stream' && !process.env.PUBLIC_URL) {
+    logger.error('CALL_MODE=stream needs PUBLIC_URL - Twilio connects to the media stream WebSocket there');
+    process.exit(1);
+}
 
-// Initialize Google Translate
-const translate = new Translate({
-    key: process.env.GOOGLE_TRANSLATE_API_KEY
-});
+// LLM, speech-to-text, text-to-speech and translation providers
+const providers = createProviders(providerConfig);
+
+// Course catalog - the single source of truth for course facts
+const catalog = loadCatalog();
+
+// Personas (prompt, voice, greeting, languages, catalog scope) from data.js
+let personas = createPersonaRegistry(personaConfig, { systemPrompts, voiceConfigs, catalog });
+
+// Voices and the per-language voice map
+let voices = createVoiceCatalog(voiceConfigs, languageVoices);
+
+// The language each conversation is held in, and spoken requests to change it
+let languageTracker = createLanguageTracker(languageConfig);
+
+/**
+ * Re-read config/data.js and swap in new prompts, voices, personas, OpenAI and
+ * Twilio settings. Calls in progress are not interrupted: sessions keep persona
+ * and voice ids, which resolve against the new config from their next turn.
+ * @returns {{changed: string[], restartRequired: string[]}} Changed sections, and
+ *          those that only take effect after a restart
+ * @throws {Error} If the new config is invalid; the current config stays in use
+ */
+function reloadConfig() {
+    const next = configLoader.load();
+
+    // Build everything first so a bad reference leaves the old config in place
+    const nextPersonas = createPersonaRegistry(next.personaConfig, {
+        systemPrompts: next.systemPrompts,
+        voiceConfigs: next.voiceConfigs,
+        catalog
+    });
+    const nextVoices = createVoiceCatalog(next.voiceConfigs, next.languageVoices);
+
+    const differs = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+    const changed = Object.keys(next).filter((key) => differs(next[key], config[key]));
+    const restartRequired = RESTART_ONLY_CONFIG.filter((key) => differs(next[key], startupConfig[key]));
+
+    ({ systemPrompts, voiceConfigs, languageVoices, personaConfig, openAIConfig, twilioConfig, ivrConfig, voicemailConfig, redactionConfig, languageConfig } = next);
+    personas = nextPersonas;
+    redactor = configuredRedactor(next);
+    languageTracker = createLanguageTracker(languageConfig);
+    voices = nextVoices;
+    config = next;
+
+    return { changed, restartRequired };
+}
+
+/**
+ * Reload and log the outcome
+ * @param {string} trigger - What asked for the reload (for the log)
+ */
+function reloadConfigAndLog(trigger) {
+    const result = reloadConfig();
+    logger.info(`⚙️  Config reloaded (${trigger}): ${result.changed.length ? result.changed.join(', ') : 'no changes'}`);
+    if (result.restartRequired.length) {
+        logger.warn(`Config changes to ${result.restartRequired.join(', ')} take effect after a restart`);
+    }
+    if (result.changed.some((key) => ['ivrConfig', 'personaConfig', 'voiceConfigs', 'languageVoices'].includes(key))) {
+        warmMenuPrompts().catch((error) => logger.error('Menu prompt warm-up error:', error));
+    }
+    return result;
+}
+
+// Lead records captured from calls and web chats
+const leadStore = createLeadStore();
+logNames = knownNames;
+
+// Outbound call allow-list, do-not-call list, cooldowns, caps and audit log
+const callGuard = createCallGuard(outboundCallConfig);
 
-// System prompt and voice config from data.js
-const systemPrompt = activeConfig.systemPrompt;
-const voiceConfig = activeConfig.voice;
+// Scheduled, throttled outbound call campaigns
+const campaigns = createCampaignManager(campaignConfig, { placeCall: placeCampaignCall, logger });
 
-// Conversation history storage (in production, use Redis or database)
-const conversationHistory = new Map();
+// Escalations to human counselors (phone transfers and the web chat queue)
+const handoffDesk = createHandoffDesk(handoffConfig);
+
+// Policy checks on every reply, with a log of each intervention
+const guardrails = createGuardrails(guardrailConfig);
+
+// Campus visit slots and bookings
+const visitScheduler = createVisitScheduler(visitConfig);
+
+// Conversation sessions, keyed by CallSid or server-issued web session id
+const sessionStore = createSessionStore(sessionConfig);
+
+// Recent turns word for word, older ones as a running summary
+const conversationMemory = createConversationMemory(memoryConfig, { summarize: summarizeEarlierTurns, logger });
+
+// Archived transcripts of every call and web session
+const transcriptStore = createTranscriptStore({
+    redact: (transcript) => redactor.redact(transcript, 'transcripts', { names: knownNames(transcript.id) })
+});
+
+// Live conversation updates for the admin dashboard
+const conversationEvents = new EventEmitter();
+conversationEvents.setMaxListeners(0); // One listener per open dashboard
 
 // Audio file cleanup tracking
 const audioCleanupQueue = new Map();
 
+// Synthesized phrases reused across calls and web sessions
+const ttsCache = ttsCacheConfig.enabled ? createTtsCache(ttsCacheConfig) : null;
+
 // ============================================
 // File Upload Configuration
 // ============================================
@@ -183,6 +332,16 @@ const limiter = rateLimit({
     message: 'Too many requests from this IP, please try again later.',
     standardHeaders: true,
     legacyHeaders: false,
+    // Polled while a chat is with a counselor - limited by updatesLimiter instead
+    skip: (req) => req.path === '/chat/updates',
+});
+
+const updatesLimiter = rateLimit({
+    windowMs: 1 * 60 * 1000, // 1 minute
+    max: 60, // The page polls every few seconds; leaves room for a few tabs
+    message: 'Too many update requests, please slow down.',
+    standardHeaders: true,
+    legacyHeaders: false,
 });
 
 const chatLimiter = rateLimit({
@@ -197,10 +356,139 @@ const whisperLimiter = rateLimit({
     message: 'Too many transcription requests, please slow down.',
 });
 
+// Admin authentication - leads, transcripts and bookings contain personal details.
+// API clients send ADMIN_API_KEY as X-Admin-Key or a Bearer token; the admin
+// dashboard exchanges it once at /admin/login for an HttpOnly session cookie.
+const ADMIN_COOKIE = 'skylar_admin';
+const ADMIN_SESSION_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+const adminSessions = new Map(); // token -> expiry timestamp
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function getCookie(req, name) {
+    const match = (req.headers.cookie || '').split(';')
+        .map((part) => part.trim())
+        .find((part) => part.startsWith(`${name}=`));
+    return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+}
+
+function hasAdminSession(req) {
+    const token = getCookie(req, ADMIN_COOKIE);
+    const expiresAt = token && adminSessions.get(token);
+    if (!expiresAt) return false;
+    if (expiresAt < Date.now()) {
+        adminSessions.delete(token);
+        return false;
+    }
+    return true;
+}
+
+const requireAdminKey = (req, res, next) => {
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (!adminKey) {
+        logger.warn(`Admin endpoint ${req.path} called but ADMIN_API_KEY is not set`);
+        return res.status(503).json({ error: 'Admin API disabled. Set ADMIN_API_KEY to enable it.' });
+    }
+
+    const bearer = req.headers.authorization?.replace(/^Bearer\s+/i, '');
+    const providedKey = req.headers['x-admin-key'] || bearer;
+    if (!(providedKey && safeEqual(providedKey, adminKey)) && !hasAdminSession(req)) {
+        logger.warn(`Unauthorized admin request to ${req.path} from ${req.ip}`);
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+};
+
+/**
+ * Whether a request really came from Twilio: X-Twilio-Signature is an HMAC of
+ * the full public URL (query string included, so /handle-speech's callSid is
+ * covered) and the POSTed parameters, keyed with our auth token
+ */
+function isSignedByTwilio(req, params) {
+    const signature = req.headers['x-twilio-signature'];
+    if (!signature || !authToken || !process.env.PUBLIC_URL) {
+        return false;
+    }
+    const url = `${process.env.PUBLIC_URL.replace(/\/$/, '')}${req.originalUrl || req.url}`;
+    // WebSocket handshakes may be signed with the wss:// form of the URL
+    return [url, url.replace(/^http/, 'ws')].some((candidate) => twilio.validateRequest(authToken, signature, candidate, params));
+}
+
+// Twilio webhooks - bypassed only when twilioConfig.validateSignatures is off (logged at startup)
+const requireTwilioSignature = (req, res, next) => {
+    if (!twilioConfig.validateSignatures) {
+        return next();
+    }
+
+    if (!authToken || !process.env.PUBLIC_URL) {
+        logger.error(`Cannot verify Twilio webhook ${req.path}: TWILIO_AUTH_TOKEN and PUBLIC_URL are required (or set TWILIO_SIGNATURE_VALIDATION=off for local development)`);
+        return res.status(503).send('Webhook verification is not configured');
+    }
+
+    if (!isSignedByTwilio(req, req.body || {})) {
+        logger.warn(`Rejected webhook ${req.path} from ${req.ip}: invalid or missing X-Twilio-Signature`);
+        return res.status(403).send('Invalid Twilio signature');
+    }
+
+    next();
+};
+
+// Outbound calls cost money and reach real people. /make-call takes the admin
+// key, an admin dashboard session, or one of CALL_API_KEYS (comma-separated,
+// for CRMs and campaign tools) as X-Api-Key or a Bearer token.
+const callApiKeys = (process.env.CALL_API_KEYS || '').split(',').map((key) => key.trim()).filter(Boolean);
+
+/**
+ * Who is asking to place a call, for the audit log
+ * @returns {string|null} null if the request is not authorized
+ */
+function callRequester(req) {
+    const bearer = req.headers.authorization?.replace(/^Bearer\s+/i, '');
+    const providedKey = req.headers['x-api-key'] || req.headers['x-admin-key'] || bearer;
+
+    if (providedKey) {
+        if (process.env.ADMIN_API_KEY && safeEqual(providedKey, process.env.ADMIN_API_KEY)) {
+            return 'admin-key';
+        }
+        const apiKey = callApiKeys.find((key) => safeEqual(providedKey, key));
+        if (apiKey) {
+            return `api-key:...${apiKey.slice(-4)}`;
+        }
+    }
+    return hasAdminSession(req) ? 'admin-session' : null;
+}
+
+const requireCallAuthorization = (req, res, next) => {
+    req.requester = callRequester(req);
+    if (!req.requester) {
+        callGuard.reject(req.body?.phoneNumber, 'unauthorized', { actor: null, ip: req.ip });
+        logger.warn(`Unauthorized call request to ${req.body?.phoneNumber || 'unknown number'} from ${req.ip}`);
+        return res.status(401).json({ error: 'Unauthorized - placing calls needs an API key or an admin login' });
+    }
+    next();
+};
+
+const adminLoginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // 10 login attempts per window
+    message: 'Too many login attempts, please try again later.',
+});
+
+// Static files and audio come before the limiter - one reply plays as several
+// sentence clips, and those fetches must not use up the API request budget
+// Cached speech is content-addressed, so browsers and Twilio may keep it forever
+if (ttsCache) {
+    app.use('/audio/cache', express.static(ttsCacheConfig.dir, { immutable: true, maxAge: '30d' }));
+}
+app.use(express.static(path.join(__dirname, 'public')));
 app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-app.use(express.static(path.join(__dirname, 'public')));
 
 // ============================================
 // Translation Helper Functions
@@ -219,686 +507,3101 @@ const languageMapping = {
     'pa': 'pa-IN'
 };
 
+const languageNames = {
+    'en': 'English',
+    'hi': 'Hindi',
+    'ta': 'Tamil',
+    'te': 'Telugu',
+    'ml': 'Malayalam',
+    'kn': 'Kannada',
+    'mr': 'Marathi',
+    'bn': 'Bengali',
+    'gu': 'Gujarati',
+    'pa': 'Punjabi'
+};
+
 // Detect language and correct transcription using OpenAI
-async function detectLanguageAndCorrect(text) {
+// (sourceId - the call or session, so the log entry is masked with its known names)
+async function detectLanguageAndCorrect(text, sourceId) {
     try {
-        const completion = await openai.chat.completions.create({
-            model: 'gpt-4o-mini',
+        const completion = await providers.llm.complete({
+            task: 'detect-language',
+            model: openAIConfig.utilityModel,
             messages: [
                 {
                     role: 'system',
-                    content: `You are a Course Recommendation Expert for Skillora Design Academy. Your purpose is to analyze a user's informal description of their creative interests or career goals and map them to a specific course.
+                    content: `You are a language identification and speech-transcript correction engine for an Indian multilingual voice assistant.
 
 Your tasks:
-1. Analyze the user's query to identify their core creative interest (e.g., drawing, websites, video editing, decorating, fashion).
-2. Identify the single most relevant course at Skillora that matches this interest.
-3. Provide a brief, one-sentence reason for your recommendation.
+1. Identify the language the user is speaking. Romanized text counts as the language it represents (e.g., "mujhe course chahiye" is Hindi, "mala course pahije" is Marathi).
+2. Correct obvious speech-recognition errors (misheard words, broken spellings, missing punctuation) WITHOUT changing the meaning, translating, or adding content.
+3. Say whether the turn is code-mixed: an Indian language freely mixed with English in Roman script (Hinglish, Manglish), beyond a borrowed course name or two. LANGUAGE is then the Indian language.
 
-Respond in this EXACT format:
-INTEREST_DETECTED: [A brief summary of the user's interest]
-RECOMMENDED_COURSE: [The name of the most suitable course]
-REASON: [A short sentence explaining why this course is a match]
+Supported language codes: ${Object.keys(languageMapping).join(', ')}
+
+Respond in this EXACT format and nothing else:
+LANGUAGE: [two-letter code from the supported list]
+MIXED: [yes or no]
+CORRECTED: [the corrected transcript on a single line, in the same language and script as the input]
 
 ---
 Examples:
 
-Input: "I love to draw characters and want to make them move like in cartoons"
+Input: "what is the fees for you i you ex course"
 Output:
-INTEREST_DETECTED: Drawing and making characters move.
-RECOMMENDED_COURSE: Animation & VFX
-REASON: This course focuses on bringing characters to life through animation principles and visual effects.
+LANGUAGE: en
+MIXED: no
+CORRECTED: What is the fees for the UI/UX course?
 
-Input: "mujhe apps aur websites ko easy to use banana hai"
+Input: "mujhe graphic design ke bare mein jaanna hai"
 Output:
-INTEREST_DETECTED: Making apps and websites easy to use.
-RECOMMENDED_COURSE: UI/UX Design
-REASON: This course teaches how to design user-friendly interfaces and experiences for digital products.
+LANGUAGE: hi
+MIXED: no
+CORRECTED: Mujhe graphic design ke bare mein jaanna hai.
 
-Input: "I want to learn how to edit videos for youtube and add special effects"
+Input: "mala UI UX course chi fees and placement details sanga"
 Output:
-INTEREST_DETECTED: Editing videos and adding special effects for online platforms.
-RECOMMENDED_COURSE: VFX & Video Editing
-REASON: This course covers professional video editing techniques and visual effects used in modern online content.`
+LANGUAGE: mr
+MIXED: yes
+CORRECTED: Mala UI UX course chi fees and placement details sanga.
+
+Input: "तुमचे कॅम्पस कुठे आहे"
+Output:
+LANGUAGE: mr
+MIXED: no
+CORRECTED: तुमचे कॅम्पस कुठे आहे?`
                 },
                 { role: 'user', content: text }
             ],
             temperature: 0,
-            max_tokens: 150
+            maxTokens: 150
         });
 
-        const response = completion.choices[0].message.content.trim();
-        const langMatch = response.match(/LANGUAGE:\s*([a-z]{2})/i);
+        const response = completion.content.trim();
+        const langMatch = response.match(/LANGUAGE:\s*([a-z]{2})\b/i);
+        const mixedMatch = response.match(/MIXED:\s*(yes|no)\b/i);
         const correctedMatch = response.match(/CORRECTED:\s*(.+)/i);
 
-        const detectedLang = langMatch ? langMatch[1].toLowerCase() : 'en';
-        const correctedText = correctedMatch ? correctedMatch[1].trim() : text;
+        // Only trust codes the TTS pipeline supports, and never an empty correction
+        const candidateLang = langMatch ? langMatch[1].toLowerCase() : null;
+        const detectedLang = languageMapping[candidateLang] ? candidateLang : 'en';
+        const correctedText = correctedMatch && correctedMatch[1].trim() ? correctedMatch[1].trim() : text;
+        // Only an Indian language is mixed with English
+        const mixed = detectedLang !== 'en' && mixedMatch?.[1].toLowerCase() === 'yes';
 
         logger.info('Language detection', {
+            sessionId: sourceId,
             original: text,
             detected: detectedLang,
+            mixed,
             corrected: correctedText
         });
 
-        return { language: detectedLang, correctedText };
+        return { language: detectedLang, mixed, correctedText };
     } catch (error) {
         logger.error('Language detection error:', error);
-        return { language: 'en', correctedText: text };
+        return { language: 'en', mixed: false, correctedText: text };
     }
 }
 
-async function translateToEnglish(text, sourceLanguage) {
-    try {
-        if (sourceLanguage === 'en') {
-            return text;
+/**
+ * Language to answer a turn in. The session holds the conversation's language
+ * (meta.languageState) and follows detection only after
+ * languageConfig.switchAfterTurns turns in another one; a language asked for
+ * by name becomes the chosen language, like a menu pick (the caller persists
+ * the session).
+ * @param {object} session - Conversation session
+ * @param {object} persona - Replies stay within the persona's languages
+ * @param {object} correction - This turn's detectLanguageAndCorrect result
+ * @param {string} text - What the user said, checked for "speak in English" and the like
+ * @param {object} [options] - { keypad: a shortcut key's question, which says nothing about the caller's language }
+ * @returns {{language: string, mixed: boolean}}
+ */
+function conversationLanguage(session, persona, correction, text, options = {}) {
+    let state = session.meta.languageState
+        || (session.meta.language ? { language: session.meta.language, mixed: false, source: 'menu', settled: true, candidate: null } : null);
+
+    if (!options.keypad) {
+        const requested = languageTracker.requestedLanguage(text, persona.languages)
+            || languageTracker.requestedLanguage(correction.correctedText, persona.languages);
+        const result = languageTracker.next(state, {
+            language: correction.language,
+            mixed: correction.mixed,
+            words: correction.correctedText.split(/\s+/).filter(Boolean).length,
+            requested
+        });
+        if (result.switched) {
+            const describeMode = (mode) => `${languageNames[mode.language] || mode.language}${mode.mixed ? ' (mixed with English)' : ''}`;
+            logger.info(`[${session.id}] Conversation language: ${describeMode(state)} -> ${describeMode(result.state)}${requested ? ' (asked for)' : ''}`);
         }
-
-        if (!process.env.GOOGLE_TRANSLATE_API_KEY ||
-            process.env.GOOGLE_TRANSLATE_API_KEY.trim() === '' ||
-            process.env.GOOGLE_TRANSLATE_API_KEY === 'your_google_translate_api_key_here') {
-            return text;
+        if (requested) {
+            session.meta.language = requested.language;
         }
-
-        const [translation] = await translate.translate(text, 'en');
-        logger.info('Translation to English', { original: text, translated: translation });
-        return translation;
-    } catch (error) {
-        logger.error('Translation to English error:', error);
-        return text;
+        state = result.state;
+        session.meta.languageState = state;
     }
+
+    const language = replyLanguageFor(persona, state ? state.language : correction.language);
+    return { language, mixed: !!state?.mixed && language === state.language };
 }
 
-async function translateFromEnglish(text, targetLanguage) {
-    try {
-        if (targetLanguage === 'en') {
-            return text;
-        }
+/**
+ * Map a user's informal description of their interests to a catalog course
+ * @param {string} text - User's message (any supported language)
+ * @param {object} persona - Recommendations stay within the persona's courses
+ * @returns {Promise<{interest: string|null, course: string|null, courseId: string|null, reason: string|null}>}
+ */
+async function recommendCourse(text, persona) {
+    const courseNames = persona.catalog.courses.map((course) => course.name);
 
-        if (!process.env.GOOGLE_TRANSLATE_API_KEY ||
-            process.env.GOOGLE_TRANSLATE_API_KEY.trim() === '' ||
-            process.env.GOOGLE_TRANSLATE_API_KEY === 'your_google_translate_api_key_here') {
-            return text;
+    const completion = await providers.llm.complete({
+        task: 'recommend-course',
+        model: openAIConfig.utilityModel,
+        messages: [
+            {
+                role: 'system',
+                content: `You are a Course Recommendation Expert for Skillora Design Academy. Your purpose is to analyze a user's informal description of their creative interests or career goals and map them to a specific course.
+
+Courses offered (use these exact names): ${courseNames.join(', ')}
+
+Your tasks:
+1. Analyze the user's query to identify their core creative interest (e.g., drawing, websites, video editing, decorating, fashion).
+2. Identify the single most relevant course from the list above that matches this interest.
+3. Provide a brief, one-sentence reason for your recommendation, in English.
+4. If the user does not describe any interest, use NONE for all three fields.
+
+Respond in this EXACT format:
+INTEREST_DETECTED: [A brief summary of the user's interest]
+RECOMMENDED_COURSE: [The exact name of the most suitable course]
+REASON: [A short sentence explaining why this course is a match]
+
+---
+Examples:
+
+Input: "I love to draw characters and want to make them move like in cartoons"
+Output:
+INTEREST_DETECTED: Drawing and making characters move.
+RECOMMENDED_COURSE: Animation & VFX
+REASON: This course focuses on bringing characters to life through animation principles and visual effects.
+
+Input: "mujhe apps aur websites ko easy to use banana hai"
+Output:
+INTEREST_DETECTED: Making apps and websites easy to use.
+RECOMMENDED_COURSE: UI/UX Design
+REASON: This course teaches how to design user-friendly interfaces and experiences for digital products.
+
+Input: "where is your campus?"
+Output:
+INTEREST_DETECTED: NONE
+RECOMMENDED_COURSE: NONE
+REASON: NONE`
+            },
+            { role: 'user', content: text }
+        ],
+        temperature: 0,
+        maxTokens: 150
+    });
+
+    const response = completion.content.trim();
+    const field = (name) => {
+        const match = response.match(new RegExp(`${name}:\\s*(.+)`, 'i'));
+        const value = match ? match[1].trim() : null;
+        return value && value.toUpperCase() !== 'NONE' ? value : null;
+    };
+
+    // Resolve the model's answer to a real catalog entry
+    const courseName = field('RECOMMENDED_COURSE');
+    const course = courseName
+        ? persona.catalog.courses.find((c) => c.name.toLowerCase() === courseName.toLowerCase())
+        : null;
+
+    const recommendation = {
+        interest: field('INTEREST_DETECTED'),
+        course: course ? course.name : null,
+        courseId: course ? course.id : null,
+        reason: course ? field('REASON') : null
+    };
+
+    logger.info('Course recommendation', { input: text, ...recommendation });
+
+    return recommendation;
+}
+
+/**
+ * Streaming variant of generateReply. With guardrails on, text is released a
+ * sentence at a time once it passes them (see screenStreamedReply);
+ * otherwise deltas are forwarded as they arrive.
+ * @param {Array<object>} messages - Chat messages for this turn
+ * @param {object} context - { sourceId, channel, language } for tool execution
+ * @param {function(string)} onToken - Called with each piece of text to show or speak
+ * @param {AbortSignal} signal - Aborts the model stream (client disconnected or caller barged in)
+ * @returns {Promise<string>} Reply text as released
+ */
+async function streamReply(messages, context, onToken, signal) {
+    return guardrails.enabled
+        ? screenStreamedReply(messages, context, onToken, signal)
+        : streamModelReply(messages, context, onToken, signal);
+}
+
+/**
+ * Stream the model's reply, running any tool calls between rounds
+ * @returns {Promise<string>} Full reply text
+ */
+async function streamModelReply(messages, context, onToken, signal) {
+    const conversation = [...messages];
+    const maxToolRounds = 3;
+    let fullText = '';
+
+    for (let round = 0; round <= maxToolRounds; round++) {
+        const reply = await providers.llm.stream({
+            model: openAIConfig.model,
+            messages: conversation,
+            temperature: openAIConfig.temperature,
+            maxTokens: openAIConfig.maxTokens,
+            tools: assistantTools,
+            toolChoice: round === maxToolRounds ? 'none' : 'auto',
+        }, {
+            signal,
+            onToken: (text) => {
+                fullText += text;
+                onToken(text);
+            }
+        });
+
+        if (reply.toolCalls.length === 0) {
+            return fullText;
         }
 
-        const [translation] = await translate.translate(text, targetLanguage);
-        logger.info('Translation from English', { text, targetLanguage, translation });
-        return translation;
-    } catch (error) {
-        logger.error(`Translation to ${targetLanguage} error:`, error);
-        return text;
+        runToolCalls(conversation, reply, context);
     }
+
+    return fullText;
 }
 
-function getSarvamLanguageCode(googleLangCode) {
-    return languageMapping[googleLangCode] || 'en-IN';
+/**
+ * Split complete sentences off the front of streamed text
+ * @param {string} buffer - Text received so far that has not been spoken
+ * @returns {{sentences: string[], rest: string}}
+ */
+function takeCompleteSentences(buffer) {
+    // Sentence ends: . ! ? and the Devanagari danda, followed by whitespace
+    const pattern = /[^.!?\u0964\u0965\n]*[.!?\u0964\u0965\n]+(?=\s)/g;
+    // A period after these is not the end of a sentence ("Rs. 85,000")
+    const abbreviation = /\b(rs|dr|mr|mrs|ms|no|approx|etc)\.$/i;
+    const sentences = [];
+    let start = 0;
+    let match;
+
+    while ((match = pattern.exec(buffer)) !== null) {
+        const sentence = buffer.slice(start, pattern.lastIndex).trim();
+        if (abbreviation.test(sentence)) continue;
+        if (sentence) sentences.push(sentence);
+        start = pattern.lastIndex;
+    }
+
+    return { sentences, rest: buffer.slice(start) };
 }
 
 // ============================================
-// Whisper Integration for Speech Recognition
+// Lead Capture
 // ============================================
 
 /**
- * Transcribe audio using OpenAI Whisper API
- * @param {string|Buffer} audioInput - Path to audio file or audio buffer
- * @param {string} language - Optional language code (e.g., 'en', 'hi', 'mr')
- * @returns {Promise<{text: string, language: string}>}
+ * Extract prospect details mentioned so far in a conversation
+ * @param {Array<{role: string, content: string}>} messages - Conversation turns
+ * @param {object} persona - Persona the caller spoke with
+ * @returns {Promise<object>} Any of name, phone, city, educationLevel, courseInterest (null when unknown)
  */
-async function transcribeWithWhisper(audioInput, language = null) {
-    try {
-        let audioFile;
-        let tempFilePath = null;
-
-        // Handle Buffer input
-        if (Buffer.isBuffer(audioInput)) {
-            tempFilePath = path.join(tempDir, `whisper_${uuidv4()}.wav`);
-            fs.writeFileSync(tempFilePath, audioInput);
-            audioFile = fs.createReadStream(tempFilePath);
-        } else if (typeof audioInput === 'string') {
-            // Handle file path input
-            if (!fs.existsSync(audioInput)) {
-                throw new Error(`Audio file not found: ${audioInput}`);
-            }
-            audioFile = fs.createReadStream(audioInput);
-        } else {
-            throw new Error('Invalid audio input type');
-        }
-
-        const transcriptionParams = {
-            file: audioFile,
-            model: 'whisper-1',
-            response_format: 'verbose_json',
-        };
+async function extractLeadDetails(messages, persona) {
+    const transcript = messages
+        .filter((msg) => msg.role === 'user' || msg.role === 'assistant')
+        .map((msg) => `${msg.role === 'user' ? 'Caller' : persona.name}: ${msg.content}`)
+        .join('\n');
+
+    const completion = await providers.llm.complete({
+        task: 'extract-lead',
+        model: openAIConfig.utilityModel,
+        messages: [
+            {
+                role: 'system',
+                content: `You extract prospective-student details from an admissions conversation for Skillora Design Academy.
+
+Return a JSON object with exactly these keys: ${LEAD_FIELDS.join(', ')}
+- name: the caller's own name
+- phone: a phone number the caller gave, digits with country code if stated
+- city: the city or town the caller lives in
+- educationLevel: the caller's current or highest education (e.g., "12th pass", "B.Com 2nd year")
+- courseInterest: the Skillora course the caller is interested in (${persona.catalog.courses.map((c) => c.name).join(', ')})
+
+Only use what the CALLER said or clearly confirmed. Use null for anything not mentioned. Write values in English/Roman script.`
+            },
+            { role: 'user', content: transcript }
+        ],
+        temperature: 0,
+        maxTokens: 150,
+        json: true
+    });
 
-        // Add language hint if provided
-        if (language) {
-            transcriptionParams.language = language;
-        }
+    const parsed = JSON.parse(completion.content);
+    return Object.fromEntries(LEAD_FIELDS.map((field) => [field, parsed[field] ?? null]));
+}
 
-        logger.info('Starting Whisper transcription', { language });
+// Turns that can carry a lead detail: numbers (phone, "12th", a year), an
+// email, a name, where they live, what they study, joining - and answers to
+// the assistant asking for one of those. Other turns skip the extraction call.
+const LEAD_DETAIL_HINT = /\d|@|\b(name|naam|nav|i am|i'm|myself|this is|from|live|living|city|rehta|rehti|rahto|rahate|study|studying|student|college|school|graduat\w*|degree|passed|interested|join|admission)\b|नाम|नाव|शहर|रहता|रहती|राहतो|राहते|पढ़|शिक्षण|कॉलेज|एडमिशन|प्रवेश/i;
+const LEAD_QUESTION_HINT = /\b(name|city|where|from|studying|study|education|qualification|course|interested|number|phone)\b|नाम|नाव|शहर|कहाँ|कुठे|पढ़|शिक्षण|कोर्स|नंबर/i;
+const COURSE_NAME_SKIPPED_WORDS = ['design', 'and', 'the'];
 
-        const transcription = await openai.audio.transcriptions.create(transcriptionParams);
+/**
+ * Whether the latest user turn is worth a lead extraction
+ * @param {Array<{role: string, content: string}>} messages - Conversation turns
+ * @param {object} persona - Supplies the course names
+ */
+function mayHoldLeadDetail(messages, persona) {
+    const userIndex = messages.findLastIndex((msg) => msg.role === 'user');
+    if (userIndex < 0) return false;
+    const text = String(messages[userIndex].content);
+    const asked = messages[userIndex - 1]?.role === 'assistant' && LEAD_QUESTION_HINT.test(messages[userIndex - 1].content);
+    const courseWords = persona.catalog.courses
+        .flatMap((course) => course.name.toLowerCase().split(/[^a-z]+/))
+        .filter((word) => word && !COURSE_NAME_SKIPPED_WORDS.includes(word));
+    return asked || LEAD_DETAIL_HINT.test(text)
+        || courseWords.some((word) => new RegExp(`\\b${word}\\b`, 'i').test(text));
+}
 
-        // Cleanup temp file if created
-        if (tempFilePath && fs.existsSync(tempFilePath)) {
-            fs.unlinkSync(tempFilePath);
-        }
+// Extraction in flight per conversation. Each waits for the one before, so
+// an older turn's details never land after a newer turn's.
+const leadCaptures = new Map();
 
-        logger.info('Whisper transcription completed', {
-            text: transcription.text,
-            detectedLanguage: transcription.language,
-            duration: transcription.duration
+/**
+ * Update the lead for a conversation in the background; never blocks a reply
+ * @param {string} sourceId - CallSid or web session id
+ * @param {string} channel - 'phone' or 'web'
+ * @param {Array<{role: string, content: string}>} messages - Conversation turns
+ * @param {object} persona - Persona the caller spoke with
+ */
+function captureLead(sourceId, channel, messages, persona) {
+    if (!mayHoldLeadDetail(messages, persona)) return;
+
+    // Earlier turns were read on earlier turns, and lead fields only ever fill in
+    const recent = messages.slice(-memoryConfig.recentTurns);
+    const capture = (leadCaptures.get(sourceId) || Promise.resolve())
+        .then(() => extractLeadDetails(recent, persona))
+        .then((details) => {
+            const lead = leadStore.upsertLead(sourceId, channel, details);
+            if (lead) {
+                logger.info(`[${sourceId}] Lead updated: ${lead.id}`);
+                // Re-archive so a name given on this turn is masked in the transcript too
+                if (lead.name) transcriptStore.update(sourceId, {});
+            }
+        })
+        .catch((error) => {
+            logger.error(`[${sourceId}] Lead capture error:`, error);
+        })
+        .finally(() => {
+            if (leadCaptures.get(sourceId) === capture) leadCaptures.delete(sourceId);
         });
+    leadCaptures.set(sourceId, capture);
+}
 
-        return {
-            text: transcription.text,
-            language: transcription.language || 'en',
-            duration: transcription.duration
-        };
-    } catch (error) {
-        logger.error('Whisper transcription error:', error);
-        throw new Error(`Whisper transcription failed: ${error.message}`);
-    }
+/**
+ * Names the caller has given in a conversation, masked wherever they appear
+ * in its transcript and logs
+ * @param {string} sourceId - CallSid or web session id
+ * @returns {string[]}
+ */
+function knownNames(sourceId) {
+    const lead = leadStore.getLead(sourceId);
+    return lead?.name ? [lead.name] : [];
 }
 
 // ============================================
-// Audio File Management
+// Assistant Tools (function calling)
 // ============================================
 
+const assistantTools = [
+    {
+        type: 'function',
+        function: {
+            name: 'list_visit_slots',
+            description: 'List available campus visit slots (IST). Call this before offering visit times.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    date: { type: 'string', description: 'Optional date (YYYY-MM-DD) to list slots for one day only' }
+                }
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'book_campus_visit',
+            description: 'Book a campus visit slot. Only call after the user has explicitly confirmed the date and time.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    slot_id: { type: 'string', description: 'slotId returned by list_visit_slots' },
+                    visitor_name: { type: 'string', description: "Visitor's name, if they gave it" }
+                },
+                required: ['slot_id']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'transfer_to_counselor',
+            description: 'Hand the conversation to a human admissions counselor. Call this when the user asks for a person, or when you cannot answer their question from the information you have.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    reason: { type: 'string', description: 'What the user needs help with, in a few words' }
+                }
+            }
+        }
+    }
+];
+
 /**
- * Schedule audio file for cleanup
- * @param {string} filePath - Path to the audio file
- * @param {number} delayMs - Delay in milliseconds before cleanup
+ * Run a tool requested by GPT
+ * @param {string} name - Tool name
+ * @param {object} args - Parsed tool arguments
+ * @param {object} context - { sourceId, channel, language }; transfer_to_counselor sets context.handoff
+ * @returns {object} JSON-serializable result handed back to GPT
  */
-function scheduleAudioCleanup(filePath, delayMs = 60000) {
-    const timeoutId = setTimeout(() => {
-        try {
-            if (fs.existsSync(filePath)) {
-                fs.unlinkSync(filePath);
-                logger.info(`Cleaned up audio file: ${filePath}`);
+function executeAssistantTool(name, args, context) {
+    switch (name) {
+        case 'list_visit_slots':
+            return { slots: visitScheduler.getAvailableSlots({ date: args.date, limit: 6 }) };
+
+        case 'book_campus_visit': {
+            const lead = leadStore.getLead(context.sourceId);
+            const { booking, error } = visitScheduler.bookVisit({
+                slotId: args.slot_id,
+                sourceId: context.sourceId,
+                channel: context.channel,
+                language: context.language,
+                name: args.visitor_name || lead?.name,
+                phone: lead?.phone,
+                leadId: lead?.id
+            });
+
+            if (error) {
+                logger.warn(`[${context.sourceId}] Visit booking failed: ${error}`, { slotId: args.slot_id });
+                return { success: false, error, alternatives: visitScheduler.getAvailableSlots({ limit: 3 }) };
             }
-            audioCleanupQueue.delete(filePath);
-        } catch (error) {
-            logger.error(`Error cleaning up audio file ${filePath}:`, error);
+
+            logger.info(`[${context.sourceId}] Campus visit booked: ${booking.id} for ${booking.slotId}`);
+            return { success: true, bookingId: booking.id, slot: booking.label, address: catalog.academy.campus.address };
         }
-    }, delayMs);
 
-    audioCleanupQueue.set(filePath, timeoutId);
+        case 'transfer_to_counselor':
+            // The transfer itself happens once the reply is ready - see startHandoff()
+            context.handoff = { reason: 'assistant', note: args.reason || null };
+            return { success: true, instruction: handoffInstruction(context.channel) };
+
+        default:
+            return { error: `Unknown tool: ${name}` };
+    }
 }
 
 /**
- * Clean up all pending audio files
+ * Get the assistant's reply, running any tool calls GPT makes along the way
+ * @param {Array<object>} messages - Chat messages for this turn
+ * @param {object} context - { sourceId, channel, language } for tool execution
+ * @returns {Promise<string>} Final reply text, checked against the guardrails
  */
-function cleanupAllAudioFiles() {
-    audioCleanupQueue.forEach((timeoutId, filePath) => {
-        clearTimeout(timeoutId);
+async function generateReply(messages, context) {
+    const conversation = [...messages];
+    const maxToolRounds = 3;
+
+    for (let round = 0; round <= maxToolRounds; round++) {
+        const reply = await providers.llm.complete({
+            model: openAIConfig.model,
+            messages: conversation,
+            temperature: openAIConfig.temperature,
+            maxTokens: openAIConfig.maxTokens,
+            tools: assistantTools,
+            // Force a spoken answer once the tool budget is used up
+            toolChoice: round === maxToolRounds ? 'none' : 'auto',
+        });
+
+        if (reply.toolCalls.length === 0) {
+            return enforceGuardrails(reply.content, conversation, context);
+        }
+
+        runToolCalls(conversation, reply, context);
+    }
+}
+
+/**
+ * Execute the tool calls in a model reply and append the results to the conversation
+ * @param {Array<object>} conversation - Messages for the next round (mutated)
+ * @param {{content: string|null, toolCalls: Array<object>}} reply - Provider reply
+ * @param {object} context - { sourceId, channel, language }
+ */
+function runToolCalls(conversation, reply, context) {
+    conversation.push({ role: 'assistant', content: reply.content || null, tool_calls: reply.toolCalls });
+    reply.toolCalls.forEach((call) => {
+        let result;
+        try {
+            const args = JSON.parse(call.function.arguments || '{}');
+            logger.info(`[${context.sourceId}] Tool call: ${call.function.name}`, args);
+            result = executeAssistantTool(call.function.name, args, context);
+        } catch (error) {
+            logger.error(`[${context.sourceId}] Tool ${call.function.name} error:`, error);
+            result = { error: error.message };
+        }
+        conversation.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+    });
+}
+
+// ============================================
+// Reply Guardrails
+// ============================================
+
+/**
+ * Check a finished reply before it is spoken or shown. A reply that makes a
+ * banned claim or gives financial advice is generated again; anything that
+ * still breaks a rule is rewritten (offending sentences dropped, trimmed to
+ * the word limit, disclaimers added).
+ * @param {string} reply - Model reply
+ * @param {Array<object>} conversation - Messages the reply answers, tool results included
+ * @param {object} context - { sourceId, channel, language }
+ * @returns {Promise<string>} Reply that passes the guardrails
+ */
+async function enforceGuardrails(reply, conversation, context) {
+    if (!guardrails.enabled || !reply) return reply;
+
+    const first = guardrails.review(reply);
+    if (first.violations.length === 0) return reply;
+
+    const actions = [];
+    let text = reply;
+    let review = first;
+    for (let attempt = 0; attempt < guardrailConfig.maxRegenerations && guardrails.needsRegeneration(review.violations); attempt++) {
+        try {
+            text = await regenerateReply(conversation, text, review.violations);
+        } catch (error) {
+            logger.error(`[${context.sourceId}] Guardrail regeneration failed:`, error);
+            break;
+        }
+        actions.push('regenerated');
+        review = guardrails.review(text);
+    }
+
+    if (review.violations.length) {
+        const additions = await guardrailAdditions(review, context.language);
+        text = [...review.kept, ...additions].join(' ');
+        actions.push(review.kept.length ? 'rewritten' : 'replaced');
+    }
+
+    recordIntervention(context, { original: reply, final: text, violations: first.violations, actions });
+    return text;
+}
+
+/**
+ * Stream a reply through the guardrails: each sentence is released only once
+ * it passes, so nothing is spoken that has to be taken back. A streamed reply
+ * cannot be generated again, so breaking sentences are held back instead and
+ * the disclaimers (or the fallback reply) follow at the end.
+ * @returns {Promise<string>} Reply text as released
+ */
+async function screenStreamedReply(messages, context, onToken, signal) {
+    const screen = guardrails.createScreen();
+    let original = '';
+    let pending = '';
+    let released = '';
+
+    const release = (text) => {
+        released += `${text} `;
+        onToken(`${text} `);
+    };
+    const offer = (sentence) => {
+        const text = screen.accept(sentence);
+        if (text) release(text);
+    };
+
+    try {
+        await streamModelReply(messages, context, (text) => {
+            original += text;
+            const { sentences, rest } = takeCompleteSentences(pending + text);
+            pending = rest;
+            sentences.forEach(offer);
+        }, signal);
+    } catch (error) {
+        // Cut off mid-reply: still log anything that was held back
+        const held = screen.finish().violations.filter((violation) => violation.type !== 'missing-disclaimer');
+        if (held.length) {
+            recordIntervention(context, { original, final: released.trim(), violations: held, actions: ['rewritten'], interrupted: true });
+        }
+        throw error;
+    }
+    if (pending.trim()) offer(pending.trim());
+
+    const review = screen.finish();
+    if (review.violations.length === 0) return released.trim();
+
+    (await guardrailAdditions(review, context.language)).forEach(release);
+    recordIntervention(context, {
+        original,
+        final: released.trim(),
+        violations: review.violations,
+        actions: [review.kept.length ? 'rewritten' : 'replaced']
+    });
+    return released.trim();
+}
+
+/**
+ * Sentences to add to what survived the guardrails: the missing disclaimers,
+ * or the fallback reply when nothing survived
+ * @param {{kept: string[], missingDisclaimers: object[]}} review
+ * @param {string} language - Reply language
+ * @returns {Promise<string[]>}
+ */
+async function guardrailAdditions(review, language) {
+    if (review.kept.length === 0) {
+        return [await translateFromEnglish(guardrailConfig.fallbackReply, language)];
+    }
+    return Promise.all(review.missingDisclaimers.map((rule) => translateFromEnglish(rule.text, language)));
+}
+
+/**
+ * Ask the model for a new reply, telling it which rules its draft broke
+ * @param {Array<object>} conversation - Messages the draft answered
+ * @param {string} draft - Reply that broke the rules
+ * @param {Array<object>} violations - From guardrails.review()
+ * @returns {Promise<string>}
+ */
+async function regenerateReply(conversation, draft, violations) {
+    const completion = await providers.llm.complete({
+        task: 'guardrail-rewrite',
+        model: openAIConfig.model,
+        messages: [
+            ...conversation,
+            { role: 'assistant', content: draft },
+            {
+                role: 'system',
+                content: `Your reply above breaks these rules:
+${violations.map((violation) => `- ${violation.description}`).join('\n')}
+
+Write a new reply to the user's last message that follows every rule in your instructions. Use the same language, stay under ${guardrailConfig.maxWords} words and reply with the new text only.`
+            }
+        ],
+        temperature: openAIConfig.temperature,
+        maxTokens: openAIConfig.maxTokens,
+        // Tool results may be in the conversation, but no new calls
+        tools: assistantTools,
+        toolChoice: 'none',
+    });
+    return (completion.content || '').trim();
+}
+
+/**
+ * Log a guardrail intervention for compliance review
+ * @param {object} context - { sourceId, channel, language }
+ * @param {object} details - { original, final, violations, actions, interrupted }
+ */
+function recordIntervention(context, details) {
+    const entry = { sourceId: context.sourceId, channel: context.channel, language: context.language, ...details };
+    guardrails.record(redactor.redact(entry, 'guardrailLog', { names: knownNames(context.sourceId) }));
+    logger.warn(`[${context.sourceId}] Guardrails ${details.actions.join(' + ')} reply (${details.violations.map((violation) => violation.rule).join(', ')})`, {
+        original: details.original,
+        final: details.final
+    });
+}
+
+async function translateToEnglish(text, sourceLanguage) {
+    try {
+        if (sourceLanguage === 'en') {
+            return text;
+        }
+
+        if (!providers.translate.isConfigured()) {
+            return text;
+        }
+
+        const translation = await providers.translate.translate(text, 'en');
+        logger.info('Translation to English', { original: text, translated: translation });
+        return translation;
+    } catch (error) {
+        logger.error('Translation to English error:', error);
+        return text;
+    }
+}
+
+async function translateFromEnglish(text, targetLanguage) {
+    try {
+        if (targetLanguage === 'en') {
+            return text;
+        }
+
+        if (!providers.translate.isConfigured()) {
+            return text;
+        }
+
+        const translation = await providers.translate.translate(text, targetLanguage);
+        logger.info('Translation from English', { text, targetLanguage, translation });
+        return translation;
+    } catch (error) {
+        logger.error(`Translation to ${targetLanguage} error:`, error);
+        return text;
+    }
+}
+
+function getSarvamLanguageCode(googleLangCode) {
+    return languageMapping[googleLangCode] || 'en-IN';
+}
+
+// ============================================
+// Conversation Sessions
+// ============================================
+
+/**
+ * Strip stored turns down to what the Chat Completions API accepts
+ * @param {Array<{role: string, content: string, metadata: object}>} messages
+ */
+function toChatMessages(messages) {
+    return messages.map(({ role, content }) => ({ role, content }));
+}
+
+/**
+ * Classify how a conversation went, for counselors reviewing it
+ * @param {object} summary - Transcript summary
+ * @returns {string} 'visit_booked', 'lead_captured', 'dropped' or 'in_progress'
+ */
+function conversationOutcome(summary) {
+    // Nobody to talk to - only a message was left
+    if (isMachine(summary.answeredBy)) {
+        return 'voicemail';
+    }
+
+    if (visitScheduler.listBookings({ sourceId: summary.id, status: 'confirmed' }).length > 0) {
+        return 'visit_booked';
+    }
+
+    // A phone number alone is known for every call; it is not a captured lead
+    const lead = leadStore.getLead(summary.id);
+    if (lead && (lead.name || lead.courseInterest || lead.city || lead.educationLevel)) {
+        return 'lead_captured';
+    }
+
+    return summary.status === 'ended' ? 'dropped' : 'in_progress';
+}
+
+/**
+ * Notify open admin dashboards that a conversation changed
+ * @param {object|null} summary - Transcript summary
+ */
+function publishConversation(summary) {
+    if (summary) {
+        conversationEvents.emit('update', { ...summary, outcome: conversationOutcome(summary) });
+    }
+}
+
+/**
+ * Save a session and rewrite its archived transcript. Archive failures are
+ * logged but never break the live conversation.
+ * @param {object} session - Session with id
+ * @param {object} transcriptUpdates - Extra fields for the transcript (status, endedAt, ...)
+ * @returns {Promise<object>} The stored session
+ */
+async function persistSession(session, transcriptUpdates = {}) {
+    const stored = await sessionStore.set(session.id, session);
+    try {
+        publishConversation(transcriptStore.saveFromSession(stored, transcriptUpdates));
+    } catch (error) {
+        logger.error(`[${session.id}] Failed to archive transcript:`, error);
+    }
+    return stored;
+}
+
+/**
+ * Build the GPT messages for a web chat turn
+ * @param {object} persona - Supplies the system prompt and catalog scope
+ * @param {string} languageName - Language to answer in (e.g., 'Hindi')
+ * @param {string} correctedMessage - The user's corrected message
+ * @param {Array<object>} history - Session turns so far
+ * @param {object} context - { facts, summary, recent, mixed } from buildTurnMessages; without recent the whole history is sent
+ */
+function buildWebChatMessages(persona, languageName, correctedMessage, history, context = {}) {
+    return [
+        { role: 'system', content: `${persona.systemPrompt}
+
+${context.mixed ? mixedLanguageInstruction(languageName) : `CRITICAL LANGUAGE INSTRUCTION:
+The user is speaking in ${languageName}. You MUST respond ONLY in ${languageName}.
+- Write your ENTIRE response in ${languageName} language using the appropriate script (Devanagari for Hindi/Marathi, Tamil script for Tamil, etc.)
+- Do NOT use English at all
+- Do NOT mix languages
+- If you don't know how to say something in ${languageName}, still try your best to use ${languageName}
+
+This is MANDATORY. Respond in ${languageName} ONLY.`}` },
+        { role: 'system', content: buildCatalogContext(persona.catalog, correctedMessage, history) },
+        ...memoryMessages(context),
+        ...toChatMessages(context.recent || history),
+        { role: 'user', content: correctedMessage }
+    ];
+}
+
+/**
+ * Language instruction for a code-mixed conversation (Hinglish, Manglish):
+ * answer in the same mix rather than forcing one language
+ * @param {string} languageName - The Indian language being mixed with English
+ */
+function mixedLanguageInstruction(languageName) {
+    return `CRITICAL LANGUAGE INSTRUCTION:
+The user is speaking ${languageName} mixed with English, written in Roman script (like "mujhe UI UX course ki fees batao"). Reply the same way.
+- Write ${languageName} in Roman script, keeping English words where the user would (course names, fees, placement, portfolio)
+- Do NOT switch to pure English, and do NOT use ${languageName} native script
+- Match how much English the user uses
+
+This is MANDATORY. Reply in the same ${languageName}-English mix.`;
+}
+
+/**
+ * Build the GPT messages for a phone turn (Gather or media-stream calls)
+ * @param {object} persona - Supplies the system prompt and catalog scope
+ * @param {string} languageName - Language to answer in (e.g., 'Hindi')
+ * @param {string} correctedMessage - The caller's corrected message
+ * @param {Array<object>} history - Session turns so far
+ * @param {object} context - { facts, summary, recent, mixed } from buildTurnMessages; without recent the whole history is sent
+ */
+function buildPhoneMessages(persona, languageName, correctedMessage, history, context = {}) {
+    return [
+        {
+            role: 'system',
+            content: `${persona.systemPrompt}
+
+${context.mixed ? `${mixedLanguageInstruction(languageName)}
+Keep responses concise (under 30 words) for phone calls.` : `CRITICAL LANGUAGE INSTRUCTION:
+The user is speaking in ${languageName}. You MUST respond ONLY in ${languageName}.
+- Write your ENTIRE response in ${languageName} language
+- For Indian languages, you can use Roman script (transliteration) or native script
+- Do NOT use English at all unless the user is speaking English
+- Do NOT mix languages
+- Keep responses concise (under 30 words) for phone calls
+
+This is MANDATORY. Respond in ${languageName} ONLY.`}`
+        },
+        { role: 'system', content: buildCatalogContext(persona.catalog, correctedMessage, history) },
+        ...memoryMessages(context),
+        ...toChatMessages(context.recent || history),
+        { role: 'user', content: correctedMessage }
+    ];
+}
+
+// ============================================
+// Conversation Memory
+// ============================================
+
+/**
+ * Build the reply request for a turn, keeping it inside memoryConfig.tokenBudget:
+ * recent turns word for word, older ones folded into the session's summary
+ * (the caller persists the session)
+ * @param {object} session - Conversation session
+ * @param {object} persona - Persona answering
+ * @param {string} languageName - Language to answer in
+ * @param {string} correctedMessage - The user's corrected message
+ * @param {boolean} [mixed] - Answer in that language mixed with English (from conversationLanguage)
+ * @returns {Promise<Array<object>>} Chat messages
+ */
+async function buildTurnMessages(session, persona, languageName, correctedMessage, mixed = false) {
+    const build = session.channel === 'web' ? buildWebChatMessages : buildPhoneMessages;
+    const facts = conversationFacts(session);
+
+    // Everything sent regardless of history: instructions, catalog, facts, tool definitions, the question
+    const fixed = build(persona, languageName, correctedMessage, session.messages, { facts, mixed, recent: [] });
+    const fixedTokens = fixed.reduce((sum, message) => sum + estimateTokens(message.content), 0)
+        + estimateTokens(JSON.stringify(assistantTools));
+
+    const { summary, recent } = await conversationMemory.recall(session, { fixedTokens });
+    return build(persona, languageName, correctedMessage, session.messages, { facts, summary, recent, mixed });
+}
+
+/**
+ * What is already known about the person, restated with every request so it
+ * survives older turns being summarized
+ * @param {object} session - Conversation session
+ * @returns {string[]}
+ */
+function conversationFacts(session) {
+    const lead = leadStore.getLead(session.id);
+    return [
+        lead?.name && `Name: ${lead.name}`,
+        lead?.city && `City: ${lead.city}`,
+        lead?.educationLevel && `Education: ${lead.educationLevel}`,
+        lead?.courseInterest && `Interested in: ${lead.courseInterest}`,
+        session.meta.language && `Language they chose: ${languageNames[session.meta.language] || session.meta.language}`
+    ].filter(Boolean);
+}
+
+/**
+ * System message carrying the known facts and the summary of earlier turns
+ * @param {object} memory - { facts, summary }
+ * @returns {Array<object>} Zero or one message
+ */
+function memoryMessages(memory) {
+    const lines = [];
+    if (memory.facts?.length) lines.push(`KNOWN ABOUT THE USER: ${memory.facts.join('. ')}`);
+    if (memory.summary) lines.push(`EARLIER IN THIS CONVERSATION (summary): ${memory.summary}`);
+    return lines.length ? [{ role: 'system', content: lines.join('\n') }] : [];
+}
+
+/**
+ * Fold turns that left the recent window into the running summary
+ * @param {string|null} previousSummary - Summary so far
+ * @param {Array<object>} messages - Turns to add to it, oldest first
+ * @param {object} session - Conversation session
+ * @returns {Promise<string>} New summary
+ */
+async function summarizeEarlierTurns(previousSummary, messages, session) {
+    const persona = personaFor(session);
+    const transcript = messages
+        .map((msg) => `${msg.role === 'user' ? 'User' : persona.name}: ${msg.content}`)
+        .join('\n');
+
+    const completion = await providers.llm.complete({
+        task: 'summarize-memory',
+        model: openAIConfig.utilityModel,
+        messages: [
+            {
+                role: 'system',
+                content: `You keep the memory of a conversation between ${persona.name}, the admissions assistant of Skillora Design Academy, and a prospective student or parent.
+Update the summary with the new turns. Keep what the user asked and was told, their background and interests, what they decided, and anything promised or arranged (visit slots offered or booked, callbacks). Drop greetings and small talk.
+Write plain English sentences, at most ${Math.round(memoryConfig.summaryMaxTokens * 0.6)} words, with no preamble.`
+            },
+            { role: 'user', content: `SUMMARY SO FAR:\n${previousSummary || '(none)'}\n\nNEW TURNS:\n${transcript}` }
+        ],
+        temperature: 0,
+        maxTokens: memoryConfig.summaryMaxTokens
+    });
+    return completion.content.trim();
+}
+
+/**
+ * Load the web session named by the client, or issue a new one. Clients
+ * can only reference sessions the server created; unknown ids get a fresh
+ * session rather than being adopted.
+ * @param {string} requestedId - Value of the X-Session-Id header
+ * @param {string} personaId - Value of the X-Persona header; only used for new sessions
+ */
+async function loadWebSession(requestedId, personaId) {
+    if (requestedId) {
+        const existing = await sessionStore.get(requestedId);
+        if (existing && existing.channel === 'web') {
+            return existing;
+        }
+    }
+
+    const persona = personas.resolve(personaId);
+    return { id: `web_${uuidv4()}`, channel: 'web', messages: [], meta: { persona: persona.id } };
+}
+
+/**
+ * Persona a session was started with (the default for sessions that predate personas)
+ */
+function personaFor(session) {
+    return personas.resolve(session?.meta?.persona);
+}
+
+/**
+ * Voice for a reply: the session's chosen voice, else the language's mapped voice, else the persona's
+ * @param {object} session
+ * @param {string} language - Two-letter reply language
+ */
+function voiceFor(session, language) {
+    return voices.select({ voiceId: session.meta?.voice, persona: personaFor(session), language });
+}
+
+/**
+ * Apply an X-Voice header to a web session. A voice id pins that voice;
+ * an empty value or 'auto' goes back to automatic selection.
+ * @returns {boolean} false if the voice id is unknown
+ */
+function applyVoiceChoice(session, requested) {
+    if (requested === undefined) {
+        return true;
+    }
+    if (requested === '' || requested === 'auto') {
+        session.meta.voice = null;
+        return true;
+    }
+    if (!voices.get(requested)) {
+        return false;
+    }
+    session.meta.voice = requested;
+    return true;
+}
+
+// ============================================
+// Human Handoff
+// ============================================
+
+// Spoken or shown to the user when a counselor takes over (translated as needed)
+const handoffMessages = {
+    transfer: 'Please hold while I connect you to one of our admissions counselors.',
+    callback: 'Our counselors are busy right now, so one of them will call you back shortly. Is there anything else I can help you with?',
+    callbackGoodbye: 'One of our admissions counselors will call you back shortly. Goodbye.',
+    web: 'I have asked one of our admissions counselors to join this chat. They will reply here shortly.',
+    webMissed: 'Our counselors are all busy right now, so one of them will get back to you later. Meanwhile I am happy to keep helping - what else would you like to know?',
+    notHeard: 'I am having trouble hearing you.'
+};
+
+/**
+ * What the model should tell the user after calling transfer_to_counselor
+ * @param {string} channel - 'phone' or 'web'
+ */
+function handoffInstruction(channel) {
+    if (channel === 'web') {
+        return 'Tell the user in one short sentence that an admissions counselor will join this chat shortly.';
+    }
+    return handoffDesk.canTransferCalls
+        ? 'Tell the caller in one short sentence that you are connecting them to an admissions counselor now.'
+        : 'Tell the caller in one short sentence that an admissions counselor will call them back shortly.';
+}
+
+/**
+ * Short English summary of the conversation for the counselor taking over
+ * @param {object} session - Conversation session
+ * @param {object} persona - Persona the user spoke with
+ * @param {object|null} lead - Lead captured so far
+ * @returns {Promise<string>}
+ */
+async function summarizeForCounselor(session, persona, lead) {
+    const known = [
+        lead?.name && `Name: ${lead.name}`,
+        lead?.courseInterest && `Interested in: ${lead.courseInterest}`,
+        lead?.city && `City: ${lead.city}`
+    ].filter(Boolean).join('. ');
+
+    const transcript = session.messages
+        .filter((msg) => msg.role === 'user' || msg.role === 'assistant')
+        .slice(-10)
+        .map((msg) => `${msg.role === 'user' ? 'Caller' : persona.name}: ${msg.content}`)
+        .join('\n');
+
+    try {
+        const completion = await providers.llm.complete({
+            task: 'handoff-summary',
+            model: openAIConfig.utilityModel,
+            messages: [
+                {
+                    role: 'system',
+                    content: `You brief a Skillora Design Academy admissions counselor who is about to take over a conversation from ${persona.name}, the AI assistant.
+Write 2 short sentences in English (under 40 words in total): who the person is and what they still need. The counselor hears this read aloud, so no lists or symbols.${known ? `\nKnown details - ${known}` : ''}${session.meta.memory?.summary ? `\nEarlier in the conversation: ${session.meta.memory.summary}` : ''}`
+                },
+                { role: 'user', content: transcript || '(no conversation yet)' }
+            ],
+            temperature: 0,
+            maxTokens: 100
+        });
+        return completion.content.trim();
+    } catch (error) {
+        logger.error(`[${session.id}] Handoff summary error:`, error);
+        return known || 'No details were captured before the transfer.';
+    }
+}
+
+/**
+ * Open a handoff for a session and tell open dashboards about it
+ * @param {object} session - Conversation session (meta.handoff is set; the caller persists it)
+ * @param {object} details - { reason, note, status }
+ * @returns {Promise<object>} The handoff record
+ */
+async function startHandoff(session, details) {
+    const persona = personaFor(session);
+    const lead = leadStore.getLead(session.id);
+    const summary = await summarizeForCounselor(session, persona, lead);
+
+    const handoff = handoffDesk.open(session, {
+        reason: details.reason,
+        summary: details.note ? `${summary} (${details.note})` : summary,
+        lead: lead && { name: lead.name, phone: lead.phone, courseInterest: lead.courseInterest },
+        status: details.status
+    });
+    logger.info(`[${session.id}] 🙋 Handoff ${handoff.id} (${handoff.reason}): ${handoff.status}`);
+    conversationEvents.emit('handoff', handoff);
+    return handoff;
+}
+
+/**
+ * Update a handoff and the session it belongs to
+ * @param {object} handoff - Handoff record (already updated in the desk)
+ */
+async function syncHandoffSession(handoff) {
+    conversationEvents.emit('handoff', handoff);
+    const session = await sessionStore.get(handoff.sessionId);
+    if (session) {
+        session.meta.handoff = { id: handoff.id, status: handoff.status };
+        await persistSession(session);
+    }
+    return session;
+}
+
+/**
+ * Whether a web session is currently with a counselor (or waiting for one)
+ */
+function isWithCounselor(session) {
+    return ['waiting', 'active'].includes(session.meta?.handoff?.status);
+}
+
+/**
+ * Hand a web chat that waited handoffConfig.webWaitSeconds without a
+ * counselor back to the assistant. The handoff stays on record as missed so
+ * a counselor can follow up, and the visitor is told so.
+ * @returns {Promise<boolean>} Whether the chat was handed back (the session still needs saving)
+ */
+async function releaseUnclaimedHandoff(session) {
+    if (session.channel !== 'web' || session.meta?.handoff?.status !== 'waiting') {
+        return false;
+    }
+    const handoff = handoffDesk.get(session.meta.handoff.id);
+    if (handoff && Date.now() - new Date(handoff.requestedAt).getTime() < handoffConfig.webWaitSeconds * 1000) {
+        return false;
+    }
+
+    // Claimed in the meantime - the session just had not heard yet
+    const { handoff: missed } = handoff ? handoffDesk.expire(handoff.id) : { handoff: null };
+    if (handoff && !missed) {
+        session.meta.handoff = { id: handoff.id, status: handoffDesk.get(handoff.id).status };
+        return false;
+    }
+
+    if (missed) {
+        conversationEvents.emit('handoff', missed);
+        logger.info(`[${session.id}] 🙋 Handoff ${missed.id}: nobody picked up in ${handoffConfig.webWaitSeconds}s - back to the assistant`);
+    }
+    session.meta.handoff = { id: session.meta.handoff.id, status: 'missed' };
+
+    const language = lastReplyLanguage(session);
+    session.messages.push({
+        role: 'assistant',
+        content: await translateFromEnglish(handoffMessages.webMissed, language),
+        metadata: { language, handoffNotice: true, timestamp: new Date().toISOString() }
+    });
+    return true;
+}
+
+/**
+ * Language of the assistant's last reply in a session
+ */
+function lastReplyLanguage(session) {
+    const last = [...session.messages].reverse().find((msg) => msg.role === 'assistant' && msg.metadata?.language);
+    return last ? last.metadata.language : 'en';
+}
+
+/**
+ * Connect the call to the counselors: <Dial> every configured number (the
+ * one who answers first hears the whisper) or <Enqueue> into the queue
+ * @param {object} twiml - VoiceResponse to append to
+ * @param {object} handoff - Handoff record
+ */
+function appendCounselorTransfer(twiml, handoff) {
+    const action = `${process.env.PUBLIC_URL}/handoff/dial-status?handoffId=${handoff.id}`;
+
+    if (handoffConfig.counselorNumbers.length > 0) {
+        const dial = twiml.dial({ timeout: handoffConfig.dialTimeoutSeconds, action });
+        handoffConfig.counselorNumbers.forEach((number) => {
+            dial.number({ url: `${process.env.PUBLIC_URL}/handoff/whisper?handoffId=${handoff.id}` }, number);
+        });
+    } else {
+        twiml.enqueue({ action }, handoffConfig.counselorQueue);
+    }
+}
+
+/**
+ * Synthesize text for a <Gather>-mode call
+ * @param {object} [options] - { fixed: a fixed prompt, cached on first use }
+ * @returns {Promise<string|null>} Audio URL for <Play>, or null to fall back to Twilio TTS
+ */
+async function callAudioUrl(text, language, voice, options = {}) {
+    if (!isTtsEnabled()) {
+        return null;
+    }
+    try {
+        const audio = await synthesizeAudioFile(text, language, voice, 60000, options);
+        return audio && `${process.env.PUBLIC_URL}${audio.audioPath}`;
+    } catch (error) {
+        logger.error('[Text-to-Speech Error]:', error);
+        return null;
+    }
+}
+
+/**
+ * Speak text on a <Gather>-mode call outside a gather (synthesized when possible)
+ * @param {object} [options] - { fixed: a fixed prompt, cached on first use }
+ * @returns {Promise<string|null>} Audio URL, or null if Twilio TTS was used
+ */
+async function speakOnCall(twiml, text, language, voice, options = {}) {
+    const audioUrl = await callAudioUrl(text, language, voice, options);
+    if (audioUrl) {
+        twiml.play(audioUrl);
+    } else {
+        twiml.say(text);
+    }
+    return audioUrl;
+}
+
+/**
+ * Hand a <Gather>-mode call to a counselor: say so, then transfer it. With
+ * nowhere to transfer to, the caller is promised a call back and the
+ * conversation carries on.
+ * @param {object} twiml - VoiceResponse for this webhook
+ * @param {object} session - Call session; the caller persists it
+ * @param {object} details - { reason, note, language, message (already-generated reply to speak instead of the default) }
+ */
+async function transferCall(twiml, session, details) {
+    const canTransfer = handoffDesk.canTransferCalls;
+    const handoff = await startHandoff(session, {
+        reason: details.reason,
+        note: details.note,
+        status: canTransfer ? 'dialing' : 'callback'
+    });
+
+    const text = details.message
+        || await translateFromEnglish(canTransfer ? handoffMessages.transfer : handoffMessages.callback, details.language);
+    const voice = voiceFor(session, details.language);
+    const turn = { role: 'assistant', content: text, metadata: { language: details.language, timestamp: new Date().toISOString() } };
+    session.messages.push(turn);
+
+    if (canTransfer) {
+        turn.metadata.audioUrl = await speakOnCall(twiml, text, details.language, voice, { fixed: !details.message });
+        appendCounselorTransfer(twiml, handoff);
+    } else if (isTtsEnabled()) {
+        turn.metadata.audioUrl = await handleSynthesizedResponse(twiml, text, session.id, details.language, voice, callLocale(session));
+    } else {
+        const gather = gatherCallerTurn(twiml, session.id, callLocale(session));
+        gather.say(text);
+    }
+    return handoff;
+}
+
+// ============================================
+// Voicemail
+// ============================================
+
+/**
+ * Whether Twilio's answering-machine detection reported a machine (or fax)
+ * @param {string|null|undefined} answeredBy - AnsweredBy from Twilio
+ */
+function isMachine(answeredBy) {
+    return !!answeredBy && (answeredBy.startsWith('machine_') || answeredBy === 'fax');
+}
+
+/**
+ * Leave the voicemail message on a call a machine answered, then hang up.
+ * The message is in the language the call was placed for (the persona's
+ * first language otherwise); fax machines just get the hang-up.
+ * @param {object} twiml - VoiceResponse for /twilio-voice
+ * @param {object} session - The call's new session
+ * @param {string} answeredBy - AnsweredBy from Twilio
+ * @param {string|undefined} requestedLanguage - ?language= from /make-call or the campaign
+ */
+async function leaveVoicemail(twiml, session, answeredBy, requestedLanguage) {
+    const persona = personaFor(session);
+    const language = replyLanguageFor(persona, requestedLanguage);
+    const voicemail = { answeredBy, language, message: null, audioUrl: null, leftAt: null };
+
+    if (answeredBy !== 'fax') {
+        const fill = (message) => message.replace(/\{persona\}/g, persona.name);
+        voicemail.message = voicemailConfig.messages[language]
+            ? fill(voicemailConfig.messages[language])
+            : await translateFromEnglish(fill(voicemailConfig.messages.en), language);
+        voicemail.audioUrl = await speakOnCall(twiml, voicemail.message, language, voiceFor(session, language), { fixed: true });
+        voicemail.leftAt = new Date().toISOString();
+
+        session.messages.push({
+            role: 'assistant',
+            content: voicemail.message,
+            metadata: { language, audioUrl: voicemail.audioUrl, timestamp: voicemail.leftAt }
+        });
+    }
+    twiml.hangup();
+
+    logger.info(`[${session.id}] 📼 Answered by ${answeredBy} - ${voicemail.leftAt ? `left a voicemail in ${language}` : 'hanging up'}`);
+    session.meta.voicemail = voicemail;
+    try {
+        await persistSession(session, { answeredBy, voicemail });
+    } catch (error) {
+        logger.error(`[${session.id}] Failed to save voicemail:`, error);
+    }
+}
+
+// ============================================
+// Inbound Call Menu
+// ============================================
+
+/**
+ * <Gather> for the caller's next turn on a <Gather>-mode call. Callers can
+ * always answer with the keypad too (ivrConfig.shortcuts). Silence is posted
+ * to /handle-speech as well, which asks once more before giving up.
+ * @param {object} twiml - VoiceResponse
+ * @param {string} callSid
+ * @param {string|null} locale - Recognition language (e.g. 'hi-IN'); all supported languages if null
+ * @param {object} options - { lastChance: silence falls through to the verbs after the <Gather> instead }
+ */
+function gatherCallerTurn(twiml, callSid, locale, options = {}) {
+    return twiml.gather({
+        input: 'dtmf speech',
+        numDigits: 1,
+        action: `/handle-speech?callSid=${callSid}`,
+        actionOnEmptyResult: !options.lastChance,
+        speechTimeout: twilioConfig.speechTimeout,
+        language: locale || twilioConfig.language,
+        enhanced: true, // Use enhanced model for better accuracy
+    });
+}
+
+/**
+ * Answer a <Gather>-mode webhook that failed (the session store is down, a
+ * session write gave up): apologize and listen again, so Twilio gets TwiML
+ * and the call goes on instead of dropping
+ * @param {string|undefined} callSid
+ * @returns {string} TwiML
+ */
+function failedTurnTwiml(callSid) {
+    const twiml = new VoiceResponse();
+    if (callSid) {
+        const gather = gatherCallerTurn(twiml, callSid, null, { lastChance: true });
+        gather.say('Sorry, something went wrong on our side. Please say that again.');
+    }
+    twiml.say('Sorry, we are having some trouble right now. Please call back in a little while. Goodbye.');
+    twiml.hangup();
+    return twiml.toString();
+}
+
+/**
+ * Recognition language for a call whose caller picked a language from the menu
+ * @returns {string|null} Locale, or null if the language is not fixed
+ */
+function callLocale(session) {
+    return session?.meta?.language ? getSarvamLanguageCode(session.meta.language) : null;
+}
+
+/**
+ * Menu keys for the languages a persona speaks, in key order
+ * @returns {Array<[string, string]>} [key, language] pairs
+ */
+function menuLanguages(persona) {
+    return Object.entries(ivrConfig.languageKeys).filter(([, language]) => persona.languages.includes(language));
+}
+
+/**
+ * What the language menu says: the welcome (first reading only), then each
+ * option in its own language
+ * @returns {Array<{text: string, language: string}>}
+ */
+function menuPrompts(persona, withWelcome) {
+    return [
+        ...(withWelcome ? [{ text: ivrConfig.welcome, language: 'en' }] : []),
+        ...menuLanguages(persona).map(([key, language]) => ({
+            text: ivrConfig.languagePrompts[language].replace(/\{key\}/g, key),
+            language
+        }))
+    ];
+}
+
+/**
+ * Synthesize every persona's language menu into the TTS cache, so the first
+ * call after a start or a config change does not wait for a dozen prompts
+ * inside Twilio's webhook timeout
+ */
+async function warmMenuPrompts() {
+    if (!ivrConfig.enabled || !ttsCache || !isTtsEnabled()) {
+        return;
+    }
+    const prompts = personas.list().flatMap((persona) => menuPrompts(persona, true).map((prompt) => ({
+        ...prompt,
+        voice: voices.select({ persona, language: prompt.language })
+    })));
+
+    let failed = 0;
+    for (const prompt of prompts) {
+        // One at a time - this runs alongside live calls
+        await synthesizeAudioFile(prompt.text, prompt.language, prompt.voice, 0, { fixed: true }).catch((error) => {
+            failed++;
+            logger.warn(`Could not synthesize menu prompt "${prompt.text}": ${error.message}`);
+        });
+    }
+    logger.info(`📋 Menu prompts ready: ${prompts.length - failed} of ${prompts.length}`);
+}
+
+/**
+ * Read the language options inside a <Gather> that posts the choice to /ivr/language
+ * @param {number} attempt - How many times the options have been read, including this one
+ */
+async function appendLanguageMenu(twiml, session, attempt) {
+    const persona = personaFor(session);
+    const gather = twiml.gather({
+        input: 'dtmf speech',
+        numDigits: 1,
+        timeout: ivrConfig.menuTimeoutSeconds,
+        action: `/ivr/language?callSid=${session.id}&attempt=${attempt}`,
+        actionOnEmptyResult: true,
+        speechTimeout: 'auto',
+        language: twilioConfig.language,
+    });
+
+    // Synthesized side by side (usually cache hits), then read in order
+    const prompts = menuPrompts(persona, attempt === 1);
+    const audioUrls = await Promise.all(prompts.map((prompt) =>
+        callAudioUrl(prompt.text, prompt.language, voiceFor(session, prompt.language), { fixed: true })));
+    prompts.forEach((prompt, index) => {
+        if (audioUrls[index]) {
+            gather.play(audioUrls[index]);
+        } else {
+            gather.say(prompt.text);
+        }
+    });
+}
+
+/**
+ * The language a caller picked from the menu, by key or by voice: naming a
+ * language ("Hindi") or just speaking in one both count
+ * @returns {Promise<string|null>} Language code, or null if nothing offered was picked
+ */
+async function chooseMenuLanguage(persona, digits, speech) {
+    const offered = menuLanguages(persona).map(([, language]) => language);
+    if (digits) {
+        const language = ivrConfig.languageKeys[digits];
+        return offered.includes(language) ? language : null;
+    }
+    if (!speech) {
+        return null;
+    }
+
+    const named = languageTracker.requestedLanguage(speech, offered)?.language
+        || offered.find((language) => new RegExp(`\\b${languageNames[language]}\\b`, 'i').test(speech));
+    if (named) {
+        return named;
+    }
+    const { language } = await detectLanguageAndCorrect(speech);
+    return offered.includes(language) ? language : null;
+}
+
+/**
+ * "You can ask me anything, or press 1 for fees, ..." in English
+ */
+function keypadHint() {
+    // In keypad order: 1-9, then 0
+    const keys = Object.entries(ivrConfig.shortcuts)
+        .sort(([a], [b]) => (a === '0') - (b === '0'))
+        .map(([key, shortcut]) => `${key} for ${shortcut.label}`);
+    return keys.length ? `You can ask me anything, or press ${keys.join(', ')}.` : '';
+}
+
+/**
+ * What the assistant says first on a call: the persona's greeting in the
+ * call's language, with the keypad hint when the caller came through the menu
+ * @returns {Promise<{text: string, language: string}>}
+ */
+async function callGreeting(session) {
+    const persona = personaFor(session);
+    const language = session.meta.language || 'en';
+    const english = session.meta.ivr ? `${persona.greeting} ${keypadHint()}`.trim() : persona.greeting;
+    return { text: await translateFromEnglish(english, language), language };
+}
+
+// Spoken on menu calls (translated into the call's language)
+const keypadMessages = {
+    unknownKey: 'Sorry, that key is not one of the options.',
+    notHeard: 'I did not catch that.'
+};
+
+/**
+ * A keypress on a <Gather>-mode call that is not a question: the handoff
+ * shortcut goes to a counselor, any other key repeats the options
+ * @param {object} twiml - VoiceResponse for /handle-speech
+ * @param {object} session - Call session
+ * @param {string} digits - Key(s) pressed
+ * @param {object|undefined} shortcut - Its ivrConfig.shortcuts entry, if any
+ */
+async function answerKeypress(twiml, session, digits, shortcut) {
+    const language = session.meta.language || lastReplyLanguage(session);
+
+    if (shortcut?.handoff) {
+        session.messages.push({
+            role: 'user',
+            content: `(pressed ${digits} for ${shortcut.label})`,
+            metadata: { dtmf: digits, timestamp: new Date().toISOString() }
+        });
+        await transferCall(twiml, session, { reason: 'requested', note: 'pressed the counselor key', language });
+    } else {
+        const text = await translateFromEnglish(`${keypadMessages.unknownKey} ${keypadHint()}`, language);
+        const gather = gatherCallerTurn(twiml, session.id, callLocale(session));
+        await speakOnCall(gather, text, language, voiceFor(session, language), { fixed: true });
+    }
+    await persistSession(session);
+}
+
+// ============================================
+// Speech Recognition
+// ============================================
+
+/**
+ * Transcribe audio with the configured speech-to-text provider (Whisper by default)
+ * @param {string|Buffer} audioInput - Path to audio file or WAV buffer
+ * @param {string} language - Optional language code (e.g., 'en', 'hi', 'mr')
+ * @returns {Promise<{text: string, language: string, duration: number}>}
+ */
+async function transcribeAudio(audioInput, language = null) {
+    try {
+        if (typeof audioInput === 'string' && !fs.existsSync(audioInput)) {
+            throw new Error(`Audio file not found: ${audioInput}`);
+        }
+        if (typeof audioInput !== 'string' && !Buffer.isBuffer(audioInput)) {
+            throw new Error('Invalid audio input type');
+        }
+
+        logger.info('Starting transcription', { provider: providers.stt.name, language });
+
+        const transcription = await providers.stt.transcribe(audioInput, { language });
+
+        logger.info('Transcription completed', {
+            text: transcription.text,
+            detectedLanguage: transcription.language,
+            duration: transcription.duration
+        });
+
+        return {
+            text: transcription.text,
+            language: transcription.language || 'en',
+            duration: transcription.duration
+        };
+    } catch (error) {
+        logger.error('Transcription error:', error);
+        throw new Error(`Transcription failed: ${error.message}`);
+    }
+}
+
+// ============================================
+// Audio File Management
+// ============================================
+
+/**
+ * Schedule audio file for cleanup
+ * @param {string} filePath - Path to the audio file
+ * @param {number} delayMs - Delay in milliseconds before cleanup
+ */
+function scheduleAudioCleanup(filePath, delayMs = 60000) {
+    const timeoutId = setTimeout(() => {
+        try {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+                logger.info(`Cleaned up audio file: ${filePath}`);
+            }
+            audioCleanupQueue.delete(filePath);
+        } catch (error) {
+            logger.error(`Error cleaning up audio file ${filePath}:`, error);
+        }
+    }, delayMs);
+
+    audioCleanupQueue.set(filePath, timeoutId);
+}
+
+function isTtsEnabled() {
+    return providers.tts.isConfigured();
+}
+
+/**
+ * Synthesize speech with the configured text-to-speech provider
+ * @param {string} text - Text to speak
+ * @param {string} language - Detected language code (e.g., 'hi')
+ * @param {object} voice - Entry from voiceConfigs (usually the persona's voice)
+ * @param {number} sampleRate - Output sample rate (Hz)
+ * @returns {Promise<Buffer|null>} WAV audio, or null if the provider returned none
+ */
+function synthesizeSpeech(text, language, voice, sampleRate = 22050) {
+    return providers.tts.synthesize(text, {
+        languageCode: getSarvamLanguageCode(language),
+        voice,
+        sampleRate
+    });
+}
+
+/**
+ * Write audio to public/audio so Twilio and the browser can fetch it
+ * @param {Buffer} audioBuffer - WAV audio
+ * @param {string} audioFileName - File name (random by default)
+ * @returns {{audioFileName: string, audioFilePath: string}}
+ */
+function saveAudioFile(audioBuffer, audioFileName = `${uuidv4()}.wav`) {
+    const audioDir = path.join(__dirname, 'public', 'audio');
+    if (!fs.existsSync(audioDir)) {
+        fs.mkdirSync(audioDir, { recursive: true });
+    }
+
+    const audioFilePath = path.join(audioDir, audioFileName);
+    fs.writeFileSync(audioFilePath, audioBuffer);
+    return { audioFileName, audioFilePath };
+}
+
+/**
+ * Cache key for a phrase when the TTS cache should serve it: fixed prompts
+ * always, anything else once it repeats (see services/ttsCache.js)
+ * @param {boolean} fixed - A fixed prompt (greeting, menu, reprompt)
+ * @returns {string|null} null to synthesize a one-off file instead
+ */
+function speechCacheKey(text, language, voice, sampleRate, fixed) {
+    if (!ttsCache) {
+        return null;
+    }
+    const key = ttsCacheKey({
+        provider: providers.tts.name,
+        text,
+        languageCode: getSarvamLanguageCode(language),
+        voice,
+        sampleRate
+    });
+    return ttsCache.admit(key, fixed) ? key : null;
+}
+
+/**
+ * Synthesize speech to a file Twilio and the browser can fetch. Fixed
+ * prompts and repeated phrases come from the TTS cache; anything else gets
+ * a one-off file that is deleted after cleanupMs.
+ * @param {string} text - Text to speak
+ * @param {string} language - Detected language code (e.g., 'hi')
+ * @param {object} voice - Entry from voiceConfigs
+ * @param {number} cleanupMs - Lifetime of uncached files
+ * @param {object} [options] - { fixed: a fixed prompt, cached on first use }
+ * @returns {Promise<{audioPath: string, size: number, cached: boolean}|null>} null if no audio was returned
+ */
+async function synthesizeAudioFile(text, language, voice, cleanupMs, options = {}) {
+    const key = speechCacheKey(text, language, voice, 22050, !!options.fixed);
+    if (key) {
+        const entry = await ttsCache.getOrCreate(key, () => synthesizeSpeech(text, language, voice, 22050));
+        return entry && { audioPath: `/audio/cache/${entry.fileName}`, size: entry.size, cached: entry.cached };
+    }
+
+    const audioBuffer = await synthesizeSpeech(text, language, voice);
+    if (!audioBuffer) {
+        return null;
+    }
+
+    const { audioFileName, audioFilePath } = saveAudioFile(audioBuffer);
+    scheduleAudioCleanup(audioFilePath, cleanupMs);
+    return { audioPath: `/audio/${audioFileName}`, size: audioBuffer.length, cached: false };
+}
+
+/**
+ * Synthesize speech for the web client
+ * @param {string} text - Text to speak
+ * @param {string} language - Detected language code (e.g., 'hi')
+ * @param {object} voice - Entry from voiceConfigs
+ * @param {string} sessionId - For logging
+ * @returns {Promise<string|null>} Relative audio URL, or null if no audio was returned
+ */
+async function synthesizeWebAudio(text, language, voice, sessionId) {
+    const audio = await synthesizeAudioFile(text, language, voice, 60000);
+    if (!audio) {
+        return null;
+    }
+
+    logger.info(`[${sessionId}] Audio ${audio.cached ? 'served from cache' : 'saved'}: ${audio.audioPath}`);
+    return audio.audioPath;
+}
+
+/**
+ * Clean up all pending audio files
+ */
+function cleanupAllAudioFiles() {
+    audioCleanupQueue.forEach((timeoutId, filePath) => {
+        clearTimeout(timeoutId);
+        try {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+                logger.info(`Force cleaned up: ${filePath}`);
+            }
+        } catch (error) {
+            logger.error(`Error force cleaning ${filePath}:`, error);
+        }
+    });
+    audioCleanupQueue.clear();
+}
+
+// ============================================
+// Routes
+// ============================================
+
+// Serve the frontend
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+// Health check endpoint with detailed status
+app.get('/health', async (req, res) => {
+    const health = {
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        services: {
+            twilio: !!(accountSid && authToken),
+            twilioSignatureValidation: twilioConfig.validateSignatures,
+            // { provider, configured } for each swappable service
+            ...Object.fromEntries(Object.entries(providers).map(([kind, provider]) => [
+                kind,
+                { provider: provider.name, configured: provider.isConfigured() }
+            ]))
+        },
+        voiceConfig: {
+            speaker: personas.defaultPersona.voice.speaker,
+            model: personas.defaultPersona.voice.model,
+            language: personas.defaultPersona.voice.language
+        },
+        personas: personas.list().length,
+        sessionBackend: sessionStore.backend,
+        activeConversations: await sessionStore.size().catch(() => null),
+        leads: leadStore.size,
+        transcripts: transcriptStore.size,
+        pendingCleanups: audioCleanupQueue.size,
+        ttsCache: ttsCache ? ttsCache.stats() : { enabled: false }
+    };
+
+    res.json(health);
+});
+
+/**
+ * Dial a number through the call guard. Shared by /make-call and campaigns,
+ * so both are held to the same allow-list, do-not-call list and caps.
+ * @param {object} request - { phoneNumber, mode, persona, voice, context } where
+ *   context ({ actor, ip, campaign }) goes to the audit log
+ * @returns {Promise<{callSid?: string, error?: string, reason?: string, status?: number}>}
+ */
+async function placeOutboundCall({ phoneNumber, mode, persona, voice, language, context }) {
+    if (!client) {
+        callGuard.reject(phoneNumber, 'calling_disabled', context);
+        return { error: 'Calling is disabled - set TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN', reason: 'calling_disabled', status: 503 };
+    }
+    if (!process.env.PUBLIC_URL) {
+        // Twilio fetches the call's instructions (and the media stream) from here
+        callGuard.reject(phoneNumber, 'calling_disabled', context);
+        return { error: 'Calling is disabled - set PUBLIC_URL', reason: 'calling_disabled', status: 503 };
+    }
+
+    const attempt = callGuard.authorize(phoneNumber, { ...context, persona: persona.id });
+    if (!attempt.allowed) {
+        logger.warn(`Call to ${attempt.phone || phoneNumber} refused (${attempt.reason}) for ${context.actor}`);
+        return { error: attempt.message, reason: attempt.reason, status: attempt.status };
+    }
+
+    try {
+        const query = new URLSearchParams({ mode, persona: persona.id });
+        if (voice) query.set('voice', voice);
+        if (language) query.set('language', language);
+
+        const call = await client.calls.create({
+            // The number the guard checked, not the one as typed
+            to: attempt.phone,
+            // Call from the persona's own number when it has one
+            from: persona.phoneNumbers[0] || twilioPhoneNumber,
+            url: `${process.env.PUBLIC_URL}/twilio-voice?${query}`,
+            statusCallback: `${process.env.PUBLIC_URL}/call-status`,
+            statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+            // Twilio tells /twilio-voice whether a person or a machine answered (AnsweredBy)
+            ...(voicemailConfig.machineDetection !== 'off' && {
+                machineDetection: voicemailConfig.machineDetection,
+                machineDetectionTimeout: voicemailConfig.detectionTimeoutSeconds,
+            }),
+        });
+
+        callGuard.markPlaced(attempt.attemptId, call.sid);
+        logger.info(`Call initiated: ${call.sid} to ${attempt.phone} (${mode} mode, persona ${persona.id}) by ${context.actor}`);
+        return { callSid: call.sid };
+    } catch (error) {
+        callGuard.markFailed(attempt.attemptId, error.message);
+        logger.error('Error making call:', error);
+        return { error: error.message, reason: 'twilio_error', status: 500 };
+    }
+}
+
+/**
+ * Place one campaign call; the contact's name and course interest from the
+ * uploaded list start off the call's lead record
+ */
+async function placeCampaignCall(contact, campaign) {
+    const result = await placeOutboundCall({
+        phoneNumber: contact.phone,
+        mode: campaign.mode || twilioConfig.callMode,
+        persona: personas.resolve(campaign.persona),
+        voice: campaign.voice,
+        language: campaign.language,
+        context: { actor: `campaign:${campaign.id}`, ip: null },
+    });
+    if (result.callSid) {
+        leadStore.upsertLead(result.callSid, 'phone', {
+            name: contact.name,
+            phone: contact.phone,
+            courseInterest: contact.courseInterest
+        });
+    }
+    return result;
+}
+
+// Initiate outbound call with validation
+app.post('/make-call',
+    requireCallAuthorization,
+    body('phoneNumber').custom((value) => !!callGuard.normalizePhone(value)).withMessage('Invalid phone number'),
+    body('mode').optional().isIn(['gather', 'stream']).withMessage('Mode must be gather or stream'),
+    body('persona').optional().custom((id) => !!personas.get(id)).withMessage('Unknown persona'),
+    body('voice').optional().custom((id) => !!voices.get(id)).withMessage('Unknown voice'),
+    body('language').optional().custom((code) => !!languageNames[code]).withMessage('Unknown language'),
+    async (req, res) => {
+        const auditContext = { actor: req.requester, ip: req.ip };
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            logger.warn('Invalid call request', { errors: errors.array() });
+            callGuard.reject(req.body.phoneNumber, 'invalid_request', auditContext);
+            return res.status(400).json({ error: 'Invalid call request', details: errors.array() });
+        }
+
+        const { phoneNumber } = req.body;
+        const mode = req.body.mode || twilioConfig.callMode;
+        const persona = personas.resolve(req.body.persona);
+
+        const result = await placeOutboundCall({
+            phoneNumber,
+            mode,
+            persona,
+            voice: req.body.voice,
+            language: req.body.language,
+            context: auditContext
+        });
+        if (result.error) {
+            return result.reason === 'twilio_error'
+                ? res.status(500).json({ error: 'Failed to initiate call', details: result.error })
+                : res.status(result.status).json({ error: result.error, reason: result.reason });
+        }
+        res.json({ success: true, callSid: result.callSid, mode, persona: persona.id });
+    }
+);
+
+// Every /make-call attempt, newest first (?outcome=rejected&reason=&phone=&since=&limit=)
+app.get('/call-audit', requireAdminKey, (req, res) => {
+    const { outcome, reason, phone, since } = req.query;
+    const limit = req.query.limit ? Number(req.query.limit) : 200;
+    const entries = callGuard.listAudit({ outcome, reason, phone, since, limit });
+    res.json({ count: entries.length, entries });
+});
+
+// Do-not-call list
+app.get('/do-not-call', requireAdminKey, (req, res) => {
+    const numbers = callGuard.listDoNotCall();
+    res.json({ count: numbers.length, numbers });
+});
+
+app.post('/do-not-call',
+    requireAdminKey,
+    body('phoneNumber').custom((value) => !!callGuard.normalizePhone(value)).withMessage('Invalid phone number'),
+    body('reason').optional().isString().trim(),
+    (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Invalid request', details: errors.array() });
+        }
+
+        const entry = callGuard.addDoNotCall(req.body.phoneNumber, { reason: req.body.reason, addedBy: req.ip });
+        logger.info(`Added ${entry.phone} to the do-not-call list`);
+        res.json({ success: true, entry });
+    }
+);
+
+app.delete('/do-not-call/:phoneNumber', requireAdminKey, (req, res) => {
+    if (!callGuard.removeDoNotCall(req.params.phoneNumber)) {
+        return res.status(404).json({ error: 'Number is not on the do-not-call list' });
+    }
+    logger.info(`Removed ${req.params.phoneNumber} from the do-not-call list`);
+    res.json({ success: true });
+});
+
+// ============================================
+// Outbound Call Campaigns
+// ============================================
+
+// A raw CSV upload carries the campaign settings in the query string
+const campaignUpload = [
+    express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+    (req, res, next) => {
+        if (typeof req.body === 'string') {
+            req.body = { ...req.query, csv: req.body };
+        }
+        next();
+    }
+];
+
+// Create a campaign from a CSV of numbers (phone, name, course interest columns).
+// Send JSON { name, csv, startAt, persona, mode, voice, language, concurrency }, or the
+// file itself as text/csv with those settings as query parameters.
+app.post('/campaigns',
+    requireAdminKey,
+    campaignUpload,
+    body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required (up to 100 characters)'),
+    body('csv').isString().notEmpty().withMessage('CSV file is required'),
+    body('startAt').optional({ checkFalsy: true }).isISO8601().withMessage('startAt must be an ISO 8601 date and time'),
+    body('mode').optional({ checkFalsy: true }).isIn(['gather', 'stream']).withMessage('Mode must be gather or stream'),
+    body('persona').optional({ checkFalsy: true }).custom((id) => !!personas.get(id)).withMessage('Unknown persona'),
+    body('voice').optional({ checkFalsy: true }).custom((id) => !!voices.get(id)).withMessage('Unknown voice'),
+    body('language').optional({ checkFalsy: true }).custom((code) => !!languageNames[code]).withMessage('Unknown language'),
+    body('concurrency').optional({ checkFalsy: true }).isInt({ min: 1, max: campaignConfig.maxConcurrentCalls }).toInt()
+        .withMessage(`Concurrency must be between 1 and ${campaignConfig.maxConcurrentCalls}`),
+    (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Invalid campaign', details: errors.array() });
+        }
+
+        if (!client) {
+            return res.status(503).json({ error: 'Calling is disabled - set TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN' });
+        }
+
+        const { contacts, errors: rejectedRows } = parseContactsCsv(req.body.csv, callGuard.screen);
+        if (contacts.length === 0) {
+            return res.status(400).json({ error: 'No numbers to call in the CSV', rejectedRows });
+        }
+
+        const campaign = campaigns.createCampaign({
+            name: req.body.name,
+            contacts,
+            startAt: req.body.startAt || null,
+            persona: personas.resolve(req.body.persona).id,
+            mode: req.body.mode || null,
+            voice: req.body.voice || null,
+            language: req.body.language || null,
+            concurrency: req.body.concurrency || null,
+            createdBy: req.ip
+        });
+
+        res.status(201).json({
+            success: true,
+            campaign,
+            rejectedRows,
+            callingHours: { ...campaignConfig.callingHours, days: campaignConfig.callingDays, timezone: campaignConfig.timezone },
+            withinCallingHours: campaigns.isWithinCallingHours()
+        });
+    }
+);
+
+// Every campaign with its progress counts, newest first
+app.get('/campaigns', requireAdminKey, (req, res) => {
+    const list = campaigns.listCampaigns();
+    res.json({ count: list.length, withinCallingHours: campaigns.isWithinCallingHours(), campaigns: list });
+});
+
+// One campaign and the result for each number
+app.get('/campaigns/:id', requireAdminKey, (req, res) => {
+    const campaign = campaigns.getCampaign(req.params.id);
+    if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+    }
+    res.json(campaign);
+});
+
+['pause', 'resume', 'cancel'].forEach((action) => {
+    app.post(`/campaigns/:id/${action}`, requireAdminKey, (req, res) => {
+        const { campaign, error } = campaigns[action](req.params.id);
+        if (error) {
+            return res.status(error === 'Campaign not found' ? 404 : 409).json({ error });
+        }
+        logger.info(`📋 Campaign "${campaign.name}" (${campaign.id}): ${action} by ${req.ip}`);
+        res.json({ success: true, campaign });
+    });
+});
+
+// Twilio webhook - called when user answers
+app.post('/twilio-voice', requireTwilioSignature, async (req, res) => {
+    const twiml = new VoiceResponse();
+    const callSid = req.body.CallSid;
+
+    try {
+        // Media streams need synthesized speech; without it, fall back to <Gather>
+        let mode = req.query.mode || twilioConfig.callMode;
+        if (mode === 'stream' && !isTtsEnabled()) {
+            logger.warn(`[${callSid}] Stream mode needs a text-to-speech provider - falling back to gather mode`);
+            mode = 'gather';
+        }
+        if (mode === 'stream' && !process.env.PUBLIC_URL) {
+            logger.warn(`[${callSid}] Stream mode needs PUBLIC_URL for the media stream - falling back to gather mode`);
+            mode = 'gather';
+        }
+
+        // The prospect is the dialed party on calls we place, the caller otherwise
+        const outbound = req.body.Direction === 'outbound-api';
+        const prospectPhone = outbound ? req.body.To : req.body.From;
+        const ourPhone = outbound ? req.body.From : req.body.To;
+
+        // Persona chosen when placing the call, else the one that owns the number
+        const persona = personas.get(req.query.persona) || personas.forPhoneNumber(ourPhone) || personas.defaultPersona;
+
+        // Set on calls placed with answering-machine detection
+        const answeredBy = outbound ? req.body.AnsweredBy || null : null;
+
+        // Initialize the conversation session for this call
+        const voice = voices.get(req.query.voice) ? req.query.voice : null;
+        const session = { id: callSid, channel: 'phone', messages: [], meta: { mode, persona: persona.id, voice } };
         try {
-            if (fs.existsSync(filePath)) {
-                fs.unlinkSync(filePath);
-                logger.info(`Force cleaned up: ${filePath}`);
-            }
+            await persistSession(session, answeredBy ? { answeredBy } : {});
         } catch (error) {
-            logger.error(`Error force cleaning ${filePath}:`, error);
+            logger.error(`[${callSid}] Failed to create session:`, error);
         }
-    });
-    audioCleanupQueue.clear();
+
+        logger.info(`New call started: ${callSid} (persona ${persona.id}${answeredBy ? `, answered by ${answeredBy}` : ''})`);
+
+        leadStore.upsertLead(callSid, 'phone', { phone: prospectPhone });
+
+        if (isMachine(answeredBy)) {
+            await leaveVoicemail(twiml, session, answeredBy, req.query.language);
+            res.type('text/xml');
+            return res.send(twiml.toString());
+        }
+
+        // People calling us pick a language first, unless the persona only speaks one
+        if (!outbound && ivrConfig.enabled && menuLanguages(persona).length > 1) {
+            session.meta.ivr = true;
+            await persistSession(session);
+            await appendLanguageMenu(twiml, session, 1);
+            res.type('text/xml');
+            return res.send(twiml.toString());
+        }
+
+        await startConversation(twiml, session);
+        res.type('text/xml');
+        res.send(twiml.toString());
+    } catch (error) {
+        // Twilio reads a failed webhook as an application error; end the call politely instead
+        logger.error(`[${callSid}] Error starting call:`, error);
+        const fallback = new VoiceResponse();
+        fallback.say('Sorry, we are having some trouble right now. Please call back in a little while. Goodbye.');
+        fallback.hangup();
+        res.type('text/xml');
+        res.send(fallback.toString());
+    }
+});
+
+/**
+ * Start talking: hand a stream-mode call to the media stream (which speaks
+ * the greeting), or greet a gather-mode caller and listen
+ * @param {object} twiml - VoiceResponse for this webhook
+ * @param {object} session - Call session
+ */
+async function startConversation(twiml, session) {
+    if (session.meta.mode === 'stream') {
+        // Hand the call audio to our WebSocket; the greeting is spoken from there
+        const connect = twiml.connect();
+        const stream = connect.stream({
+            url: `${process.env.PUBLIC_URL.replace(/^http/, 'ws')}${mediaStreamConfig.path}`
+        });
+        stream.parameter({ name: 'callSid', value: session.id });
+        return;
+    }
+
+    // Gather user speech with initial greeting
+    const gather = gatherCallerTurn(twiml, session.id, callLocale(session));
+    if (session.meta.language) {
+        // Picked from the menu - greet in that language
+        const greeting = await callGreeting(session);
+        const audioUrl = await speakOnCall(gather, greeting.text, greeting.language, voiceFor(session, greeting.language), { fixed: true });
+        session.messages.push({
+            role: 'assistant',
+            content: greeting.text,
+            metadata: { language: greeting.language, audioUrl, timestamp: new Date().toISOString() }
+        });
+        await persistSession(session);
+    } else {
+        gather.say(personaFor(session).greeting);
+    }
 }
 
-// ============================================
-// Routes
-// ============================================
+// Language menu answer (a key, a spoken language, or nothing). The choice
+// holds for the rest of the call; with no usable answer the options are
+// read again, then the persona's first language is used.
+app.post('/ivr/language', requireTwilioSignature, async (req, res) => {
+    const twiml = new VoiceResponse();
+    const callSid = req.query.callSid;
+    const attempt = Number(req.query.attempt) || 1;
 
-// Serve the frontend
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
+    try {
+        const session = callSid ? await sessionStore.get(callSid) : null;
+        if (!session) {
+            twiml.hangup();
+            res.type('text/xml');
+            return res.send(twiml.toString());
+        }
+
+        const persona = personaFor(session);
+        let language = await chooseMenuLanguage(persona, req.body.Digits, req.body.SpeechResult);
+        logger.info(`[${callSid}] Language menu: digits "${req.body.Digits || ''}", speech "${req.body.SpeechResult || ''}" -> ${language || 'none'}`);
+
+        if (!language && attempt < ivrConfig.menuRepeats) {
+            await appendLanguageMenu(twiml, session, attempt + 1);
+            res.type('text/xml');
+            return res.send(twiml.toString());
+        }
+
+        language = language || persona.languages[0];
+        session.meta.language = language;
+        session.meta.languageState = { language, mixed: false, source: 'menu', settled: true, candidate: null };
+        await persistSession(session);
+        logger.info(`[${callSid}] Call language set to ${languageNames[language] || language}`);
+
+        await startConversation(twiml, session);
+        res.type('text/xml');
+        res.send(twiml.toString());
+    } catch (error) {
+        logger.error(`[${callSid}] Language menu error:`, error);
+        res.type('text/xml');
+        res.send(failedTurnTwiml(callSid));
+    }
 });
 
-// Health check endpoint with detailed status
-app.get('/health', (req, res) => {
-    const health = {
-        status: 'ok',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        services: {
-            openai: !!process.env.OPENAI_API_KEY,
-            twilio: !!(accountSid && authToken),
-            sarvam: !!(process.env.SARVAM_API_KEY && process.env.SARVAM_API_KEY !== 'your_sarvam_api_key_here'),
-            googleTranslate: !!(process.env.GOOGLE_TRANSLATE_API_KEY && process.env.GOOGLE_TRANSLATE_API_KEY !== 'your_google_translate_api_key_here')
-        },
-        voiceConfig: {
-            speaker: voiceConfig.speaker,
-            model: voiceConfig.model,
-            language: voiceConfig.language
-        },
-        activeConversations: conversationHistory.size,
-        pendingCleanups: audioCleanupQueue.size
-    };
+// Handle user speech and generate AI response
+app.post('/handle-speech', requireTwilioSignature, async (req, res) => {
+    const twiml = new VoiceResponse();
+    const callSid = req.query.callSid;
+    const digits = req.body.Digits;
+    let userSpeech = req.body.SpeechResult;
+    const confidence = req.body.Confidence;
+    const receivedAt = new Date().toISOString();
 
-    res.json(health);
+    logger.info(digits
+        ? `[${callSid}] Received keypress: ${digits}`
+        : `[${callSid}] Received speech result: "${userSpeech}" (confidence: ${confidence})`);
+
+    try {
+        const session = callSid
+            ? await sessionStore.get(callSid).catch((error) => {
+                logger.error(`[${callSid}] Failed to load session:`, error);
+                return null;
+            })
+            : null;
+
+        // A keypad shortcut is answered as if the caller had asked its question
+        if (digits && session) {
+            const shortcut = ivrConfig.shortcuts[digits];
+            if (!shortcut?.question) {
+                await answerKeypress(twiml, session, digits, shortcut);
+                res.type('text/xml');
+                return res.send(twiml.toString());
+            }
+            userSpeech = shortcut.question;
+        }
+
+        if (userSpeech && session) {
+            logger.info(`[${callSid}] User said: "${userSpeech}"`);
+
+            try {
+                // Detect language and correct transcription using OpenAI
+                logger.info(`[${callSid}] Detecting language...`);
+                const correction = await detectLanguageAndCorrect(userSpeech, callSid);
+                const detectedLanguage = correction.language;
+                const correctedMessage = correction.correctedText;
+
+                logger.info(`[${callSid}] Language detected: ${detectedLanguage}, Corrected: "${correctedMessage}"`);
+
+                // Answer in the call's language: picked from the menu, asked for, or held from earlier turns
+                const persona = personaFor(session);
+                const { language: replyLanguage, mixed } = conversationLanguage(session, persona, correction, userSpeech, { keypad: !!digits });
+                const languageName = languageNames[replyLanguage] || 'English';
+
+                const history = session.messages;
+                const userTurn = {
+                    role: 'user',
+                    content: correctedMessage,
+                    metadata: { originalLanguage: detectedLanguage, original: userSpeech, timestamp: receivedAt, ...(correction.mixed && { mixed: true }), ...(digits && { dtmf: digits }) }
+                };
+
+                // Asked for a person, or too many turns we could not make out
+                const handoffReason = handoffDesk.assess(session, { text: `${userSpeech} ${correctedMessage}`, confidence });
+                if (handoffReason) {
+                    history.push(userTurn);
+                    await transferCall(twiml, session, { reason: handoffReason, language: replyLanguage });
+                    await persistSession(session);
+                    res.type('text/xml');
+                    return res.send(twiml.toString());
+                }
+
+                // Update system prompt with language instruction for this turn
+                const messagesWithLanguage = await buildTurnMessages(session, persona, languageName, correctedMessage, mixed);
+
+                // Get AI response from OpenAI
+                logger.info(`[${callSid}] Requesting GPT response in ${languageName}...`);
+                const replyContext = { sourceId: callSid, channel: 'phone', language: replyLanguage };
+                const gptResponse = await generateReply(messagesWithLanguage, replyContext);
+                logger.info(`[${callSid}] GPT says (in ${languageName}): "${gptResponse}"`);
+
+                // Add corrected user message to conversation history
+                history.push(userTurn);
+
+                // The assistant could not help and asked for a counselor
+                if (replyContext.handoff) {
+                    await transferCall(twiml, session, { ...replyContext.handoff, language: replyLanguage, message: gptResponse });
+                    await persistSession(session);
+                    captureLead(callSid, 'phone', history, persona);
+                    res.type('text/xml');
+                    return res.send(twiml.toString());
+                }
+
+                // Add AI response to conversation history
+                const assistantTurn = {
+                    role: 'assistant',
+                    content: gptResponse,
+                    metadata: { language: replyLanguage, timestamp: new Date().toISOString() }
+                };
+                history.push(assistantTurn);
+
+                captureLead(callSid, 'phone', history, persona);
+
+                // Check if a text-to-speech provider is configured
+                if (isTtsEnabled()) {
+                    logger.info(`[${callSid}] Using ${providers.tts.name} for voice generation in ${languageName}...`);
+                    assistantTurn.metadata.audioUrl = await handleSynthesizedResponse(
+                        twiml, gptResponse, callSid, replyLanguage, voiceFor(session, replyLanguage), callLocale(session)
+                    );
+                } else {
+                    // Use Twilio's default text-to-speech
+                    logger.info(`[${callSid}] Using Twilio TTS...`);
+                    const gather = gatherCallerTurn(twiml, callSid, callLocale(session));
+                    gather.say(gptResponse);
+                }
+
+                await persistSession(session);
+
+            } catch (error) {
+                logger.error(`[${callSid}] Error in conversation loop:`, error);
+
+                if (await transferAfterFailedTurn(twiml, session)) {
+                    res.type('text/xml');
+                    return res.send(twiml.toString());
+                }
+
+                // Provide error message and allow retry
+                const gather = gatherCallerTurn(twiml, callSid, callLocale(session), { lastChance: true });
+                gather.say('I seem to be having some trouble. Please try speaking again.');
+
+                // Fallback hangup if no response
+                twiml.say('Thank you for calling. Goodbye.');
+                twiml.hangup();
+            }
+        } else {
+            // No speech detected or invalid call
+            logger.warn(`[${callSid}] No speech detected or invalid call. Speech: "${userSpeech}"`);
+
+            if (session && await transferAfterFailedTurn(twiml, session)) {
+                res.type('text/xml');
+                return res.send(twiml.toString());
+            }
+
+            // Give another chance to speak; menu callers are reminded of the keypad
+            const gather = gatherCallerTurn(twiml, callSid, callLocale(session), { lastChance: true });
+            if (session?.meta.ivr) {
+                const language = session.meta.language || 'en';
+                const text = await translateFromEnglish(`${keypadMessages.notHeard} ${keypadHint()}`, language);
+                await speakOnCall(gather, text, language, voiceFor(session, language), { fixed: true });
+            } else {
+                gather.say('I did not catch that. Please speak clearly after the tone.');
+            }
+
+            // If still no response, end the call
+            twiml.say('I could not hear you. Please call back. Goodbye.');
+            twiml.hangup();
+        }
+
+        res.type('text/xml');
+        res.send(twiml.toString());
+    } catch (error) {
+        logger.error(`[${callSid}] Error answering the caller:`, error);
+        res.type('text/xml');
+        res.send(failedTurnTwiml(callSid));
+    }
 });
 
-// Initiate outbound call with validation
-app.post('/make-call',
-    body('phoneNumber').isMobilePhone('any').withMessage('Invalid phone number'),
-    async (req, res) => {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            logger.warn('Invalid phone number provided', { errors: errors.array() });
-            return res.status(400).json({ error: 'Invalid phone number format', details: errors.array() });
+/**
+ * Count a turn that was not understood; after too many in a row, hand the
+ * call to a counselor
+ * @returns {Promise<boolean>} Whether the call was handed off (twiml is complete)
+ */
+async function transferAfterFailedTurn(twiml, session) {
+    try {
+        const reason = handoffDesk.assess(session, { failed: true });
+        if (reason) {
+            const language = lastReplyLanguage(session);
+            const message = await translateFromEnglish(
+                `${handoffMessages.notHeard} ${handoffDesk.canTransferCalls ? handoffMessages.transfer : handoffMessages.callback}`,
+                language
+            );
+            await transferCall(twiml, session, { reason, language, message });
         }
+        await persistSession(session);
+        return !!reason;
+    } catch (error) {
+        logger.error(`[${session.id}] Handoff error:`, error);
+        return false;
+    }
+}
 
-        const { phoneNumber } = req.body;
+// Speak a reply with synthesized audio; returns the audio URL, or null if Twilio TTS was used instead.
+// locale fixes the recognition language for the caller's answer (callLocale).
+async function handleSynthesizedResponse(twiml, text, callSid, detectedLanguage, voice, locale = null) {
+    try {
+        logger.info(`[${callSid}] Speech language code: ${getSarvamLanguageCode(detectedLanguage)}`);
 
-        try {
-            const call = await client.calls.create({
-                to: phoneNumber,
-                from: twilioPhoneNumber,
-                url: `${process.env.PUBLIC_URL}/twilio-voice`,
-                statusCallback: `${process.env.PUBLIC_URL}/call-status`,
-                statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
-            });
+        const audio = await synthesizeAudioFile(text, detectedLanguage, voice, 30000);
+        if (!audio) {
+            throw new Error('No audio data in text-to-speech response');
+        }
+
+        const audioUrl = `${process.env.PUBLIC_URL}${audio.audioPath}`;
+        logger.info(`[${callSid}] Audio ${audio.cached ? 'served from cache' : 'saved'}: ${audio.audioPath} (${audio.size} bytes)`);
+
+        // Use <Play> verb to play the generated audio
+        const gather = gatherCallerTurn(twiml, callSid, locale || voice.language);
+        gather.play(audioUrl);
+
+        return audioUrl;
+
+    } catch (error) {
+        logger.error('[Text-to-Speech Error]:', error);
+        // Fallback to Twilio TTS
+        const gather = gatherCallerTurn(twiml, callSid, locale);
+        gather.say(text);
+        return null;
+    }
+}
+
+// Call ended - cleanup conversation session
+app.post('/call-status', requireTwilioSignature, async (req, res) => {
+    const callSid = req.body.CallSid;
+    const callStatus = req.body.CallStatus;
+
+    logger.info(`[${callSid}] Call status: ${callStatus}`);
+
+    // A completed call that only reached voicemail is a voicemail for campaigns
+    const answeredBy = req.body.AnsweredBy || transcriptStore.getSummary(callSid)?.answeredBy;
+    const callOutcome = callStatus === 'completed' && isMachine(answeredBy) ? 'voicemail' : callStatus;
+
+    // Busy and unanswered campaign calls go back in the queue
+    campaigns.handleCallStatus(callSid, callOutcome);
+
+    if (callStatus === 'completed' || callStatus === 'failed' || callStatus === 'busy' || callStatus === 'no-answer') {
+        const outcome = {
+            status: 'ended',
+            callStatus,
+            endedAt: new Date().toISOString(),
+            durationSeconds: req.body.CallDuration ? Number(req.body.CallDuration) : null
+        };
 
-            logger.info(`Call initiated: ${call.sid} to ${phoneNumber}`);
-            res.json({ success: true, callSid: call.sid });
+        try {
+            // Archive the final state; if the session already expired, just close out its transcript
+            const session = await sessionStore.get(callSid);
+            publishConversation(session
+                ? transcriptStore.saveFromSession(session, outcome)
+                : transcriptStore.update(callSid, outcome));
+
+            if (await sessionStore.delete(callSid)) {
+                logger.info(`[${callSid}] Conversation session cleaned up`);
+            }
         } catch (error) {
-            logger.error('Error making call:', error);
-            res.status(500).json({ error: 'Failed to initiate call', details: error.message });
+            logger.error(`[${callSid}] Failed to delete session:`, error);
         }
     }
-);
 
-// Twilio webhook - called when user answers
-app.post('/twilio-voice', (req, res) => {
+    res.sendStatus(200);
+});
+
+// Whisper to the counselor who answers a transfer, before the caller is connected
+app.post('/handoff/whisper', requireTwilioSignature, (req, res) => {
+    const twiml = new VoiceResponse();
+    const handoff = handoffDesk.get(req.query.handoffId);
+    const persona = personas.resolve(handoff?.persona);
+
+    twiml.say(handoff
+        ? `Transfer from ${persona.name}. ${handoff.summary}`
+        : `Transfer from ${persona.name}.`);
+
+    res.type('text/xml');
+    res.send(twiml.toString());
+});
+
+// How a transfer ended (<Dial> or <Enqueue> action). If no counselor picked
+// up, the caller is promised a call back and stays with the assistant.
+app.post('/handoff/dial-status', requireTwilioSignature, async (req, res) => {
     const twiml = new VoiceResponse();
+    const handoff = handoffDesk.get(req.query.handoffId);
     const callSid = req.body.CallSid;
+    const result = req.body.DialCallStatus || req.body.QueueResult;
 
-    // Initialize conversation history for this call
-    conversationHistory.set(callSid, [
-        { role: 'system', content: systemPrompt }
-    ]);
+    logger.info(`[${callSid}] Counselor transfer ended: ${result}`);
 
-    logger.info(`New call started: ${callSid}`);
+    if (!handoff) {
+        twiml.hangup();
+        res.type('text/xml');
+        return res.send(twiml.toString());
+    }
 
-    // Gather user speech with initial greeting
-    const gather = twiml.gather({
-        input: 'speech',
-        action: `/handle-speech?callSid=${callSid}`,
-        speechTimeout: twilioConfig.speechTimeout,
-        language: twilioConfig.language,
-        enhanced: true, // Use enhanced model for better accuracy
-    });
+    // 'completed' - a counselor answered and the conversation is over
+    // 'bridged' - a counselor took the call from the queue
+    if (result === 'completed' || result === 'bridged' || result === 'hangup') {
+        await syncHandoffSession(handoffDesk.update(handoff.id, {
+            status: result === 'hangup' ? 'abandoned' : 'completed',
+            closedAt: new Date().toISOString()
+        }));
+        twiml.hangup();
+        res.type('text/xml');
+        return res.send(twiml.toString());
+    }
+
+    const session = await syncHandoffSession(handoffDesk.update(handoff.id, { status: 'missed' }));
+    if (!session) {
+        twiml.say(handoffMessages.callbackGoodbye);
+        twiml.hangup();
+        res.type('text/xml');
+        return res.send(twiml.toString());
+    }
 
-    gather.say('This is the test call for you, You can speak now the assistant will respond accordingly.');
+    const language = lastReplyLanguage(session);
+    const text = await translateFromEnglish(handoffMessages.callback, language);
+    const voice = voiceFor(session, language);
+    const turn = { role: 'assistant', content: text, metadata: { language, timestamp: new Date().toISOString() } };
+    session.messages.push(turn);
 
-    // If no input, hangup
+    if (isTtsEnabled()) {
+        turn.metadata.audioUrl = await handleSynthesizedResponse(twiml, text, callSid, language, voice, callLocale(session));
+    } else {
+        const gather = gatherCallerTurn(twiml, callSid, callLocale(session));
+        gather.say(text);
+    }
     twiml.hangup();
+    await persistSession(session);
 
     res.type('text/xml');
     res.send(twiml.toString());
 });
 
-// Handle user speech and generate AI response
-app.post('/handle-speech', async (req, res) => {
-    const twiml = new VoiceResponse();
-    const callSid = req.query.callSid;
-    const userSpeech = req.body.SpeechResult;
-    const confidence = req.body.Confidence;
+// Web chat endpoint with Whisper support
+app.post('/chat', chatLimiter, async (req, res) => {
+    const { message } = req.body;
 
-    logger.info(`[${callSid}] Received speech result: "${userSpeech}" (confidence: ${confidence})`);
+    try {
+        // History is always loaded server-side; anything the client sends is ignored
+        const session = await loadWebSession(req.headers['x-session-id'], req.headers['x-persona']);
+        const sessionId = session.id;
+        const history = session.messages;
+        const persona = personaFor(session);
+
+        if (!applyVoiceChoice(session, req.headers['x-voice'])) {
+            return res.status(400).json({ error: 'Unknown voice', details: `No voice "${req.headers['x-voice']}" - see GET /voices` });
+        }
 
-    if (userSpeech && callSid && conversationHistory.has(callSid)) {
-        logger.info(`[${callSid}] User said: "${userSpeech}"`);
+        logger.info(`[${sessionId}] Web chat message: "${message}"`);
+        const receivedAt = new Date().toISOString();
+        await releaseUnclaimedHandoff(session);
 
-        try {
-            // Detect language and correct transcription using OpenAI
-            logger.info(`[${callSid}] Detecting language...`);
-            const correction = await detectLanguageAndCorrect(userSpeech);
-            const detectedLanguage = correction.language;
+        let gptResponse;
+        let detectedLanguage = 'en';
+        let replyLanguage = 'en';
+
+        // Handle initial greeting
+        if (message === '__GREETING__') {
+            gptResponse = persona.greeting;
+            logger.info(`[${sessionId}] Sending greeting`);
+
+            history.push({
+                role: 'assistant',
+                content: gptResponse,
+                metadata: { language: 'en', timestamp: new Date().toISOString() }
+            });
+        } else if (isWithCounselor(session)) {
+            // A counselor has (or is about to take) the conversation; pass the message on
+            history.push({ role: 'user', content: message, metadata: { original: message, timestamp: receivedAt } });
+            gptResponse = null;
+        } else {
+            // Detect language and correct transcription
+            const correction = await detectLanguageAndCorrect(message, sessionId);
+            detectedLanguage = correction.language;
             const correctedMessage = correction.correctedText;
 
-            logger.info(`[${callSid}] Language detected: ${detectedLanguage}, Corrected: "${correctedMessage}"`);
-
-            // Get language name for GPT instruction
-            const languageNames = {
-                'en': 'English',
-                'hi': 'Hindi',
-                'ta': 'Tamil',
-                'te': 'Telugu',
-                'ml': 'Malayalam',
-                'kn': 'Kannada',
-                'mr': 'Marathi',
-                'bn': 'Bengali',
-                'gu': 'Gujarati',
-                'pa': 'Punjabi'
+            const conversation = conversationLanguage(session, persona, correction, message);
+            replyLanguage = conversation.language;
+            const languageName = languageNames[replyLanguage] || 'English';
+            const userTurn = {
+                role: 'user',
+                content: correctedMessage,
+                metadata: { originalLanguage: detectedLanguage, original: message, timestamp: receivedAt, ...(correction.mixed && { mixed: true }) }
             };
-            const languageName = languageNames[detectedLanguage] || 'English';
 
-            // Get conversation history
-            const history = conversationHistory.get(callSid);
+            const handoffReason = handoffDesk.assess(session, { text: `${message} ${correctedMessage}` });
+            if (handoffReason) {
+                history.push(userTurn);
+                await startHandoff(session, { reason: handoffReason, status: 'waiting' });
+                gptResponse = await translateFromEnglish(handoffMessages.web, replyLanguage);
+            } else {
+                const messages = await buildTurnMessages(session, persona, languageName, correctedMessage, conversation.mixed);
+                const replyContext = { sourceId: sessionId, channel: 'web', language: replyLanguage };
+                gptResponse = await generateReply(messages, replyContext);
+                history.push(userTurn);
 
-            // Update system prompt with language instruction for this turn
-            const messagesWithLanguage = [
-                {
-                    role: 'system',
-                    content: `${systemPrompt}
+                if (replyContext.handoff) {
+                    await startHandoff(session, { ...replyContext.handoff, status: 'waiting' });
+                }
+            }
 
-CRITICAL LANGUAGE INSTRUCTION:
-The user is speaking in ${languageName}. You MUST respond ONLY in ${languageName}.
-- Write your ENTIRE response in ${languageName} language
-- For Indian languages, you can use Roman script (transliteration) or native script
-- Do NOT use English at all unless the user is speaking English
-- Do NOT mix languages
-- Keep responses concise (under 30 words) for phone calls
+            logger.info(`[${sessionId}] GPT response in ${languageName}: "${gptResponse}"`);
 
-This is MANDATORY. Respond in ${languageName} ONLY.`
-                },
-                ...history.slice(1), // Skip original system prompt
-                { role: 'user', content: correctedMessage }
-            ];
-
-            // Get AI response from OpenAI
-            logger.info(`[${callSid}] Requesting GPT response in ${languageName}...`);
-            const completion = await openai.chat.completions.create({
-                model: openAIConfig.model,
-                messages: messagesWithLanguage,
-                temperature: openAIConfig.temperature,
-                max_tokens: openAIConfig.maxTokens,
+            history.push({
+                role: 'assistant',
+                content: gptResponse,
+                metadata: { language: replyLanguage, timestamp: new Date().toISOString() }
             });
 
-            const gptResponse = completion.choices[0].message.content;
-            logger.info(`[${callSid}] GPT says (in ${languageName}): "${gptResponse}"`);
+            captureLead(sessionId, 'web', history, persona);
+        }
+
+        // Generate audio if a text-to-speech provider is configured
+        let audioUrl = null;
+
+        if (isTtsEnabled() && gptResponse) {
+            try {
+                audioUrl = await synthesizeWebAudio(gptResponse, replyLanguage, voiceFor(session, replyLanguage), sessionId);
+            } catch (error) {
+                logger.error('[Text-to-Speech Error for web chat]:', error);
+            }
+        }
+
+        if (gptResponse) {
+            history[history.length - 1].metadata.audioUrl = audioUrl;
+        }
+        await persistSession(session);
+
+        res.set('X-Session-Id', sessionId);
+        res.json({
+            sessionId: sessionId,
+            persona: persona.id,
+            detectedLanguage: detectedLanguage,
+            response: gptResponse,
+            audioUrl: audioUrl,
+            handoff: session.meta.handoff || null
+        });
+
+    } catch (error) {
+        logger.error('[Web Chat Error]:', error);
+        res.status(500).json({
+            error: 'Failed to process message',
+            details: error.message
+        });
+    }
+});
+
+// Streaming web chat over Server-Sent Events. Events:
+//   session  { sessionId, persona, detectedLanguage }
+//   token    { text }                      - reply text as it is generated
+//   audio    { index, audioUrl, text }     - one TTS clip per completed sentence, in order
+//   handoff  { id, status }                - the chat is waiting for or with a counselor; poll /chat/updates
+//   done     { sessionId, response, audioUrls }
+//   error    { error }
+app.post('/chat/stream', chatLimiter, async (req, res) => {
+    const { message } = req.body;
+    const abortController = new AbortController();
+    let clientGone = false;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            clientGone = true;
+            abortController.abort();
+        }
+    });
+
+    const sendEvent = (event, data) => {
+        if (!clientGone) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    try {
+        if (typeof message !== 'string' || message.trim() === '') {
+            sendEvent('error', { error: 'Message is required' });
+            return res.end();
+        }
+
+        const session = await loadWebSession(req.headers['x-session-id'], req.headers['x-persona']);
+        const sessionId = session.id;
+        const history = session.messages;
+        const persona = personaFor(session);
+        const receivedAt = new Date().toISOString();
+
+        if (!applyVoiceChoice(session, req.headers['x-voice'])) {
+            sendEvent('error', { error: 'Unknown voice', details: `No voice "${req.headers['x-voice']}" - see GET /voices` });
+            return res.end();
+        }
+
+        logger.info(`[${sessionId}] Web chat stream message: "${message}"`);
+
+        if (await releaseUnclaimedHandoff(session)) {
+            sendEvent('handoff', session.meta.handoff);
+        }
+        if (isWithCounselor(session)) {
+            // A counselor has (or is about to take) the conversation; pass the message on
+            history.push({ role: 'user', content: message, metadata: { original: message, timestamp: receivedAt } });
+            await persistSession(session);
+            sendEvent('session', { sessionId, persona: persona.id, detectedLanguage: null });
+            sendEvent('handoff', session.meta.handoff);
+            sendEvent('done', { sessionId, response: '', audioUrls: [] });
+            return res.end();
+        }
 
-            // Add corrected user message to conversation history
-            history.push({
-                role: 'user',
-                content: correctedMessage,
-                metadata: { originalLanguage: detectedLanguage, original: userSpeech }
+        const correction = await detectLanguageAndCorrect(message, sessionId);
+        const detectedLanguage = correction.language;
+        const correctedMessage = correction.correctedText;
+        const { language: replyLanguage, mixed } = conversationLanguage(session, persona, correction, message);
+        const languageName = languageNames[replyLanguage] || 'English';
+        const voice = voiceFor(session, replyLanguage);
+
+        sendEvent('session', { sessionId, persona: persona.id, detectedLanguage });
+
+        // Synthesize sentence by sentence; the chain keeps clips in reply order
+        const audioUrls = [];
+        let ttsChain = Promise.resolve();
+        let pending = '';
+
+        const speak = (sentence) => {
+            const index = audioUrls.length;
+            audioUrls.push(null);
+            ttsChain = ttsChain.then(async () => {
+                if (clientGone) return;
+                try {
+                    const audioUrl = await synthesizeWebAudio(sentence, replyLanguage, voice, sessionId);
+                    audioUrls[index] = audioUrl;
+                    if (audioUrl) sendEvent('audio', { index, audioUrl, text: sentence });
+                } catch (error) {
+                    logger.error(`[${sessionId}] Sentence TTS error:`, error);
+                }
             });
+        };
 
-            // Add AI response to conversation history
-            history.push({
-                role: 'assistant',
-                content: gptResponse,
-                metadata: { language: detectedLanguage }
-            });
+        const onToken = (text) => {
+            sendEvent('token', { text });
+            if (!isTtsEnabled()) return;
 
-            // Check if Sarvam AI is configured
-            if (process.env.SARVAM_API_KEY && process.env.SARVAM_API_KEY !== 'your_sarvam_api_key_here') {
-                logger.info(`[${callSid}] Using Sarvam AI for voice generation in ${languageName}...`);
-                await handleSarvamAIResponse(twiml, gptResponse, callSid, detectedLanguage);
-            } else {
-                // Use Twilio's default text-to-speech
-                logger.info(`[${callSid}] Using Twilio TTS...`);
-                const gather = twiml.gather({
-                    input: 'speech',
-                    action: `/handle-speech?callSid=${callSid}`,
-                    speechTimeout: twilioConfig.speechTimeout,
-                    language: twilioConfig.language,
-                    enhanced: true,
-                });
-                gather.say(gptResponse);
-            }
+            const { sentences, rest } = takeCompleteSentences(pending + text);
+            pending = rest;
+            sentences.forEach(speak);
+        };
 
-        } catch (error) {
-            logger.error(`[${callSid}] Error in conversation loop:`, error);
-
-            // Provide error message and allow retry
-            const gather = twiml.gather({
-                input: 'speech',
-                action: `/handle-speech?callSid=${callSid}`,
-                speechTimeout: twilioConfig.speechTimeout,
-                language: twilioConfig.language,
-                enhanced: true,
-            });
-            gather.say('I seem to be having some trouble. Please try speaking again.');
+        const replyContext = { sourceId: sessionId, channel: 'web', language: replyLanguage };
+        const handoffReason = handoffDesk.assess(session, { text: `${message} ${correctedMessage}` });
+        let gptResponse;
+        if (handoffReason) {
+            // Asked for a person: no model reply, just tell them a counselor is coming
+            gptResponse = await translateFromEnglish(handoffMessages.web, replyLanguage);
+            onToken(gptResponse);
+            replyContext.handoff = { reason: handoffReason };
+        } else {
+            gptResponse = await streamReply(
+                await buildTurnMessages(session, persona, languageName, correctedMessage, mixed),
+                replyContext,
+                onToken,
+                abortController.signal
+            );
+        }
 
-            // Fallback hangup if no response
-            twiml.say('Thank you for calling. Goodbye.');
-            twiml.hangup();
+        if (isTtsEnabled() && pending.trim()) {
+            speak(pending.trim());
         }
-    } else {
-        // No speech detected or invalid call
-        logger.warn(`[${callSid}] No speech detected or invalid call. Speech: "${userSpeech}"`);
-
-        // Give another chance to speak
-        const gather = twiml.gather({
-            input: 'speech',
-            action: `/handle-speech?callSid=${callSid}`,
-            speechTimeout: twilioConfig.speechTimeout,
-            language: twilioConfig.language,
-            enhanced: true,
+        await ttsChain;
+
+        logger.info(`[${sessionId}] GPT streamed response in ${languageName}: "${gptResponse}"`);
+
+        history.push({
+            role: 'user',
+            content: correctedMessage,
+            metadata: { originalLanguage: detectedLanguage, original: message, timestamp: receivedAt, ...(correction.mixed && { mixed: true }) }
+        });
+        history.push({
+            role: 'assistant',
+            content: gptResponse,
+            metadata: {
+                language: replyLanguage,
+                timestamp: new Date().toISOString(),
+                audioUrls: audioUrls.filter(Boolean)
+            }
         });
-        gather.say('I did not catch that. Please speak clearly after the tone.');
 
-        // If still no response, end the call
-        twiml.say('I could not hear you. Please call back. Goodbye.');
-        twiml.hangup();
-    }
+        if (replyContext.handoff) {
+            await startHandoff(session, { ...replyContext.handoff, status: 'waiting' });
+            sendEvent('handoff', session.meta.handoff);
+        }
 
-    res.type('text/xml');
-    res.send(twiml.toString());
+        await persistSession(session);
+        captureLead(sessionId, 'web', history, persona);
+
+        sendEvent('done', { sessionId, response: gptResponse, audioUrls: audioUrls.filter(Boolean) });
+        res.end();
+    } catch (error) {
+        if (clientGone) {
+            logger.info('Web chat stream aborted by client');
+            return;
+        }
+        logger.error('[Web Chat Stream Error]:', error);
+        sendEvent('error', { error: 'Failed to process message', details: error.message });
+        res.end();
+    }
 });
 
-// Handle Sarvam AI voice generation
-async function handleSarvamAIResponse(twiml, text, callSid, detectedLanguage = 'en') {
+// End a web chat session and close out its transcript
+app.post('/chat/end', async (req, res) => {
+    const sessionId = req.headers['x-session-id'] || req.body?.sessionId;
+
     try {
-        const sarvamApiUrl = 'https://api.sarvam.ai/text-to-speech';
-
-        // Get Sarvam language code from detected language
-        const sarvamLanguageCode = getSarvamLanguageCode(detectedLanguage);
-        logger.info(`[${callSid}] Sarvam language code: ${sarvamLanguageCode}`);
-
-        const requestBody = {
-            inputs: [text],
-            target_language_code: sarvamLanguageCode,
-            speaker: voiceConfig.speaker,
-            model: voiceConfig.model,
-            pitch: voiceConfig.pitch,
-            pace: voiceConfig.pace,
-            loudness: voiceConfig.loudness,
-            enable_preprocessing: true,
-            speech_sample_rate: 22050
-        };
+        const session = sessionId ? await sessionStore.get(sessionId) : null;
+        if (!session || session.channel !== 'web') {
+            return res.status(404).json({ error: 'Session not found' });
+        }
 
-        const sarvamResponse = await axios.post(sarvamApiUrl, requestBody, {
-            headers: {
-                'api-subscription-key': process.env.SARVAM_API_KEY,
-                'Content-Type': 'application/json'
-            },
-            responseType: 'json',
-            timeout: 30000 // 30 second timeout
-        });
+        publishConversation(transcriptStore.saveFromSession(session, { status: 'ended', endedAt: new Date().toISOString() }));
+        await sessionStore.delete(sessionId);
+        logger.info(`[${sessionId}] Web chat session ended`);
 
-        logger.info(`[${callSid}] Sarvam AI response received`);
+        res.json({ success: true });
+    } catch (error) {
+        logger.error(`[${sessionId}] Failed to end web session:`, error);
+        res.status(500).json({ error: 'Failed to end session', details: error.message });
+    }
+});
 
-        const audioBase64 = sarvamResponse.data.audios[0];
+// Counselor messages for a visitor whose chat was handed off (?since=<ISO time>),
+// and the assistant's note if nobody picked the chat up in time. Polled by the
+// page, so it has its own rate limit instead of the global one.
+app.get('/chat/updates', updatesLimiter, async (req, res) => {
+    try {
+        const sessionId = req.headers['x-session-id'];
+        const session = sessionId ? await sessionStore.get(sessionId) : null;
+        if (!session || session.channel !== 'web') {
+            return res.status(404).json({ error: 'Session not found' });
+        }
 
-        if (!audioBase64) {
-            throw new Error('No audio data in Sarvam response');
+        if (await releaseUnclaimedHandoff(session)) {
+            await persistSession(session);
         }
 
-        const audioBuffer = Buffer.from(audioBase64, 'base64');
+        const since = req.query.since || '';
+        const messages = session.messages
+            .filter((msg) => (msg.metadata?.staff || msg.metadata?.handoffNotice) && msg.metadata.timestamp > since)
+            .map((msg) => ({ content: msg.content, staff: msg.metadata.staff || null, timestamp: msg.metadata.timestamp }));
 
-        // Save audio file to public directory
-        const audioDir = path.join(__dirname, 'public', 'audio');
-        if (!fs.existsSync(audioDir)) {
-            fs.mkdirSync(audioDir, { recursive: true });
-        }
+        res.json({ handoff: session.meta.handoff || null, messages });
+    } catch (error) {
+        logger.error('[Chat Updates Error]:', error);
+        res.status(500).json({ error: 'Failed to load updates', details: error.message });
+    }
+});
+
+// ============================================
+// Admin Dashboard
+// ============================================
 
-        const audioFileName = `${uuidv4()}.wav`;
-        const audioFilePath = path.join(audioDir, audioFileName);
-        fs.writeFileSync(audioFilePath, audioBuffer);
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'admin.html'));
+});
 
-        const audioUrl = `${process.env.PUBLIC_URL}/audio/${audioFileName}`;
-        logger.info(`[${callSid}] Audio saved: ${audioFileName} (${audioBuffer.length} bytes)`);
+// Exchange the admin API key for a dashboard session cookie
+app.post('/admin/login', adminLoginLimiter, (req, res) => {
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (!adminKey) {
+        return res.status(503).json({ error: 'Admin API disabled. Set ADMIN_API_KEY to enable it.' });
+    }
 
-        // Use <Play> verb to play Sarvam AI generated audio
-        const gather = twiml.gather({
-            input: 'speech',
-            action: `/handle-speech?callSid=${callSid}`,
-            speechTimeout: twilioConfig.speechTimeout,
-            language: voiceConfig.language,
-            enhanced: true,
-        });
-        gather.play(audioUrl);
+    if (!req.body?.apiKey || !safeEqual(req.body.apiKey, adminKey)) {
+        logger.warn(`Failed admin login from ${req.ip}`);
+        return res.status(401).json({ error: 'Invalid admin key' });
+    }
 
-        // Schedule cleanup
-        scheduleAudioCleanup(audioFilePath, 30000);
+    const token = crypto.randomBytes(32).toString('hex');
+    adminSessions.set(token, Date.now() + ADMIN_SESSION_TTL_MS);
+
+    res.cookie(ADMIN_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure,
+        maxAge: ADMIN_SESSION_TTL_MS
+    });
+    logger.info(`Admin logged in from ${req.ip}`);
+    res.json({ success: true });
+});
 
+// Re-read config/data.js without dropping calls in progress
+app.post('/admin/reload-config', requireAdminKey, (req, res) => {
+    try {
+        const result = reloadConfigAndLog(`requested by ${req.ip}`);
+        res.json({ success: true, ...result });
     } catch (error) {
-        logger.error('[Sarvam AI Error]:', error);
-        // Fallback to Twilio TTS
-        const gather = twiml.gather({
-            input: 'speech',
-            action: `/handle-speech?callSid=${callSid}`,
-            speechTimeout: twilioConfig.speechTimeout,
-            language: twilioConfig.language,
-            enhanced: true,
-        });
-        gather.say(text);
+        logger.error(`Config reload rejected: ${error.message}`);
+        res.status(400).json({ error: 'Invalid configuration - still using the previous one', details: error.errors || [error.message] });
     }
-}
+});
 
-// Call ended - cleanup conversation history
-app.post('/call-status', (req, res) => {
-    const callSid = req.body.CallSid;
-    const callStatus = req.body.CallStatus;
+app.post('/admin/logout', (req, res) => {
+    const token = getCookie(req, ADMIN_COOKIE);
+    if (token) adminSessions.delete(token);
+    res.clearCookie(ADMIN_COOKIE);
+    res.json({ success: true });
+});
 
-    logger.info(`[${callSid}] Call status: ${callStatus}`);
+// Server-Sent Events stream of conversation updates (new turns, call endings)
+app.get('/admin/events', requireAdminKey, (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
 
-    if (callStatus === 'completed' || callStatus === 'failed' || callStatus === 'busy' || callStatus === 'no-answer') {
-        if (conversationHistory.has(callSid)) {
-            conversationHistory.delete(callSid);
-            logger.info(`[${callSid}] Conversation history cleaned up`);
-        }
+    const send = (summary) => {
+        res.write(`event: conversation\ndata: ${JSON.stringify(summary)}\n\n`);
+    };
+    const sendHandoff = (handoff) => {
+        res.write(`event: handoff\ndata: ${JSON.stringify(handoff)}\n\n`);
+    };
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+    conversationEvents.on('update', send);
+    conversationEvents.on('handoff', sendHandoff);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        conversationEvents.off('update', send);
+        conversationEvents.off('handoff', sendHandoff);
+    });
+});
+
+// Archived conversation transcripts (summaries only)
+app.get('/conversations', requireAdminKey, (req, res) => {
+    const { from, to, channel, language, status } = req.query;
+    const conversations = transcriptStore.list({ from, to, channel, language, status })
+        .map((summary) => ({ ...summary, outcome: conversationOutcome(summary) }));
+    res.json({ count: conversations.length, conversations });
+});
+
+// Calls and web sessions that are live right now
+app.get('/conversations/active', requireAdminKey, async (req, res) => {
+    try {
+        const sessions = await sessionStore.list();
+        const conversations = sessions
+            .map((session) => transcriptStore.getSummary(session.id))
+            .filter(Boolean)
+            .map((summary) => ({ ...summary, outcome: conversationOutcome(summary) }));
+        res.json({ count: conversations.length, conversations });
+    } catch (error) {
+        logger.error('Failed to list active conversations:', error);
+        res.status(500).json({ error: 'Failed to list active conversations', details: error.message });
     }
+});
 
-    res.sendStatus(200);
+// Full transcript of one conversation
+app.get('/conversations/:id', requireAdminKey, (req, res) => {
+    const transcript = transcriptStore.get(req.params.id);
+    if (!transcript) {
+        return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json({
+        ...transcript,
+        outcome: conversationOutcome(transcript),
+        lead: leadStore.getLead(transcript.id),
+        bookings: visitScheduler.listBookings({ sourceId: transcript.id })
+    });
 });
 
-// Web chat endpoint with Whisper support
-app.post('/chat', chatLimiter, async (req, res) => {
-    const { message, conversationHistory: clientHistory } = req.body;
-    const sessionId = req.headers['x-session-id'] || `web_${Date.now()}`;
+// Replies the guardrails stopped or changed, newest first (?rule=&channel=&sourceId=&since=&limit=)
+app.get('/guardrails/log',
+    requireAdminKey,
+    query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit must be a whole number from 1 to 1000').toInt(),
+    query('since').optional().isISO8601().withMessage('since must be an ISO 8601 date or date and time'),
+    query('channel').optional().isIn(['phone', 'web']).withMessage('channel must be phone or web'),
+    (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Invalid request', details: errors.array() });
+        }
 
-    logger.info(`[${sessionId}] Web chat message: "${message}"`);
+        const { rule, channel, sourceId, since } = req.query;
+        const entries = guardrails.listLog({ rule, channel, sourceId, since, limit: req.query.limit || 200 });
+        res.json({ count: entries.length, entries });
+    }
+);
 
-    try {
-        let gptResponse;
-        let detectedLanguage = 'en';
+// Handoff queue (?status=open|waiting|active|dialing|missed|callback|...&channel=web|phone)
+app.get('/handoffs', requireAdminKey, (req, res) => {
+    const handoffs = handoffDesk.list({ status: req.query.status, channel: req.query.channel });
+    res.json({ count: handoffs.length, handoffs });
+});
 
-        // Handle initial greeting
-        if (message === '__GREETING__') {
-            gptResponse = "Hello! I am your assistant at the Skillora Design Academy. How can I help you today?";
-            logger.info(`[${sessionId}] Sending greeting`);
-        } else {
-            // Detect language and correct transcription
-            const correction = await detectLanguageAndCorrect(message);
-            detectedLanguage = correction.language;
-            const correctedMessage = correction.correctedText;
+// A staff member picks up a waiting web chat
+app.post('/handoffs/:id/claim',
+    requireAdminKey,
+    body('staffName').optional().isString().trim().isLength({ min: 1, max: 60 }).withMessage('staffName must be 1-60 characters'),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Invalid request', details: errors.array() });
+        }
 
-            const languageNames = {
-                'en': 'English',
-                'hi': 'Hindi',
-                'ta': 'Tamil',
-                'te': 'Telugu',
-                'ml': 'Malayalam',
-                'kn': 'Kannada',
-                'mr': 'Marathi',
-                'bn': 'Bengali',
-                'gu': 'Gujarati',
-                'pa': 'Punjabi'
-            };
-            const languageName = languageNames[detectedLanguage] || 'English';
+        const { handoff, error } = handoffDesk.claim(req.params.id, req.body.staffName || 'Admissions counselor');
+        if (error) {
+            return res.status(error === 'Handoff not found' ? 404 : 409).json({ error });
+        }
+        await syncHandoffSession(handoff);
+        logger.info(`[${handoff.sessionId}] 🙋 Handoff ${handoff.id} claimed by ${handoff.claimedBy}`);
+        res.json({ success: true, handoff });
+    }
+);
 
-            const messages = [
-                { role: 'system', content: `${systemPrompt}
+// Counselor reply in a claimed web chat
+app.post('/handoffs/:id/messages',
+    requireAdminKey,
+    body('text').isString().trim().isLength({ min: 1, max: 2000 }).withMessage('Message text is required'),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Invalid message', details: errors.array() });
+        }
 
-CRITICAL LANGUAGE INSTRUCTION:
-The user is speaking in ${languageName}. You MUST respond ONLY in ${languageName}.
-- Write your ENTIRE response in ${languageName} language using the appropriate script (Devanagari for Hindi/Marathi, Tamil script for Tamil, etc.)
-- Do NOT use English at all
-- Do NOT mix languages
-- If you don't know how to say something in ${languageName}, still try your best to use ${languageName}
+        const handoff = handoffDesk.get(req.params.id);
+        if (!handoff) {
+            return res.status(404).json({ error: 'Handoff not found' });
+        }
+        if (handoff.status !== 'active') {
+            return res.status(409).json({ error: `Handoff is ${handoff.status} - claim it first` });
+        }
 
-This is MANDATORY. Respond in ${languageName} ONLY.` },
-                ...clientHistory,
-                { role: 'user', content: correctedMessage }
-            ];
+        const session = await sessionStore.get(handoff.sessionId);
+        if (!session) {
+            return res.status(410).json({ error: 'The visitor has left the chat' });
+        }
 
-            const completion = await openai.chat.completions.create({
-                model: openAIConfig.model,
-                messages: messages,
-                temperature: openAIConfig.temperature,
-                max_tokens: openAIConfig.maxTokens,
-            });
-            gptResponse = completion.choices[0].message.content;
+        const turn = {
+            role: 'assistant',
+            content: req.body.text,
+            metadata: { staff: handoff.claimedBy, timestamp: new Date().toISOString() }
+        };
+        session.messages.push(turn);
+        await persistSession(session);
+        res.json({ success: true, message: { content: turn.content, staff: turn.metadata.staff, timestamp: turn.metadata.timestamp } });
+    }
+);
 
-            logger.info(`[${sessionId}] GPT response in ${languageName}: "${gptResponse}"`);
+// Hand a web chat back to the assistant
+app.post('/handoffs/:id/close', requireAdminKey, async (req, res) => {
+    const { handoff, error } = handoffDesk.close(req.params.id);
+    if (error) {
+        return res.status(error === 'Handoff not found' ? 404 : 409).json({ error });
+    }
+    await syncHandoffSession(handoff);
+    logger.info(`[${handoff.sessionId}] 🙋 Handoff ${handoff.id} closed`);
+    res.json({ success: true, handoff });
+});
+
+// Course recommendation from a free-form description of interests
+app.post('/recommend-course',
+    chatLimiter,
+    body('message').isString().trim().notEmpty().withMessage('Message is required'),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Invalid request', details: errors.array() });
         }
 
-        // Generate audio with Sarvam AI if enabled
-        let audioUrl = null;
+        const sessionId = req.headers['x-session-id'] || `recommend_${Date.now()}`;
 
-        if (process.env.SARVAM_API_KEY && process.env.SARVAM_API_KEY !== 'your_sarvam_api_key_here') {
-            try {
-                const sarvamApiUrl = 'https://api.sarvam.ai/text-to-speech';
-
-                const requestBody = {
-                    inputs: [gptResponse],
-                    target_language_code: getSarvamLanguageCode(detectedLanguage),
-                    speaker: voiceConfig.speaker,
-                    model: voiceConfig.model,
-                    pitch: voiceConfig.pitch,
-                    pace: voiceConfig.pace,
-                    loudness: voiceConfig.loudness,
-                    enable_preprocessing: true,
-                    speech_sample_rate: 22050
-                };
+        try {
+            const recommendation = await recommendCourse(req.body.message, personas.resolve(req.headers['x-persona']));
+            logger.info(`[${sessionId}] Recommended course: ${recommendation.course || 'none'}`);
+            res.json({ success: true, ...recommendation });
+        } catch (error) {
+            logger.error('[Recommend Course Error]:', error);
+            res.status(500).json({
+                error: 'Failed to recommend a course',
+                details: error.message
+            });
+        }
+    }
+);
 
-                const sarvamResponse = await axios.post(sarvamApiUrl, requestBody, {
-                    headers: {
-                        'api-subscription-key': process.env.SARVAM_API_KEY,
-                        'Content-Type': 'application/json'
-                    },
-                    responseType: 'json',
-                    timeout: 30000
-                });
+// Voices for the web picker and /make-call, plus the automatic per-language choices
+app.get('/voices', (req, res) => {
+    const { gender } = req.query;
+    const list = voices.list().filter((voice) => !gender || voice.gender === gender);
+    res.json({ count: list.length, voices: list, languageVoices: voices.languageVoices });
+});
 
-                const audioBase64 = sarvamResponse.data.audios[0];
+// Personas a caller or web visitor can talk to (system prompts stay server-side)
+app.get('/personas', (req, res) => {
+    res.json({
+        default: personas.defaultPersona.id,
+        personas: personas.list().map((persona) => ({
+            id: persona.id,
+            name: persona.name,
+            description: persona.description,
+            greeting: persona.greeting,
+            languages: persona.languages,
+            voice: { id: persona.voiceId, speaker: persona.voice.speaker, description: persona.voice.description },
+            courses: persona.catalog.courses.map((course) => course.name),
+            phoneNumbers: persona.phoneNumbers
+        }))
+    });
+});
 
-                if (audioBase64) {
-                    const audioBuffer = Buffer.from(audioBase64, 'base64');
-                    const audioDir = path.join(__dirname, 'public', 'audio');
-                    if (!fs.existsSync(audioDir)) {
-                        fs.mkdirSync(audioDir, { recursive: true });
-                    }
+// Lead listing for the admissions team
+app.get('/leads', requireAdminKey, (req, res) => {
+    const { channel, course, since } = req.query;
+    const leads = leadStore.listLeads({ channel, course, since });
+    res.json({ count: leads.length, leads });
+});
 
-                    const audioFileName = `${uuidv4()}.wav`;
-                    const audioFilePath = path.join(audioDir, audioFileName);
-                    fs.writeFileSync(audioFilePath, audioBuffer);
+// CSV export of leads (same filters as /leads)
+app.get('/leads/export.csv', requireAdminKey, (req, res) => {
+    const { channel, course, since } = req.query;
+    const leads = leadStore.listLeads({ channel, course, since });
 
-                    audioUrl = `/audio/${audioFileName}`;
-                    logger.info(`[${sessionId}] Audio saved: ${audioFileName}`);
+    res.type('text/csv');
+    res.attachment(`leads_${new Date().toISOString().slice(0, 10)}.csv`);
+    res.send(leadsToCsv(leads));
+});
 
-                    scheduleAudioCleanup(audioFilePath, 60000);
-                }
-            } catch (error) {
-                logger.error('[Sarvam AI Error for web chat]:', error);
-            }
-        }
+// Single lead by lead id, CallSid or web session id
+app.get('/leads/:id', requireAdminKey, (req, res) => {
+    const lead = leadStore.getLead(req.params.id);
+    if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+    }
+    res.json(lead);
+});
 
-        res.json({
-            detectedLanguage: detectedLanguage,
-            response: gptResponse,
-            audioUrl: audioUrl
-        });
+// Campus visit bookings for the admissions team
+app.get('/bookings', requireAdminKey, (req, res) => {
+    const { date, status } = req.query;
+    const bookings = visitScheduler.listBookings({ date, status });
+    res.json({ count: bookings.length, bookings });
+});
 
-    } catch (error) {
-        logger.error('[Web Chat Error]:', error);
-        res.status(500).json({
-            error: 'Failed to process message',
-            details: error.message
-        });
+// Cancel a campus visit booking
+app.post('/bookings/:id/cancel', requireAdminKey, (req, res) => {
+    const booking = visitScheduler.getBooking(req.params.id);
+    if (!booking) {
+        return res.status(404).json({ error: 'Booking not found' });
+    }
+    if (booking.status !== 'confirmed') {
+        return res.status(409).json({ error: `Booking is already ${booking.status}` });
     }
+
+    const cancelled = visitScheduler.cancelBooking(req.params.id, req.body?.reason || null);
+    logger.info(`Campus visit booking cancelled: ${cancelled.id} (${cancelled.slotId})`);
+    res.json({ success: true, booking: cancelled });
 });
 
 // Whisper transcription endpoint for audio files
@@ -918,7 +3621,7 @@ app.post('/transcribe', whisperLimiter, uploadMiddleware, async (req, res) => {
         });
 
         // Transcribe with Whisper
-        const transcription = await transcribeWithWhisper(req.file.path, language);
+        const transcription = await transcribeAudio(req.file.path, language);
 
         // Cleanup uploaded file
         if (fs.existsSync(req.file.path)) {
@@ -949,45 +3652,20 @@ app.post('/transcribe', whisperLimiter, uploadMiddleware, async (req, res) => {
 
 // Test audio generation endpoint
 app.get('/test-audio', async (req, res) => {
-    logger.info('[TEST] Testing Sarvam AI audio generation...');
+    logger.info(`[TEST] Testing ${providers.tts.name} audio generation...`);
 
     try {
         const testText = "Hello! This is a test of the audio system.";
-        const sarvamApiUrl = 'https://api.sarvam.ai/text-to-speech';
-
-        const requestBody = {
-            inputs: [testText],
-            target_language_code: voiceConfig.language,
-            speaker: voiceConfig.speaker,
-            model: voiceConfig.model,
-            pitch: voiceConfig.pitch,
-            pace: voiceConfig.pace,
-            loudness: voiceConfig.loudness,
-            enable_preprocessing: true,
-            speech_sample_rate: 22050
-        };
 
-        const sarvamResponse = await axios.post(sarvamApiUrl, requestBody, {
-            headers: {
-                'api-subscription-key': process.env.SARVAM_API_KEY,
-                'Content-Type': 'application/json'
-            },
-            responseType: 'json',
-            timeout: 30000
+        const voice = personas.defaultPersona.voice;
+        const audioBuffer = await providers.tts.synthesize(testText, {
+            languageCode: voice.language,
+            voice,
+            sampleRate: 22050
         });
 
-        if (sarvamResponse.data.audios && sarvamResponse.data.audios[0]) {
-            const audioBase64 = sarvamResponse.data.audios[0];
-            const audioBuffer = Buffer.from(audioBase64, 'base64');
-
-            const audioDir = path.join(__dirname, 'public', 'audio');
-            if (!fs.existsSync(audioDir)) {
-                fs.mkdirSync(audioDir, { recursive: true });
-            }
-
-            const audioFileName = `test_${Date.now()}.wav`;
-            const audioFilePath = path.join(audioDir, audioFileName);
-            fs.writeFileSync(audioFilePath, audioBuffer);
+        if (audioBuffer) {
+            const { audioFileName } = saveAudioFile(audioBuffer, `test_${Date.now()}.wav`);
             const audioUrl = `/audio/${audioFileName}`;
 
             res.json({
@@ -1004,7 +3682,7 @@ app.get('/test-audio', async (req, res) => {
             res.json({
                 success: false,
                 message: 'No audio in response',
-                response: sarvamResponse.data
+                provider: providers.tts.name
             });
         }
     } catch (error) {
@@ -1017,6 +3695,253 @@ app.get('/test-audio', async (req, res) => {
     }
 });
 
+// ============================================
+// Media Streams (real-time phone mode)
+// ============================================
+
+/**
+ * Synthesize speech as 8 kHz PCM for a media-stream call
+ * @param {string} text - Text to speak
+ * @param {string} language - Detected language code (e.g., 'hi')
+ * @param {object} voice - Entry from voiceConfigs
+ * @param {object} [options] - { fixed: a fixed prompt, cached on first use }
+ * @returns {Promise<Int16Array|null>} Samples, or null if no audio was returned
+ */
+async function synthesizePhoneAudio(text, language, voice, options = {}) {
+    let audioBuffer;
+    const key = speechCacheKey(text, language, voice, STREAM_SAMPLE_RATE, !!options.fixed);
+    if (key) {
+        const entry = await ttsCache.getOrCreate(key, () => synthesizeSpeech(text, language, voice, STREAM_SAMPLE_RATE));
+        audioBuffer = entry && fs.readFileSync(entry.filePath);
+    } else {
+        audioBuffer = await synthesizeSpeech(text, language, voice, STREAM_SAMPLE_RATE);
+    }
+
+    if (!audioBuffer) {
+        return null;
+    }
+
+    const { pcm, sampleRate } = parseWav(audioBuffer);
+    return resample(pcm, sampleRate, STREAM_SAMPLE_RATE);
+}
+
+// Greet the caller once Twilio connects the stream
+async function handleStreamStart(call) {
+    const session = await sessionStore.get(call.callSid);
+    if (!session || session.meta.mode !== 'stream') {
+        logger.warn(`[${call.callSid}] Rejecting media stream with no matching call session`);
+        return false;
+    }
+
+    // In the language picked from the menu, if the caller came through it
+    const greeting = await callGreeting(session);
+    session.messages.push({
+        role: 'assistant',
+        content: greeting.text,
+        metadata: { language: greeting.language, timestamp: new Date().toISOString() }
+    });
+    await persistSession(session);
+
+    synthesizePhoneAudio(greeting.text, greeting.language, voiceFor(session, greeting.language), { fixed: true })
+        .then((audio) => audio && call.play(audio))
+        .catch((error) => logger.error(`[${call.callSid}] Greeting TTS error:`, error));
+
+    return true;
+}
+
+/**
+ * Answer one caller utterance: speech-to-text, then answerStreamTurn. The
+ * signal aborts when the caller barges in.
+ * @param {object} call - Media-stream call handle
+ * @param {Int16Array} pcm - The caller's utterance at 8 kHz
+ * @param {AbortSignal} signal
+ */
+async function handleStreamUtterance(call, pcm, signal) {
+    const receivedAt = new Date().toISOString();
+
+    const transcription = await transcribeAudio(pcmToWav(pcm, STREAM_SAMPLE_RATE));
+    const userSpeech = transcription.text.trim();
+    if (!userSpeech || signal.aborted) return;
+
+    logger.info(`[${call.callSid}] Caller said: "${userSpeech}"`);
+    await answerStreamTurn(call, userSpeech, signal, { timestamp: receivedAt });
+}
+
+/**
+ * Answer a keypress on a media-stream call: a shortcut question is answered
+ * as if spoken, the handoff shortcut transfers the call, other keys are ignored
+ * @param {object} call - Media-stream call handle
+ * @param {string} digit - Key pressed
+ * @param {AbortSignal} signal
+ */
+async function handleStreamDigit(call, digit, signal) {
+    const shortcut = ivrConfig.shortcuts[digit];
+    logger.info(`[${call.callSid}] Caller pressed ${digit}${shortcut ? ` (${shortcut.label})` : ''}`);
+    if (!shortcut) return;
+
+    if (shortcut.question) {
+        await answerStreamTurn(call, shortcut.question, signal, { timestamp: new Date().toISOString(), dtmf: digit });
+        return;
+    }
+
+    const session = await sessionStore.get(call.callSid);
+    if (!session || signal.aborted) return;
+    session.messages.push({
+        role: 'user',
+        content: `(pressed ${digit} for ${shortcut.label})`,
+        metadata: { dtmf: digit, timestamp: new Date().toISOString() }
+    });
+    await transferStreamCall(call, session, {
+        reason: 'requested',
+        note: 'pressed the counselor key',
+        language: session.meta.language || lastReplyLanguage(session)
+    });
+}
+
+/**
+ * One caller turn on a media-stream call: language detection -> streamed GPT
+ * reply spoken sentence by sentence
+ * @param {object} call - Media-stream call handle
+ * @param {string} userSpeech - What the caller said (or the question behind a shortcut key)
+ * @param {AbortSignal} signal
+ * @param {object} turnMetadata - { timestamp, dtmf } for the caller's turn
+ */
+async function answerStreamTurn(call, userSpeech, signal, turnMetadata) {
+    const callSid = call.callSid;
+
+    const correction = await detectLanguageAndCorrect(userSpeech, callSid);
+    const detectedLanguage = correction.language;
+    const correctedMessage = correction.correctedText;
+
+    const session = await sessionStore.get(callSid);
+    if (!session || signal.aborted) return;
+    const history = session.messages;
+    const persona = personaFor(session);
+    const { language: replyLanguage, mixed } = conversationLanguage(session, persona, correction, userSpeech, { keypad: !!turnMetadata.dtmf });
+    const languageName = languageNames[replyLanguage] || 'English';
+    const voice = voiceFor(session, replyLanguage);
+    const userTurn = {
+        role: 'user',
+        content: correctedMessage,
+        metadata: { originalLanguage: detectedLanguage, original: userSpeech, ...(correction.mixed && { mixed: true }), ...turnMetadata }
+    };
+
+    const handoffReason = handoffDesk.assess(session, { text: `${userSpeech} ${correctedMessage}` });
+    if (handoffReason) {
+        history.push(userTurn);
+        await transferStreamCall(call, session, { reason: handoffReason, language: replyLanguage });
+        return;
+    }
+
+    // Synthesis runs ahead; playback keeps clips in reply order
+    const spoken = [];
+    let played = false;
+    let playChain = Promise.resolve();
+    let pending = '';
+    let replyText = '';
+
+    const speak = (sentence) => {
+        const clip = synthesizePhoneAudio(sentence, replyLanguage, voice).catch((error) => {
+            logger.error(`[${callSid}] Sentence TTS error:`, error);
+            return null;
+        });
+        playChain = playChain.then(async () => {
+            const audio = await clip;
+            if (!audio || signal.aborted) return;
+            played = true;
+            await call.play(audio, signal);
+            if (!signal.aborted) spoken.push(sentence);
+        });
+    };
+
+    const replyContext = { sourceId: callSid, channel: 'phone', language: replyLanguage };
+    try {
+        await streamReply(
+            await buildTurnMessages(session, persona, languageName, correctedMessage, mixed),
+            replyContext,
+            (text) => {
+                replyText += text;
+                const { sentences, rest } = takeCompleteSentences(pending + text);
+                pending = rest;
+                sentences.forEach(speak);
+            },
+            signal
+        );
+        if (pending.trim()) speak(pending.trim());
+    } catch (error) {
+        if (!signal.aborted) throw error;
+    }
+    await playChain;
+
+    const interrupted = signal.aborted;
+    if (interrupted && !played) {
+        // The caller kept talking before we answered; their audio is carried
+        // into the next utterance, so this turn is not recorded
+        return;
+    }
+    logger.info(`[${callSid}] GPT says (in ${languageName})${interrupted ? ' [interrupted]' : ''}: "${replyText}"`);
+
+    history.push(userTurn);
+
+    // If the caller cut the assistant off, record only the sentences they heard in full
+    const heard = interrupted ? spoken.join(' ') : replyText;
+    if (heard.trim()) {
+        history.push({
+            role: 'assistant',
+            content: heard,
+            metadata: { language: replyLanguage, timestamp: new Date().toISOString(), interrupted }
+        });
+    }
+
+    if (replyContext.handoff) {
+        // The reply already told the caller what happens next
+        await transferStreamCall(call, session, { ...replyContext.handoff, language: replyLanguage, spoken: true });
+    } else {
+        await persistSession(session);
+    }
+    captureLead(callSid, 'phone', history, persona);
+}
+
+/**
+ * Hand a media-stream call to a counselor: say so on the stream, then
+ * replace the call's TwiML with the transfer (which ends the stream)
+ * @param {object} call - Media-stream call handle
+ * @param {object} session - Call session
+ * @param {object} details - { reason, note, language, spoken (the reply already announced it) }
+ */
+async function transferStreamCall(call, session, details) {
+    // Redirecting a live call needs the REST API
+    const canTransfer = handoffDesk.canTransferCalls && !!client;
+    const handoff = await startHandoff(session, {
+        reason: details.reason,
+        note: details.note,
+        status: canTransfer ? 'dialing' : 'callback'
+    });
+
+    if (!details.spoken) {
+        const text = await translateFromEnglish(canTransfer ? handoffMessages.transfer : handoffMessages.callback, details.language);
+        session.messages.push({ role: 'assistant', content: text, metadata: { language: details.language, timestamp: new Date().toISOString() } });
+        try {
+            const audio = await synthesizePhoneAudio(text, details.language, voiceFor(session, details.language), { fixed: true });
+            if (audio) await call.play(audio);
+        } catch (error) {
+            logger.error(`[${call.callSid}] Handoff TTS error:`, error);
+        }
+    }
+    await persistSession(session);
+
+    if (canTransfer) {
+        const twiml = new VoiceResponse();
+        appendCounselorTransfer(twiml, handoff);
+        try {
+            await client.calls(call.callSid).update({ twiml: twiml.toString() });
+        } catch (error) {
+            logger.error(`[${call.callSid}] Failed to transfer call:`, error);
+            await syncHandoffSession(handoffDesk.update(handoff.id, { status: 'callback', error: error.message }));
+        }
+    }
+}
+
 // Error handling middleware
 app.use((error, req, res, next) => {
     logger.error('Unhandled error:', error);
@@ -1038,17 +3963,41 @@ app.use((error, req, res, next) => {
 // Start Server
 // ============================================
 
-app.listen(PORT, () => {
+// Apply config/data.js edits as they are saved (CONFIG_WATCH=off to disable)
+const configWatchEnabled = process.env.CONFIG_WATCH !== 'off';
+if (configWatchEnabled) {
+    configLoader.watch(() => {
+        try {
+            reloadConfigAndLog('file changed');
+        } catch (error) {
+            logger.error(`Config reload rejected - still using the previous config: ${error.message}`);
+        }
+    });
+}
+
+const server = app.listen(PORT, () => {
     logger.info('='.repeat(50));
     logger.info('🤖 AI Voice Assistant Server Started (Enhanced with Whisper)');
     logger.info('='.repeat(50));
     logger.info(`📞 Server running on: http://localhost:${PORT}`);
     logger.info(`🌐 Public URL: ${process.env.PUBLIC_URL || 'Not set - run ngrok!'}`);
     logger.info(`🔑 Twilio Phone: ${twilioPhoneNumber || 'Not configured'}`);
-    logger.info(`🎙️  Sarvam AI: ${process.env.SARVAM_API_KEY && process.env.SARVAM_API_KEY !== 'your_sarvam_api_key_here' ? `Enabled (${voiceConfig.description})` : 'Disabled (using Twilio TTS)'}`);
-    logger.info(`🎯 OpenAI Whisper: Enabled`);
-    logger.info(`🤖 AI Model: ${openAIConfig.model}`);
-    logger.info(`🗣️  Voice Language: ${voiceConfig.language}`);
+    if (twilioConfig.validateSignatures) {
+        logger.info('🔏 Twilio Webhooks: X-Twilio-Signature required');
+    } else {
+        logger.warn('🔓 Twilio Webhooks: SIGNATURE VALIDATION DISABLED - anyone can call /twilio-voice, /handle-speech and /call-status. Development and the call simulator only.');
+    }
+    logger.info(`🎙️  Text-to-Speech: ${isTtsEnabled() ? providers.tts.name : 'Disabled (using Twilio TTS)'}`);
+    logger.info(`🎯 Speech-to-Text: ${providers.stt.name}`);
+    logger.info(`🤖 AI Model: ${providers.llm.name} (${openAIConfig.model})`);
+    logger.info(`🌍 Translation: ${providers.translate.name}`);
+    logger.info(`📚 Course Catalog: ${catalog.courses.length} courses loaded`);
+    logger.info(`🛠️  Admin Dashboard: http://localhost:${PORT}/admin ${process.env.ADMIN_API_KEY ? '' : '(disabled - set ADMIN_API_KEY)'}`);
+    logger.info(`💾 Session Store: ${sessionStore.backend} (TTL ${sessionConfig.ttlSeconds}s)`);
+    logger.info(`🗄️  TTS Cache: ${ttsCache ? `${ttsCache.stats().entries} phrases (max ${Math.round(ttsCacheConfig.maxBytes / 1024 / 1024)} MB)` : 'Disabled'}`);
+    logger.info(`📡 Call Mode: ${twilioConfig.callMode} (media streams on ${mediaStreamConfig.path})`);
+    logger.info(`🎭 Personas: ${personas.list().map((p) => `${p.id} (${p.voice.description})`).join(', ')} - default ${personas.defaultPersona.id}`);
+    logger.info(`📋 Campaigns: ${client ? `calling ${campaignConfig.callingHours.start}-${campaignConfig.callingHours.end} ${campaignConfig.timezone}, up to ${campaignConfig.maxConcurrentCalls} at once` : 'Disabled (Twilio not configured)'}`);
     logger.info('='.repeat(50));
     logger.info('\n💡 Next steps:');
     logger.info('1. Run: ngrok http 3000');
@@ -1056,7 +4005,31 @@ app.listen(PORT, () => {
     logger.info('3. Restart this server');
     logger.info('4. Configure Twilio webhook with your ngrok URL');
     logger.info('5. Open http://localhost:3000 to start calling!\n');
-    logger.info('📝 To customize: Edit config/data.js to change personality or voice\n');
+    logger.info(`📝 To customize: Edit personaConfig in config/data.js to change personas, prompts or voices (${configWatchEnabled ? 'reloaded on save' : 'POST /admin/reload-config to apply'})\n`);
+
+    if (client) {
+        campaigns.start();
+    }
+    warmMenuPrompts().catch((error) => logger.error('Menu prompt warm-up error:', error));
+});
+
+// Real-time phone audio for calls answered in stream mode
+attachMediaStreamServer(server, {
+    path: mediaStreamConfig.path,
+    vad: mediaStreamConfig.vad,
+    logger,
+    // Twilio signs the WebSocket handshake like a webhook with no parameters
+    verifyUpgrade: (req) => {
+        if (!twilioConfig.validateSignatures || isSignedByTwilio(req, {})) {
+            return true;
+        }
+        logger.warn(`Rejected media stream from ${req.socket.remoteAddress}: invalid or missing X-Twilio-Signature`);
+        return false;
+    },
+    onStart: handleStreamStart,
+    onUtterance: handleStreamUtterance,
+    onDigit: handleStreamDigit,
+    onStop: (call) => logger.info(`[${call.callSid}] Media stream closed`),
 });
 
 // Graceful shutdown
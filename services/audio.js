@@ -0,0 +1,165 @@
+// ============================================
+// Audio Format Helpers
+// ============================================
+// Conversions between Twilio's 8 kHz G.711 μ-law media frames and 16-bit
+// PCM / WAV, used by the media-stream phone pipeline.
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+/**
+ * Decode μ-law bytes to 16-bit signed PCM samples
+ * @param {Buffer} mulaw
+ * @returns {Int16Array}
+ */
+function mulawToPcm(mulaw) {
+    const pcm = new Int16Array(mulaw.length);
+    for (let i = 0; i < mulaw.length; i++) {
+        const byte = ~mulaw[i] & 0xff;
+        const sign = byte & 0x80;
+        const exponent = (byte >> 4) & 0x07;
+        const mantissa = byte & 0x0f;
+        const magnitude = (((mantissa << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+        pcm[i] = sign ? -magnitude : magnitude;
+    }
+    return pcm;
+}
+
+/**
+ * Encode 16-bit signed PCM samples to μ-law bytes
+ * @param {Int16Array} pcm
+ * @returns {Buffer}
+ */
+function pcmToMulaw(pcm) {
+    const mulaw = Buffer.alloc(pcm.length);
+    for (let i = 0; i < pcm.length; i++) {
+        let sample = pcm[i];
+        const sign = sample < 0 ? 0x80 : 0;
+        if (sign) sample = -sample;
+        if (sample > MULAW_CLIP) sample = MULAW_CLIP;
+        sample += MULAW_BIAS;
+
+        let exponent = 7;
+        for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) {
+            exponent--;
+        }
+        const mantissa = (sample >> (exponent + 3)) & 0x0f;
+        mulaw[i] = ~(sign | (exponent << 4) | mantissa) & 0xff;
+    }
+    return mulaw;
+}
+
+/**
+ * Root-mean-square energy of a block of samples
+ * @param {Int16Array} pcm
+ */
+function rms(pcm) {
+    if (pcm.length === 0) return 0;
+    let sum = 0;
+    for (let i = 0; i < pcm.length; i++) {
+        sum += pcm[i] * pcm[i];
+    }
+    return Math.sqrt(sum / pcm.length);
+}
+
+/**
+ * Wrap mono 16-bit PCM in a WAV container
+ * @param {Int16Array} pcm
+ * @param {number} sampleRate
+ * @returns {Buffer}
+ */
+function pcmToWav(pcm, sampleRate) {
+    const dataSize = pcm.length * 2;
+    const wav = Buffer.alloc(44 + dataSize);
+
+    wav.write('RIFF', 0);
+    wav.writeUInt32LE(36 + dataSize, 4);
+    wav.write('WAVE', 8);
+    wav.write('fmt ', 12);
+    wav.writeUInt32LE(16, 16); // fmt chunk size
+    wav.writeUInt16LE(1, 20); // PCM
+    wav.writeUInt16LE(1, 22); // mono
+    wav.writeUInt32LE(sampleRate, 24);
+    wav.writeUInt32LE(sampleRate * 2, 28); // byte rate
+    wav.writeUInt16LE(2, 32); // block align
+    wav.writeUInt16LE(16, 34); // bits per sample
+    wav.write('data', 36);
+    wav.writeUInt32LE(dataSize, 40);
+    Buffer.from(pcm.buffer, pcm.byteOffset, dataSize).copy(wav, 44);
+
+    return wav;
+}
+
+/**
+ * Read mono (or first channel of) 16-bit PCM from a WAV file
+ * @param {Buffer} wav
+ * @returns {{pcm: Int16Array, sampleRate: number}}
+ */
+function parseWav(wav) {
+    if (wav.toString('ascii', 0, 4) !== 'RIFF' || wav.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a WAV file');
+    }
+
+    let offset = 12;
+    let sampleRate = null;
+    let channels = 1;
+    let bitsPerSample = 16;
+
+    while (offset + 8 <= wav.length) {
+        const chunkId = wav.toString('ascii', offset, offset + 4);
+        const chunkSize = wav.readUInt32LE(offset + 4);
+        const body = offset + 8;
+
+        if (chunkId === 'fmt ') {
+            channels = wav.readUInt16LE(body + 2);
+            sampleRate = wav.readUInt32LE(body + 4);
+            bitsPerSample = wav.readUInt16LE(body + 14);
+        } else if (chunkId === 'data') {
+            if (bitsPerSample !== 16) {
+                throw new Error(`Unsupported WAV bit depth: ${bitsPerSample}`);
+            }
+            const end = Math.min(body + chunkSize, wav.length);
+            const frameCount = Math.floor((end - body) / (2 * channels));
+            const pcm = new Int16Array(frameCount);
+            for (let i = 0; i < frameCount; i++) {
+                pcm[i] = wav.readInt16LE(body + i * 2 * channels);
+            }
+            return { pcm, sampleRate };
+        }
+
+        offset = body + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error('WAV file has no data chunk');
+}
+
+/**
+ * Linear-interpolation resampler (good enough for telephone speech)
+ * @param {Int16Array} pcm
+ * @param {number} fromRate
+ * @param {number} toRate
+ * @returns {Int16Array}
+ */
+function resample(pcm, fromRate, toRate) {
+    if (fromRate === toRate) return pcm;
+
+    const ratio = fromRate / toRate;
+    const output = new Int16Array(Math.floor(pcm.length / ratio));
+    for (let i = 0; i < output.length; i++) {
+        const position = i * ratio;
+        const index = Math.floor(position);
+        const next = Math.min(index + 1, pcm.length - 1);
+        const fraction = position - index;
+        output[i] = Math.round(pcm[index] * (1 - fraction) + pcm[next] * fraction);
+    }
+    return output;
+}
+
+module.exports = {
+    mulawToPcm,
+    pcmToMulaw,
+    rms,
+    pcmToWav,
+    parseWav,
+    resample,
+};
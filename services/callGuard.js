@@ -0,0 +1,215 @@
+// ============================================
+// Outbound Call Guard
+// ============================================
+// Decides whether /make-call may dial a number: country allow-list,
+// do-not-call list, per-number cooldown and daily caps. Every attempt is
+// written to an audit log (data/call-audit.json) - rejected ones with the
+// reason - and the cooldown and caps are counted from that log, so they
+// survive restarts. The do-not-call list lives in data/do-not-call.json.
+// Every check runs on the number's E.164 form (services/phoneNumbers.js),
+// which is also the number that gets dialed.
+
+const { v4: uuidv4 } = require('uuid');
+const { createJsonStore } = require('./jsonStore');
+const { toE164 } = require('./phoneNumbers');
+
+// Outcomes that count towards cooldowns and caps
+const COUNTED_OUTCOMES = ['placing', 'placed'];
+
+/**
+ * Calendar date (YYYY-MM-DD) of a moment in the given time zone
+ */
+function localDate(timeZone, date) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+/**
+ * Create the call guard
+ * @param {object} config - outboundCallConfig from config/data.js
+ * @param {object} options - Passed through to createJsonStore
+ */
+function createCallGuard(config, options = {}) {
+    const doNotCall = createJsonStore('do-not-call', options);
+    const audit = createJsonStore('call-audit', options);
+    const normalize = (phoneNumber) => toE164(phoneNumber, config);
+
+    // Drop audit entries past the retention period
+    const retentionCutoff = Date.now() - config.auditRetentionDays * 24 * 60 * 60 * 1000;
+    audit.values()
+        .filter((entry) => new Date(entry.at).getTime() < retentionCutoff)
+        .forEach((entry) => audit.remove(entry.id));
+
+    function countedCalls(filter) {
+        return audit.values().filter((entry) => COUNTED_OUTCOMES.includes(entry.outcome) && filter(entry));
+    }
+
+    function countryRefusal(phone) {
+        const digits = phone.slice(1);
+        if (config.allowedCountryCodes.length > 0 && !config.allowedCountryCodes.some((code) => digits.startsWith(code))) {
+            return {
+                reason: 'country_not_allowed',
+                message: `Calls are only allowed to country codes ${config.allowedCountryCodes.map((code) => `+${code}`).join(', ')}`,
+                status: 403
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Why a number may not be called right now, or null if it may
+     * @returns {{reason: string, message: string, status: number}|null}
+     */
+    function refusal(phone, now) {
+        const country = countryRefusal(phone);
+        if (country) {
+            return country;
+        }
+
+        if (doNotCall.has(phone)) {
+            return { reason: 'do_not_call', message: 'This number is on the do-not-call list', status: 403 };
+        }
+
+        const toNumber = countedCalls((entry) => entry.phone === phone);
+        const cooldownStart = now.getTime() - config.cooldownMinutes * 60 * 1000;
+        const recent = toNumber.find((entry) => new Date(entry.at).getTime() > cooldownStart);
+        if (recent) {
+            const retryAt = new Date(new Date(recent.at).getTime() + config.cooldownMinutes * 60 * 1000);
+            return {
+                reason: 'cooldown',
+                message: `This number was called recently - try again after ${retryAt.toISOString()}`,
+                status: 429
+            };
+        }
+
+        const today = localDate(config.timezone, now);
+        const isToday = (entry) => localDate(config.timezone, new Date(entry.at)) === today;
+
+        if (toNumber.filter(isToday).length >= config.maxCallsPerNumberPerDay) {
+            return {
+                reason: 'daily_cap_number',
+                message: `This number has already been called ${config.maxCallsPerNumberPerDay} time(s) today`,
+                status: 429
+            };
+        }
+
+        if (countedCalls(isToday).length >= config.maxCallsPerDay) {
+            return { reason: 'daily_cap_total', message: 'The daily outbound call limit has been reached', status: 429 };
+        }
+
+        return null;
+    }
+
+    function record(entry) {
+        const stored = { id: uuidv4(), at: new Date().toISOString(), ...entry };
+        return audit.set(stored.id, stored);
+    }
+
+    return {
+        normalizePhone: normalize,
+
+        /**
+         * A number as it would be dialed, or why it never could be (not a
+         * number, country not allowed) - for checking lists before they are queued
+         * @param {string} phoneNumber
+         * @returns {{phone: string|null, reason?: string, message?: string}}
+         */
+        screen(phoneNumber) {
+            const phone = normalize(phoneNumber);
+            if (!phone) {
+                return { phone: null, reason: 'invalid_number', message: 'Invalid phone number' };
+            }
+            const refused = countryRefusal(phone);
+            return refused ? { phone, reason: refused.reason, message: refused.message } : { phone };
+        },
+
+        /**
+         * Check a number and log the attempt. An allowed attempt is logged as
+         * 'placing' straight away so concurrent requests see it; finish it with
+         * markPlaced or markFailed.
+         * @param {string} phoneNumber
+         * @param {object} context - { actor, ip, persona } for the audit log
+         * @returns {{allowed: boolean, attemptId: string, phone: string|null, reason?: string, message?: string, status?: number}}
+         *          phone is the E.164 number to dial
+         */
+        authorize(phoneNumber, context = {}) {
+            const phone = normalize(phoneNumber);
+            const refused = phone
+                ? refusal(phone, new Date())
+                : { reason: 'invalid_number', message: 'Invalid phone number', status: 400 };
+
+            if (refused) {
+                const entry = record({ phone, outcome: 'rejected', reason: refused.reason, ...context });
+                return { allowed: false, attemptId: entry.id, phone, ...refused };
+            }
+
+            const entry = record({ phone, outcome: 'placing', reason: null, ...context });
+            return { allowed: true, attemptId: entry.id, phone };
+        },
+
+        /**
+         * Log an attempt that was refused before the number was checked
+         * (unauthorized, malformed request, calling disabled)
+         */
+        reject(phoneNumber, reason, context = {}) {
+            return record({ phone: normalize(phoneNumber), outcome: 'rejected', reason, ...context });
+        },
+
+        markPlaced(attemptId, callSid) {
+            const entry = audit.get(attemptId);
+            return entry && audit.set(attemptId, { ...entry, outcome: 'placed', callSid });
+        },
+
+        markFailed(attemptId, error) {
+            const entry = audit.get(attemptId);
+            return entry && audit.set(attemptId, { ...entry, outcome: 'failed', reason: 'twilio_error', error });
+        },
+
+        /**
+         * Audit entries, newest first
+         * @param {object} filters - { outcome, reason, phone, since, limit }
+         */
+        listAudit(filters = {}) {
+            const phone = filters.phone && normalize(filters.phone);
+            const entries = audit.values()
+                .filter((entry) => !filters.outcome || entry.outcome === filters.outcome)
+                .filter((entry) => !filters.reason || entry.reason === filters.reason)
+                .filter((entry) => !phone || entry.phone === phone)
+                .filter((entry) => !filters.since || entry.at >= filters.since)
+                .sort((a, b) => b.at.localeCompare(a.at));
+            return filters.limit ? entries.slice(0, filters.limit) : entries;
+        },
+
+        /**
+         * Add a number to the do-not-call list
+         * @returns {object|null} The entry, or null if the number is invalid
+         */
+        addDoNotCall(phoneNumber, details = {}) {
+            const phone = normalize(phoneNumber);
+            if (!phone) return null;
+            return doNotCall.set(phone, {
+                phone,
+                reason: details.reason || null,
+                addedBy: details.addedBy || null,
+                addedAt: new Date().toISOString()
+            });
+        },
+
+        removeDoNotCall(phoneNumber) {
+            const phone = normalize(phoneNumber);
+            return !!phone && doNotCall.remove(phone);
+        },
+
+        isDoNotCall(phoneNumber) {
+            const phone = normalize(phoneNumber);
+            return !!phone && doNotCall.has(phone);
+        },
+
+        listDoNotCall() {
+            return doNotCall.values().sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+        }
+    };
+}
+
+module.exports = {
+    createCallGuard,
+};
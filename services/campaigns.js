@@ -0,0 +1,466 @@
+// ============================================
+// Outbound Call Campaigns
+// ============================================
+// A campaign is a list of numbers (uploaded as CSV) that the queue dials on
+// its own: only inside the IST calling hours, never more than
+// maxConcurrentCalls at once, and with busy / no-answer outcomes from
+// /call-status retried after a growing backoff. Campaigns and the result for
+// every number are persisted in data/campaigns.json, so a restart picks the
+// queue up where it left off. Calls are placed through the same path as
+// /make-call, so the call guard's do-not-call list, cooldowns and caps apply.
+
+const { v4: uuidv4 } = require('uuid');
+const { createJsonStore } = require('./jsonStore');
+
+// Header names accepted for each contact field (compared lowercased, without spaces)
+const CSV_HEADERS = {
+    phone: ['phone', 'phonenumber', 'number', 'mobile', 'mobilenumber'],
+    name: ['name', 'fullname'],
+    courseInterest: ['courseinterest', 'course', 'interest'],
+};
+
+// Twilio statuses that end a call, plus 'voicemail' for a completed call
+// that reached an answering machine
+const FINAL_CALL_STATUSES = ['completed', 'voicemail', 'busy', 'no-answer', 'failed', 'canceled'];
+
+// Outcomes where the call got through (a person, or a message left)
+const REACHED_OUTCOMES = ['completed', 'voicemail'];
+
+// Call guard refusals that will not change by waiting
+const PERMANENT_REFUSALS = ['country_not_allowed', 'do_not_call', 'invalid_number'];
+
+// Contacts with nothing left to do
+const DONE_STATUSES = ['completed', 'failed', 'skipped', 'cancelled'];
+
+/**
+ * Current weekday and time (HH:MM) in the given time zone
+ */
+function localNow(timeZone, now) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone, weekday: 'long', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }).formatToParts(now).map((part) => [part.type, part.value])
+    );
+    return { weekday: parts.weekday.toLowerCase(), time: `${parts.hour}:${parts.minute}` };
+}
+
+/**
+ * Split CSV text into rows of fields (quoted fields may hold commas,
+ * doubled quotes and line breaks)
+ */
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Read campaign contacts from CSV. The first row is the header and needs a
+ * phone column; name and course interest columns are optional. Rows whose
+ * number could never be dialed are rejected here, so the upload reports
+ * them rather than the queue skipping them later.
+ * @param {string} text - CSV file contents
+ * @param {function(string): {phone: string|null, message?: string}} screenPhone - The call guard's
+ *   screen: the E.164 number, with a message if it cannot be called
+ * @returns {{contacts: object[], errors: string[]}} Contacts to call, and one message per rejected row
+ */
+function parseContactsCsv(text, screenPhone) {
+    const rows = parseCsvRows(String(text || '').replace(/^\uFEFF/, ''))
+        .map((fields, index) => ({ line: index + 1, fields: fields.map((value) => value.trim()) }))
+        .filter((row) => row.fields.some(Boolean));
+
+    if (rows.length === 0) {
+        return { contacts: [], errors: ['The file is empty'] };
+    }
+
+    const header = rows[0].fields.map((name) => name.toLowerCase().replace(/[\s_-]/g, ''));
+    const columns = Object.fromEntries(
+        Object.entries(CSV_HEADERS).map(([field, names]) => [field, header.findIndex((name) => names.includes(name))])
+    );
+    if (columns.phone === -1) {
+        return { contacts: [], errors: [`Line 1: no phone column (expected one of ${CSV_HEADERS.phone.join(', ')})`] };
+    }
+
+    const contacts = [];
+    const errors = [];
+    const seen = new Set();
+
+    rows.slice(1).forEach(({ line, fields }) => {
+        const raw = fields[columns.phone];
+        const { phone, message } = screenPhone(raw || '');
+        if (!phone) {
+            errors.push(`Line ${line}: invalid phone number "${raw || ''}"`);
+            return;
+        }
+        if (message) {
+            errors.push(`Line ${line}: ${phone} - ${message}`);
+            return;
+        }
+        if (seen.has(phone)) {
+            errors.push(`Line ${line}: ${phone} is already in the list`);
+            return;
+        }
+        seen.add(phone);
+        contacts.push({
+            phone,
+            name: (columns.name !== -1 && fields[columns.name]) || null,
+            courseInterest: (columns.courseInterest !== -1 && fields[columns.courseInterest]) || null,
+        });
+    });
+
+    return { contacts, errors };
+}
+
+/**
+ * Create the campaign manager
+ * @param {object} config - campaignConfig from config/data.js
+ * @param {object} options - { placeCall, logger } plus anything for createJsonStore.
+ *   placeCall(contact, campaign) resolves to { callSid } once Twilio accepts
+ *   the call, or { error, reason } if it was refused or failed
+ */
+function createCampaignManager(config, options) {
+    const { placeCall, logger } = options;
+    const store = createJsonStore('campaigns', options);
+    let timer = null;
+    let ticking = false;
+
+    function isWithinCallingHours(now = new Date()) {
+        const { weekday, time } = localNow(config.timezone, now);
+        return config.callingDays.includes(weekday)
+            && time >= config.callingHours.start
+            && time < config.callingHours.end;
+    }
+
+    function activeCalls() {
+        return store.values()
+            .flatMap((campaign) => campaign.contacts)
+            .filter((contact) => contact.status === 'calling').length;
+    }
+
+    function summarize(campaign) {
+        const counts = {};
+        campaign.contacts.forEach((contact) => {
+            counts[contact.status] = (counts[contact.status] || 0) + 1;
+        });
+        const { contacts, ...details } = campaign;
+        return {
+            ...details,
+            total: contacts.length,
+            done: contacts.filter((contact) => DONE_STATUSES.includes(contact.status)).length,
+            counts
+        };
+    }
+
+    function save(campaign) {
+        campaign.updatedAt = new Date().toISOString();
+        if (['scheduled', 'running'].includes(campaign.status)
+            && campaign.contacts.every((contact) => DONE_STATUSES.includes(contact.status))) {
+            campaign.status = 'completed';
+            campaign.completedAt = campaign.updatedAt;
+            logger.info(`📋 Campaign "${campaign.name}" (${campaign.id}) completed`);
+        }
+        return store.set(campaign.id, campaign);
+    }
+
+    /**
+     * Record how an attempt ended and decide whether the number is tried again
+     */
+    function finishAttempt(campaign, contact, outcome, now) {
+        const attempt = contact.history[contact.history.length - 1];
+        if (attempt) {
+            attempt.outcome = outcome;
+            attempt.endedAt = now.toISOString();
+        }
+        contact.lastOutcome = outcome;
+        contact.nextAttemptAt = null;
+
+        if (config.retryOutcomes.includes(outcome) && contact.attempts < config.maxAttempts) {
+            // Backoff doubles after each unanswered attempt
+            const delayMinutes = config.retryBackoffMinutes * 2 ** (contact.attempts - 1);
+            contact.status = 'retry';
+            contact.nextAttemptAt = new Date(now.getTime() + delayMinutes * 60 * 1000).toISOString();
+        } else if (REACHED_OUTCOMES.includes(outcome)) {
+            contact.status = 'completed';
+        } else {
+            contact.status = 'failed';
+        }
+        save(campaign);
+    }
+
+    async function dial(campaign, contact, now) {
+        // Counted as in flight before the request goes out, so the next tick
+        // cannot pick the same contact or exceed the concurrency cap
+        contact.status = 'calling';
+        contact.callSid = null;
+        contact.lastAttemptAt = now.toISOString();
+        save(campaign);
+
+        let result;
+        try {
+            result = await placeCall(contact, campaign);
+        } catch (error) {
+            result = { error: error.message, reason: 'error' };
+        }
+
+        if (result.callSid) {
+            contact.attempts += 1;
+            contact.callSid = result.callSid;
+            contact.history.push({ callSid: result.callSid, at: contact.lastAttemptAt, outcome: null });
+            save(campaign);
+            return;
+        }
+
+        contact.lastOutcome = result.reason;
+        contact.error = result.error || null;
+        if (PERMANENT_REFUSALS.includes(result.reason)) {
+            contact.status = 'skipped';
+        } else if (result.reason === 'twilio_error' || result.reason === 'error') {
+            contact.attempts += 1;
+            contact.status = contact.attempts < config.maxAttempts ? 'retry' : 'failed';
+        } else {
+            // Cooldown, daily caps or calling disabled - wait without using up an attempt
+            contact.status = 'retry';
+        }
+        contact.nextAttemptAt = contact.status === 'retry'
+            ? new Date(now.getTime() + config.retryBackoffMinutes * 60 * 1000).toISOString()
+            : null;
+        logger.warn(`[campaign ${campaign.id}] Call to ${contact.phone} not placed (${result.reason}): ${contact.status}`);
+        save(campaign);
+    }
+
+    /**
+     * Expire calls that never reported a final status, then start calls for
+     * due contacts up to the concurrency cap. Runs on a timer; safe to call
+     * directly.
+     */
+    async function tick(now = new Date()) {
+        if (ticking) return;
+        ticking = true;
+        try {
+            const timeoutBefore = now.getTime() - config.callTimeoutMinutes * 60 * 1000;
+            store.values().forEach((campaign) => {
+                campaign.contacts
+                    .filter((contact) => contact.status === 'calling' && new Date(contact.lastAttemptAt).getTime() < timeoutBefore)
+                    .forEach((contact) => {
+                        if (contact.callSid) {
+                            logger.warn(`[campaign ${campaign.id}] No final status for ${contact.callSid} - counting it as unanswered`);
+                            finishAttempt(campaign, contact, 'no-answer', now);
+                        } else {
+                            // The server stopped while the call was being placed
+                            contact.status = 'retry';
+                            contact.nextAttemptAt = now.toISOString();
+                            save(campaign);
+                        }
+                    });
+            });
+
+            if (!isWithinCallingHours(now)) return;
+
+            const campaigns = store.values()
+                .filter((campaign) => ['scheduled', 'running'].includes(campaign.status) && campaign.startAt <= now.toISOString())
+                .sort((a, b) => a.startAt.localeCompare(b.startAt));
+
+            for (const campaign of campaigns) {
+                if (campaign.status === 'scheduled') {
+                    campaign.status = 'running';
+                    campaign.startedAt = now.toISOString();
+                    save(campaign);
+                    logger.info(`📋 Campaign "${campaign.name}" (${campaign.id}) started`);
+                }
+
+                const inFlight = campaign.contacts.filter((contact) => contact.status === 'calling').length;
+                const slots = Math.min(campaign.concurrency - inFlight, config.maxConcurrentCalls - activeCalls());
+                const due = campaign.contacts
+                    .filter((contact) => contact.status === 'pending'
+                        || (contact.status === 'retry' && contact.nextAttemptAt <= now.toISOString()))
+                    .slice(0, Math.max(slots, 0));
+
+                for (const contact of due) {
+                    // A pause or cancel while earlier calls were being placed stops the rest
+                    if (store.get(campaign.id).status !== 'running') break;
+                    await dial(campaign, contact, now);
+                }
+            }
+        } catch (error) {
+            logger.error('Campaign queue error:', error);
+        } finally {
+            ticking = false;
+        }
+    }
+
+    /** Campaign and contact a call was placed for, or null */
+    function findByCallSid(callSid) {
+        for (const campaign of store.values()) {
+            const contact = campaign.contacts.find((entry) => entry.history.some((attempt) => attempt.callSid === callSid));
+            if (contact) return { campaign, contact };
+        }
+        return null;
+    }
+
+    function setStatus(id, from, to) {
+        const campaign = store.get(id);
+        if (!campaign) {
+            return { campaign: null, error: 'Campaign not found' };
+        }
+        if (!from.includes(campaign.status)) {
+            return { campaign: null, error: `Campaign is ${campaign.status}` };
+        }
+        campaign.status = to;
+        return { campaign, error: null };
+    }
+
+    return {
+        isWithinCallingHours,
+
+        /**
+         * Create a campaign from parsed contacts
+         * @param {object} request - { name, contacts, startAt, persona, mode, voice, language (for voicemails), concurrency, createdBy }
+         * @returns {object} Campaign summary
+         */
+        createCampaign(request) {
+            const now = new Date().toISOString();
+            const campaign = {
+                id: uuidv4(),
+                name: request.name,
+                status: 'scheduled',
+                persona: request.persona,
+                mode: request.mode || null,
+                voice: request.voice || null,
+                language: request.language || null,
+                concurrency: Math.min(request.concurrency || config.maxConcurrentCalls, config.maxConcurrentCalls),
+                startAt: request.startAt ? new Date(request.startAt).toISOString() : now,
+                createdBy: request.createdBy || null,
+                createdAt: now,
+                updatedAt: now,
+                contacts: request.contacts.map((contact) => ({
+                    id: uuidv4(),
+                    phone: contact.phone,
+                    name: contact.name,
+                    courseInterest: contact.courseInterest,
+                    status: 'pending',
+                    attempts: 0,
+                    callSid: null,
+                    lastOutcome: null,
+                    lastAttemptAt: null,
+                    nextAttemptAt: null,
+                    history: []
+                }))
+            };
+            store.set(campaign.id, campaign);
+            logger.info(`📋 Campaign "${campaign.name}" (${campaign.id}) created with ${campaign.contacts.length} numbers, starting ${campaign.startAt}`);
+            return summarize(campaign);
+        },
+
+        /** Every campaign without its contact list, newest first */
+        listCampaigns() {
+            return store.values()
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                .map(summarize);
+        },
+
+        /** A campaign's progress and the result for each number, or null */
+        getCampaign(id) {
+            const campaign = store.get(id);
+            return campaign && { ...summarize(campaign), contacts: campaign.contacts };
+        },
+
+        findByCallSid,
+
+        /**
+         * Apply a status reported to /call-status
+         * @param {string} callSid
+         * @param {string} callStatus - Twilio CallStatus, or 'voicemail' for a call answered by a machine
+         * @returns {boolean} Whether the call belonged to a campaign
+         */
+        handleCallStatus(callSid, callStatus) {
+            const match = callSid && findByCallSid(callSid);
+            if (!match) return false;
+
+            const { campaign, contact } = match;
+            if (FINAL_CALL_STATUSES.includes(callStatus) && contact.callSid === callSid && contact.status === 'calling') {
+                finishAttempt(campaign, contact, callStatus, new Date());
+                logger.info(`[campaign ${campaign.id}] ${contact.phone}: ${callStatus} -> ${contact.status}${contact.nextAttemptAt ? ` (retry at ${contact.nextAttemptAt})` : ''}`);
+            }
+            return true;
+        },
+
+        /** Stop placing new calls; calls in progress finish normally */
+        pause(id) {
+            const result = setStatus(id, ['scheduled', 'running'], 'paused');
+            return result.campaign ? { campaign: summarize(save(result.campaign)), error: null } : result;
+        },
+
+        resume(id) {
+            const result = setStatus(id, ['paused'], 'running');
+            return result.campaign ? { campaign: summarize(save(result.campaign)), error: null } : result;
+        },
+
+        /** Drop every number not yet called; calls in progress still report their result */
+        cancel(id) {
+            const result = setStatus(id, ['scheduled', 'running', 'paused'], 'cancelled');
+            if (!result.campaign) return result;
+
+            result.campaign.contacts
+                .filter((contact) => ['pending', 'retry'].includes(contact.status))
+                .forEach((contact) => {
+                    contact.status = 'cancelled';
+                    contact.nextAttemptAt = null;
+                });
+            result.campaign.cancelledAt = new Date().toISOString();
+            return { campaign: summarize(save(result.campaign)), error: null };
+        },
+
+        tick,
+
+        /** Run the queue every tickSeconds */
+        start() {
+            if (timer) return;
+            timer = setInterval(tick, config.tickSeconds * 1000);
+            timer.unref();
+            tick();
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+module.exports = {
+    createCampaignManager,
+    parseContactsCsv,
+};
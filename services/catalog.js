@@ -0,0 +1,210 @@
+// ============================================
+// Course Catalog & Retrieval
+// ============================================
+// The catalog (config/catalog.json) is owned by the admissions team. Every
+// fact Skylar states about courses, fees, durations, batches or the campus
+// must come from the entries retrieved here, never from the prompt itself.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CATALOG_PATH = path.join(__dirname, '..', 'config', 'catalog.json');
+
+// Keywords (English, romanized Hindi/Marathi and native script) that signal
+// which part of a catalog entry the user is asking about
+const topicKeywords = {
+    fees: ['fee', 'fees', 'cost', 'costs', 'price', 'charges', 'installment', 'installments', 'emi', 'kitna', 'kitni', 'kiti', 'paisa', 'paise', 'shulk', 'फीस', 'शुल्क', 'किती', 'कितना'],
+    duration: ['duration', 'long', 'month', 'months', 'week', 'weeks', 'year', 'mahina', 'mahine', 'mahinyancha', 'अवधि', 'कालावधी', 'महीने', 'महिने'],
+    curriculum: ['curriculum', 'syllabus', 'module', 'modules', 'subject', 'subjects', 'topics', 'learn', 'teach', 'software', 'sikhenge', 'sikhaya', 'शिकवतात', 'सिलेबस', 'अभ्यासक्रम'],
+    eligibility: ['eligibility', 'eligible', 'qualification', 'requirement', 'requirements', 'criteria', '10th', '12th', 'graduate', 'degree', 'admission', 'admissions', 'apply', 'patrata', 'पात्रता', 'प्रवेश'],
+    batches: ['batch', 'batches', 'start', 'starting', 'starts', 'begin', 'join', 'date', 'dates', 'weekend', 'weekday', 'schedule', 'next', 'बैच', 'बॅच'],
+    campus: ['campus', 'address', 'location', 'located', 'where', 'visit', 'directions', 'timings', 'open', 'kahan', 'kaha', 'kuthe', 'पता', 'पत्ता', 'कहाँ', 'कुठे'],
+    overview: ['courses', 'course', 'programs', 'programmes', 'offer', 'options', 'kaunse', 'konte', 'कोर्स'],
+    academy: ['founder', 'about', 'academy', 'skillora', 'features', 'placement', 'placements', 'mentor', 'mentors', 'ratio']
+};
+
+/**
+ * Load and validate the course catalog
+ * @param {string} catalogPath - Path to the catalog JSON file
+ * @returns {{academy: object, courses: object[]}}
+ */
+function loadCatalog(catalogPath = process.env.CATALOG_PATH || DEFAULT_CATALOG_PATH) {
+    const raw = fs.readFileSync(catalogPath, 'utf8');
+    const catalog = JSON.parse(raw);
+
+    if (!catalog.academy || !Array.isArray(catalog.courses)) {
+        throw new Error(`Invalid catalog at ${catalogPath}: expected "academy" and "courses"`);
+    }
+
+    catalog.courses.forEach((course, index) => {
+        ['id', 'name', 'duration', 'fees', 'eligibility'].forEach((field) => {
+            if (course[field] === undefined) {
+                throw new Error(`Invalid catalog at ${catalogPath}: courses[${index}] is missing "${field}"`);
+            }
+        });
+    });
+
+    return catalog;
+}
+
+function normalize(text) {
+    return (text || '').toLowerCase().replace(/[^\p{L}\p{N}\/]+/gu, ' ').trim();
+}
+
+function containsTerm(normalizedText, tokens, term) {
+    const normalizedTerm = normalize(term);
+    if (!normalizedTerm) return false;
+    if (normalizedTerm.includes(' ')) {
+        return ` ${normalizedText} `.includes(` ${normalizedTerm} `);
+    }
+    return tokens.has(normalizedTerm);
+}
+
+function detectTopics(normalizedText, tokens) {
+    return Object.keys(topicKeywords).filter((topic) =>
+        topicKeywords[topic].some((term) => containsTerm(normalizedText, tokens, term))
+    );
+}
+
+function scoreCourses(catalog, normalizedText, tokens) {
+    return catalog.courses
+        .map((course) => {
+            const terms = [course.name, course.id.replace(/-/g, ' '), ...(course.keywords || [])];
+            const score = terms.filter((term) => containsTerm(normalizedText, tokens, term)).length;
+            return { course, score };
+        })
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .map(({ course }) => course);
+}
+
+/**
+ * Find the catalog entries relevant to the user's question
+ * @param {object} catalog - Loaded catalog
+ * @param {string} query - Current user message
+ * @param {Array<{role: string, content: string}>} history - Prior turns, used to resolve "it"/"that course"
+ * @param {object} options - { maxCourses }
+ * @returns {{topics: string[], courses: object[], includeCampus: boolean, includeAcademy: boolean}}
+ */
+function retrieveCatalogEntries(catalog, query, history = [], options = {}) {
+    const maxCourses = options.maxCourses || 2;
+    const normalizedQuery = normalize(query);
+    const tokens = new Set(normalizedQuery.split(' '));
+    const topics = detectTopics(normalizedQuery, tokens);
+
+    let courses = scoreCourses(catalog, normalizedQuery, tokens);
+
+    // Follow-up questions ("what is the fee for it?") refer to the course
+    // discussed in the most recent user turns
+    if (courses.length === 0 && topics.length > 0) {
+        const recentUserTurns = history
+            .filter((msg) => msg.role === 'user')
+            .slice(-3)
+            .reverse();
+
+        for (const turn of recentUserTurns) {
+            const normalizedTurn = normalize(turn.content);
+            courses = scoreCourses(catalog, normalizedTurn, new Set(normalizedTurn.split(' ')));
+            if (courses.length > 0) break;
+        }
+    }
+
+    return {
+        topics,
+        courses: courses.slice(0, maxCourses),
+        includeCampus: topics.includes('campus'),
+        includeAcademy: topics.includes('academy')
+    };
+}
+
+function formatRupees(amount) {
+    return `Rs. ${Number(amount).toLocaleString('en-IN')}`;
+}
+
+function formatFees(fees) {
+    const parts = [`${formatRupees(fees.total)} total`];
+    if (fees.registration) parts.push(`includes ${formatRupees(fees.registration)} registration`);
+    if (fees.installments) parts.push(fees.installments);
+    return parts.join('; ');
+}
+
+function upcomingBatches(course, now) {
+    const today = now.toISOString().slice(0, 10);
+    return (course.batches || []).filter((batch) => batch.startDate >= today);
+}
+
+function formatCourse(course, topics, now) {
+    // With no specific topic, describe the course fully; otherwise only the
+    // fields that were asked about, to keep the prompt short
+    const specific = ['fees', 'duration', 'curriculum', 'eligibility', 'batches'].filter((t) => topics.includes(t));
+    const wants = (topic) => specific.length === 0 || specific.includes(topic);
+    const lines = [`Course: ${course.name} - ${course.summary}`];
+
+    if (wants('duration')) lines.push(`- Duration: ${course.duration} (${course.mode})`);
+    if (wants('fees')) lines.push(`- Fees: ${formatFees(course.fees)}`);
+    if (wants('eligibility')) lines.push(`- Eligibility: ${course.eligibility}`);
+    if (wants('curriculum') && course.modules) lines.push(`- Modules: ${course.modules.join(', ')}`);
+    if (wants('batches')) {
+        const batches = upcomingBatches(course, now);
+        lines.push(batches.length > 0
+            ? `- Upcoming batches: ${batches.map((b) => `${b.startDate} (${b.schedule})`).join('; ')}`
+            : '- Upcoming batches: none scheduled yet');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Build the catalog context block injected into the GPT messages
+ * @param {object} catalog - Loaded catalog
+ * @param {string} query - Current user message
+ * @param {Array<{role: string, content: string}>} history - Prior turns
+ * @param {object} options - { maxCourses, now }
+ * @returns {string} Context text for a system message
+ */
+function buildCatalogContext(catalog, query, history = [], options = {}) {
+    const now = options.now || new Date();
+    const { academy } = catalog;
+    const entries = retrieveCatalogEntries(catalog, query, history, options);
+    const lines = [
+        'CATALOG CONTEXT (official data - use ONLY this for courses, fees, durations, eligibility, batch dates and campus details):',
+        `Courses offered: ${catalog.courses.map((c) => c.name).join(', ')}`
+    ];
+
+    entries.courses.forEach((course) => lines.push(formatCourse(course, entries.topics, now)));
+
+    // Generic fee/duration questions without a course get a one-line
+    // summary per course so Skylar can answer or ask which course
+    if (entries.courses.length === 0 && entries.topics.some((t) => ['fees', 'duration', 'batches'].includes(t))) {
+        catalog.courses.forEach((course) => {
+            const next = upcomingBatches(course, now)[0];
+            lines.push(`- ${course.name}: ${course.duration}, ${formatRupees(course.fees.total)}${next ? `, next batch ${next.startDate}` : ''}`);
+        });
+    }
+
+    if (entries.includeCampus) {
+        lines.push(`Campus: ${academy.campus.address}`);
+        lines.push(`Timings: ${academy.campus.timings}`);
+        if (academy.campus.visits) lines.push(`Visits: ${academy.campus.visits}`);
+    }
+
+    if (entries.includeAcademy || entries.topics.includes('eligibility')) {
+        lines.push(`Admission process: ${academy.admissionProcess}`);
+    }
+
+    if (entries.includeAcademy) {
+        lines.push(`Founder: ${academy.founder}`);
+        lines.push(`Key features: ${academy.features.join(', ')}`);
+        lines.push(`Website: ${academy.website}`);
+    }
+
+    lines.push('If the answer is not in this context, say the admissions team will confirm it. Never estimate fees, durations or dates.');
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    loadCatalog,
+    retrieveCatalogEntries,
+    buildCatalogContext,
+};
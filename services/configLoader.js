@@ -0,0 +1,66 @@
+// ============================================
+// Configuration Loader
+// ============================================
+// Loads config/data.js through the schema and re-reads it on demand or when
+// the file changes. A reload that fails validation is rejected and the
+// previous configuration stays in use.
+
+const fs = require('fs');
+const path = require('path');
+const { validateConfig } = require('./configSchema');
+
+/**
+ * @param {object} options - { file (absolute path to config/data.js), logger }
+ * @returns {object} load, watch, close
+ */
+function createConfigLoader(options) {
+    const { file, logger } = options;
+    let watcher = null;
+    let debounce = null;
+
+    return {
+        /**
+         * Read and validate a fresh copy of the config file
+         * @returns {object} The module's exports
+         * @throws {Error} With an `errors` list naming each offending key
+         */
+        load() {
+            delete require.cache[require.resolve(file)];
+            const config = require(file);
+
+            const errors = validateConfig(config);
+            if (errors.length > 0) {
+                const error = new Error(`Invalid configuration in ${file}:\n  - ${errors.join('\n  - ')}`);
+                error.errors = errors;
+                throw error;
+            }
+            return config;
+        },
+
+        /**
+         * Call onChange after the file is saved; editors often write several
+         * times in a row, so changes are debounced
+         * @param {function(): void} onChange
+         * @param {number} delayMs - Quiet period before onChange runs
+         */
+        watch(onChange, delayMs = 300) {
+            // Watch the directory: editors that save by replacing the file
+            // would leave a watcher on the file itself pointing at the old copy
+            watcher = fs.watch(path.dirname(file), (eventType, fileName) => {
+                if (fileName && fileName !== path.basename(file)) return;
+                clearTimeout(debounce);
+                debounce = setTimeout(onChange, delayMs);
+            });
+            watcher.on('error', (error) => logger.error('Config watcher error:', error));
+        },
+
+        close() {
+            clearTimeout(debounce);
+            if (watcher) watcher.close();
+        }
+    };
+}
+
+module.exports = {
+    createConfigLoader,
+};
@@ -0,0 +1,452 @@
+// ============================================
+// Configuration Schema
+// ============================================
+// Checks the objects exported by config/data.js before the server uses
+// them, so a typo (an unknown model, a pace Sarvam will reject, a voice
+// with no speaker) fails at startup or on reload with the offending key
+// named, instead of surfacing as a provider error in the middle of a call.
+//
+// Rules are small functions (value, path, errors) that push
+// "path: problem" strings onto errors. Objects are strict: an unknown key is
+// reported too, since it is usually a misspelling of a known one.
+
+const { CATEGORIES: PERSONAL_DATA_CATEGORIES } = require('./redaction');
+
+const OPENAI_CHAT_MODEL = /^(gpt-[\w.-]+|o\d[\w-]*|chatgpt-[\w.-]+)$/;
+const SARVAM_MODELS = ['bulbul:v1', 'bulbul:v2'];
+const LANGUAGE_CODE = /^[a-z]{2}$/;
+const LOCALE_CODE = /^[a-z]{2}-[A-Z]{2}$/;
+
+function describe(value) {
+    return JSON.stringify(value) ?? String(value);
+}
+
+// ---------- rules ----------
+
+function string(options = {}) {
+    return (value, path, errors) => {
+        if (typeof value !== 'string') {
+            errors.push(`${path}: expected a string, got ${describe(value)}`);
+        } else if (options.oneOf && !options.oneOf.includes(value)) {
+            errors.push(`${path}: must be one of ${options.oneOf.join(', ')} (got ${describe(value)})`);
+        } else if (options.pattern && !options.pattern.test(value)) {
+            errors.push(`${path}: ${options.patternMessage || `does not match ${options.pattern}`} (got ${describe(value)})`);
+        } else if (options.nonEmpty !== false && value.trim() === '') {
+            errors.push(`${path}: must not be empty`);
+        }
+    };
+}
+
+function number(options = {}) {
+    return (value, path, errors) => {
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+            errors.push(`${path}: expected a number, got ${describe(value)}`);
+        } else if (options.integer && !Number.isInteger(value)) {
+            errors.push(`${path}: must be a whole number (got ${value})`);
+        } else if ((options.min !== undefined && value < options.min) || (options.max !== undefined && value > options.max)) {
+            errors.push(`${path}: must be between ${options.min ?? '-∞'} and ${options.max ?? '∞'} (got ${value})`);
+        }
+    };
+}
+
+function boolean() {
+    return (value, path, errors) => {
+        if (typeof value !== 'boolean') {
+            errors.push(`${path}: expected true or false, got ${describe(value)}`);
+        }
+    };
+}
+
+function arrayOf(item, options = {}) {
+    return (value, path, errors) => {
+        if (!Array.isArray(value)) {
+            errors.push(`${path}: expected a list, got ${describe(value)}`);
+            return;
+        }
+        if (options.min && value.length < options.min) {
+            errors.push(`${path}: needs at least ${options.min} item(s)`);
+        }
+        value.forEach((entry, index) => item(entry, `${path}[${index}]`, errors));
+    };
+}
+
+function object(shape) {
+    return (value, path, errors) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            errors.push(`${path}: expected an object, got ${describe(value)}`);
+            return;
+        }
+        Object.entries(shape).forEach(([key, rule]) => {
+            if (value[key] === undefined && !rule.optional) {
+                errors.push(`${path}.${key}: is missing`);
+            } else {
+                rule(value[key], `${path}.${key}`, errors);
+            }
+        });
+        Object.keys(value)
+            .filter((key) => !(key in shape))
+            .forEach((key) => errors.push(`${path}.${key}: unknown setting (expected one of ${Object.keys(shape).join(', ')})`));
+    };
+}
+
+// Object with arbitrary keys whose values share one rule
+function recordOf(rule) {
+    return (value, path, errors) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            errors.push(`${path}: expected an object, got ${describe(value)}`);
+            return;
+        }
+        Object.entries(value).forEach(([key, entry]) => rule(entry, `${path}.${key}`, errors));
+    };
+}
+
+// Missing (undefined or null) is fine; anything else must pass the rule
+function optional(rule) {
+    const check = (value, path, errors) => {
+        if (value !== undefined && value !== null) rule(value, path, errors);
+    };
+    check.optional = true;
+    return check;
+}
+
+// ---------- schema ----------
+
+// Sarvam's accepted ranges for bulbul voices
+const voiceTuning = {
+    pitch: number({ min: -0.75, max: 0.75 }),
+    pace: number({ min: 0.3, max: 3 }),
+    loudness: number({ min: 0.1, max: 3 }),
+};
+
+const voiceSchema = object({
+    model: string({ oneOf: SARVAM_MODELS }),
+    speaker: string({ pattern: /^[a-z]+$/, patternMessage: 'must be a lowercase Sarvam speaker name' }),
+    gender: string({ oneOf: ['female', 'male'] }),
+    language: string({ pattern: LOCALE_CODE, patternMessage: 'must be a locale like en-IN' }),
+    ...voiceTuning,
+    description: string(),
+});
+
+// Categories masked for one redactionConfig destination
+const personalData = arrayOf(string({ oneOf: PERSONAL_DATA_CATEGORIES }));
+
+// A banned claim or financial advice check in guardrailConfig
+const guardrailRule = object({
+    id: string(),
+    description: string(),
+    pattern: string(),
+});
+
+const schema = object({
+    systemPrompts: recordOf(string()),
+    voiceConfigs: recordOf(voiceSchema),
+    languageVoices: recordOf(object({
+        female: optional(string()),
+        male: optional(string()),
+        pitch: optional(voiceTuning.pitch),
+        pace: optional(voiceTuning.pace),
+        loudness: optional(voiceTuning.loudness),
+    })),
+    openAIConfig: object({
+        model: string(),
+        temperature: number({ min: 0, max: 2 }),
+        maxTokens: number({ min: 1, max: 4096, integer: true }),
+        utilityModel: string(),
+    }),
+    providerConfig: object({
+        llm: string({ oneOf: ['openai', 'local', 'mock'] }),
+        stt: string({ oneOf: ['openai', 'local', 'mock'] }),
+        tts: string({ oneOf: ['sarvam', 'mock'] }),
+        translate: string({ oneOf: ['google', 'mock'] }),
+        openai: object({ apiKey: optional(string({ nonEmpty: false })) }),
+        local: object({
+            baseURL: string({ pattern: /^https?:\/\//, patternMessage: 'must be an http(s) URL' }),
+            apiKey: string(),
+            model: string(),
+            transcriptionBaseURL: optional(string({ pattern: /^https?:\/\//, patternMessage: 'must be an http(s) URL' })),
+            transcriptionModel: string(),
+        }),
+        sarvam: object({ apiKey: optional(string({ nonEmpty: false })) }),
+        google: object({ apiKey: optional(string({ nonEmpty: false })) }),
+        mock: object({ transcript: optional(string()) }),
+    }),
+    ttsCacheConfig: object({
+        enabled: boolean(),
+        dir: string(),
+        maxBytes: number({ min: 1 }),
+        maxEntries: number({ min: 1, integer: true }),
+        minRepeats: number({ min: 1, integer: true }),
+    }),
+    twilioConfig: object({
+        language: string(),
+        speechTimeout: string({ pattern: /^(auto|\d+)$/, patternMessage: 'must be "auto" or a number of seconds' }),
+        callMode: string({ oneOf: ['gather', 'stream'] }),
+        validateSignatures: boolean(),
+    }),
+    outboundCallConfig: object({
+        allowedCountryCodes: arrayOf(string({ pattern: /^\d{1,4}$/, patternMessage: 'must be a country calling code without "+", like 91' })),
+        defaultCountryCode: string({ pattern: /^[1-9]\d{0,2}$/, patternMessage: 'must be a country calling code without "+", like 91' }),
+        nationalNumberLength: number({ min: 4, max: 14, integer: true }),
+        cooldownMinutes: number({ min: 0 }),
+        maxCallsPerNumberPerDay: number({ min: 1, integer: true }),
+        maxCallsPerDay: number({ min: 1, integer: true }),
+        timezone: string(),
+        auditRetentionDays: number({ min: 1 }),
+    }),
+    campaignConfig: object({
+        timezone: string(),
+        callingHours: object({
+            start: string({ pattern: /^\d{2}:\d{2}$/, patternMessage: 'must be HH:MM' }),
+            end: string({ pattern: /^\d{2}:\d{2}$/, patternMessage: 'must be HH:MM' }),
+        }),
+        callingDays: arrayOf(string({ oneOf: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'] }), { min: 1 }),
+        maxConcurrentCalls: number({ min: 1, integer: true }),
+        maxAttempts: number({ min: 1, integer: true }),
+        retryOutcomes: arrayOf(string({ oneOf: ['busy', 'no-answer', 'voicemail', 'failed', 'canceled'] })),
+        retryBackoffMinutes: number({ min: 1 }),
+        callTimeoutMinutes: number({ min: 1 }),
+        tickSeconds: number({ min: 1 }),
+    }),
+    handoffConfig: object({
+        counselorNumbers: arrayOf(string({ pattern: /^\+\d{6,15}$/, patternMessage: 'must be an E.164 number like +919876543210' })),
+        counselorQueue: string({ nonEmpty: false }),
+        dialTimeoutSeconds: number({ min: 5, max: 600, integer: true }),
+        webWaitSeconds: number({ min: 10, integer: true }),
+        maxFailedTurns: number({ min: 1, integer: true }),
+        minConfidence: number({ min: 0, max: 1 }),
+        requestPhrases: arrayOf(string()),
+    }),
+    ivrConfig: object({
+        enabled: boolean(),
+        languageKeys: recordOf(string({ pattern: LANGUAGE_CODE, patternMessage: 'must be a two-letter language code' })),
+        welcome: string(),
+        languagePrompts: recordOf(string()),
+        menuTimeoutSeconds: number({ min: 1, max: 60, integer: true }),
+        menuRepeats: number({ min: 1, integer: true }),
+        shortcuts: recordOf(object({
+            label: string(),
+            question: optional(string()),
+            handoff: optional(boolean()),
+        })),
+    }),
+    voicemailConfig: object({
+        machineDetection: string({ oneOf: ['DetectMessageEnd', 'Enable', 'off'] }),
+        detectionTimeoutSeconds: number({ min: 3, max: 59, integer: true }),
+        messages: recordOf(string()),
+    }),
+    guardrailConfig: object({
+        enabled: boolean(),
+        maxWords: number({ min: 5, integer: true }),
+        maxRegenerations: number({ min: 0, max: 3, integer: true }),
+        bannedClaims: arrayOf(guardrailRule),
+        financialAdvice: arrayOf(guardrailRule),
+        disclaimers: arrayOf(object({
+            id: string(),
+            when: string(),
+            present: string(),
+            text: string(),
+        })),
+        fallbackReply: string(),
+        logRetentionDays: number({ min: 1 }),
+    }),
+    memoryConfig: object({
+        recentTurns: number({ min: 2, integer: true }),
+        foldBatch: number({ min: 1, integer: true }),
+        summaryMaxTokens: number({ min: 50, integer: true }),
+        tokenBudget: number({ min: 500, integer: true }),
+    }),
+    languageConfig: object({
+        switchAfterTurns: number({ min: 1, integer: true }),
+        minWordsToSwitch: number({ min: 1, integer: true }),
+        names: recordOf(arrayOf(string(), { min: 1 })),
+        mixedNames: recordOf(arrayOf(string())),
+        commandLeadIns: arrayOf(string()),
+        commands: arrayOf(string({ pattern: /\{language\}/, patternMessage: 'must contain {language}' }), { min: 1 }),
+    }),
+    redactionConfig: object({
+        destinations: object({
+            console: personalData,
+            combinedLog: personalData,
+            errorLog: personalData,
+            transcripts: personalData,
+            guardrailLog: personalData,
+        }),
+        phoneDigitsShown: number({ min: 0, max: 6, integer: true }),
+        keptNames: arrayOf(string()),
+    }),
+    mediaStreamConfig: object({
+        path: string({ pattern: /^\//, patternMessage: 'must start with /' }),
+        vad: object({
+            speechThreshold: number({ min: 1, max: 32767 }),
+            minSpeechMs: number({ min: 20 }),
+            endSilenceMs: number({ min: 100 }),
+            maxUtteranceMs: number({ min: 1000 }),
+            preRollMs: number({ min: 0 }),
+        }),
+    }),
+    visitConfig: object({
+        timezone: string(),
+        slotTimes: recordOf(arrayOf(string({ pattern: /^\d{2}:\d{2}$/, patternMessage: 'must be HH:MM' }))),
+        capacityPerSlot: number({ min: 1, integer: true }),
+        durationMinutes: number({ min: 1, integer: true }),
+        bookingHorizonDays: number({ min: 1, integer: true }),
+        minNoticeHours: number({ min: 0 }),
+        blackoutDates: arrayOf(string({ pattern: /^\d{4}-\d{2}-\d{2}$/, patternMessage: 'must be YYYY-MM-DD' })),
+    }),
+    sessionConfig: object({
+        backend: string({ oneOf: ['memory', 'file', 'redis'] }),
+        ttlSeconds: number({ min: 1 }),
+        redisUrl: string(),
+        keyPrefix: string(),
+    }),
+    personaConfig: object({
+        defaultPersona: string(),
+        personas: recordOf(object({
+            name: string(),
+            description: string(),
+            systemPrompt: string(),
+            voice: string(),
+            greeting: string(),
+            languages: arrayOf(string({ pattern: LANGUAGE_CODE, patternMessage: 'must be a two-letter language code' }), { min: 1 }),
+            courses: optional(arrayOf(string())),
+            phoneNumbers: arrayOf(string({ pattern: /^\+\d{6,15}$/, patternMessage: 'must be an E.164 number like +919876543210' })),
+        })),
+    }),
+});
+
+// ---------- cross-references ----------
+
+function checkReferences(config, errors) {
+    const { systemPrompts = {}, voiceConfigs = {}, languageVoices = {}, personaConfig, openAIConfig, providerConfig, campaignConfig, ivrConfig, voicemailConfig, guardrailConfig, memoryConfig, languageConfig } = config;
+
+    Object.entries(languageVoices).forEach(([language, entry]) => {
+        if (!LANGUAGE_CODE.test(language)) {
+            errors.push(`languageVoices.${language}: must be a two-letter language code`);
+        }
+        ['female', 'male'].forEach((gender) => {
+            if (typeof entry?.[gender] === 'string' && !voiceConfigs[entry[gender]]) {
+                errors.push(`languageVoices.${language}.${gender}: unknown voice "${entry[gender]}" (not in voiceConfigs)`);
+            }
+        });
+    });
+
+    if (personaConfig?.personas) {
+        Object.entries(personaConfig.personas).forEach(([id, persona]) => {
+            if (typeof persona?.systemPrompt === 'string' && !systemPrompts[persona.systemPrompt]) {
+                errors.push(`personaConfig.personas.${id}.systemPrompt: unknown prompt "${persona.systemPrompt}" (not in systemPrompts)`);
+            }
+            if (typeof persona?.voice === 'string' && !voiceConfigs[persona.voice]) {
+                errors.push(`personaConfig.personas.${id}.voice: unknown voice "${persona.voice}" (not in voiceConfigs)`);
+            }
+        });
+        if (typeof personaConfig.defaultPersona === 'string' && !personaConfig.personas[personaConfig.defaultPersona]) {
+            errors.push(`personaConfig.defaultPersona: "${personaConfig.defaultPersona}" is not one of the personas`);
+        }
+    }
+
+    const hours = campaignConfig?.callingHours;
+    if (typeof hours?.start === 'string' && typeof hours?.end === 'string' && hours.start >= hours.end) {
+        errors.push(`campaignConfig.callingHours: start (${hours.start}) must be before end (${hours.end})`);
+    }
+
+    if (ivrConfig?.languageKeys && ivrConfig.languagePrompts) {
+        Object.entries(ivrConfig.languageKeys).forEach(([key, language]) => {
+            if (!/^\d$/.test(key)) {
+                errors.push(`ivrConfig.languageKeys.${key}: must be a single keypad digit`);
+            }
+            if (!ivrConfig.languagePrompts[language]) {
+                errors.push(`ivrConfig.languageKeys.${key}: no languagePrompts entry for "${language}"`);
+            }
+        });
+    }
+    if (ivrConfig?.shortcuts) {
+        Object.entries(ivrConfig.shortcuts).forEach(([key, shortcut]) => {
+            if (!/^[\d*#]$/.test(key)) {
+                errors.push(`ivrConfig.shortcuts.${key}: must be a single keypad key`);
+            }
+            if (shortcut && !shortcut.question === !shortcut.handoff) {
+                errors.push(`ivrConfig.shortcuts.${key}: needs either a question or handoff: true`);
+            }
+        });
+    }
+
+    if (voicemailConfig?.messages) {
+        Object.keys(voicemailConfig.messages).forEach((language) => {
+            if (!LANGUAGE_CODE.test(language)) {
+                errors.push(`voicemailConfig.messages.${language}: must be a two-letter language code`);
+            }
+        });
+        if (!voicemailConfig.messages.en) {
+            errors.push('voicemailConfig.messages.en: required - other languages are translated from it');
+        }
+    }
+
+    if (typeof memoryConfig?.tokenBudget === 'number' && typeof memoryConfig.summaryMaxTokens === 'number'
+        && memoryConfig.summaryMaxTokens * 4 > memoryConfig.tokenBudget) {
+        errors.push(`memoryConfig.summaryMaxTokens: ${memoryConfig.summaryMaxTokens} leaves too little of the ${memoryConfig.tokenBudget}-token budget (keep it under a quarter)`);
+    }
+
+    if (languageConfig) {
+        ['names', 'mixedNames'].forEach((list) => {
+            Object.keys(languageConfig[list] || {}).forEach((language) => {
+                if (!LANGUAGE_CODE.test(language)) {
+                    errors.push(`languageConfig.${list}.${language}: must be a two-letter language code`);
+                }
+            });
+        });
+        (Array.isArray(languageConfig.commands) ? languageConfig.commands : []).forEach((command, index) => {
+            if (typeof command !== 'string') return;
+            try {
+                new RegExp(command.replace('{language}', 'hindi'), 'iu');
+            } catch (error) {
+                errors.push(`languageConfig.commands[${index}]: not a valid regular expression (${error.message})`);
+            }
+        });
+    }
+
+    if (guardrailConfig) {
+        const ids = new Set();
+        ['bannedClaims', 'financialAdvice', 'disclaimers'].forEach((list) => {
+            (Array.isArray(guardrailConfig[list]) ? guardrailConfig[list] : []).forEach((rule, index) => {
+                if (typeof rule?.id === 'string') {
+                    if (ids.has(rule.id)) errors.push(`guardrailConfig.${list}[${index}].id: "${rule.id}" is used by another rule`);
+                    ids.add(rule.id);
+                }
+                ['pattern', 'when', 'present'].forEach((key) => {
+                    if (typeof rule?.[key] !== 'string') return;
+                    try {
+                        new RegExp(rule[key], 'iu');
+                    } catch (error) {
+                        errors.push(`guardrailConfig.${list}[${index}].${key}: not a valid regular expression (${error.message})`);
+                    }
+                });
+            });
+        });
+    }
+
+    // Other chat servers use their own fixed model (providerConfig.local.model)
+    if (providerConfig?.llm === 'openai' && openAIConfig) {
+        ['model', 'utilityModel'].forEach((key) => {
+            if (typeof openAIConfig[key] === 'string' && !OPENAI_CHAT_MODEL.test(openAIConfig[key])) {
+                errors.push(`openAIConfig.${key}: "${openAIConfig[key]}" is not an OpenAI chat model name (e.g. gpt-4o, gpt-4o-mini)`);
+            }
+        });
+    }
+}
+
+/**
+ * Validate the exports of config/data.js
+ * @param {object} config
+ * @returns {string[]} Problems, each starting with the offending key path; empty if valid
+ */
+function validateConfig(config) {
+    const errors = [];
+    schema(config, 'config', errors);
+    checkReferences(config, errors);
+    // Paths read as they are written in data.js
+    return errors.map((error) => error.replace(/^config\./, ''));
+}
+
+module.exports = {
+    validateConfig,
+};
@@ -0,0 +1,181 @@
+// ============================================
+// Reply Guardrails
+// ============================================
+// Enforces the system prompt's prohibitions on what the model actually
+// returns, before it is spoken or shown: banned claims (guaranteed jobs,
+// salaries, admission), financial advice, the word limit and the required
+// disclaimers. Rules come from guardrailConfig and are checked one sentence
+// at a time, so streamed replies can be screened as they arrive. Every
+// intervention is written to data/guardrail-log.json for compliance review.
+
+const { v4: uuidv4 } = require('uuid');
+const { createJsonStore } = require('./jsonStore');
+
+// Rule types that call for a fresh reply rather than a trim
+const CONTENT_VIOLATIONS = ['banned-claim', 'financial-advice'];
+
+/**
+ * Words in a reply, for the length limit (whitespace-separated in every script we speak)
+ */
+function countWords(text) {
+    return (String(text).match(/\S+/g) || []).length;
+}
+
+/**
+ * Split a full reply into sentences on . ! ? and the Devanagari danda
+ */
+function splitSentences(text) {
+    return (String(text).match(/[^.!?।॥\n]+(?:[.!?।॥\n]+|$)/g) || [])
+        .map((sentence) => sentence.trim())
+        .filter(Boolean);
+}
+
+function compileRule(rule, type) {
+    return {
+        ...rule,
+        type,
+        pattern: new RegExp(rule.pattern, 'iu')
+    };
+}
+
+/**
+ * Create the guardrails
+ * @param {object} config - guardrailConfig from config/data.js
+ * @param {object} options - Passed through to createJsonStore
+ */
+function createGuardrails(config, options = {}) {
+    const log = createJsonStore('guardrail-log', options);
+
+    const contentRules = [
+        ...config.bannedClaims.map((rule) => compileRule(rule, 'banned-claim')),
+        ...config.financialAdvice.map((rule) => compileRule(rule, 'financial-advice')),
+    ];
+    const disclaimers = config.disclaimers.map((rule) => ({
+        ...rule,
+        when: new RegExp(rule.when, 'iu'),
+        present: new RegExp(rule.present, 'iu')
+    }));
+
+    // Drop log entries past the retention period
+    const retentionCutoff = Date.now() - config.logRetentionDays * 24 * 60 * 60 * 1000;
+    log.values()
+        .filter((entry) => new Date(entry.at).getTime() < retentionCutoff)
+        .forEach((entry) => log.remove(entry.id));
+
+    /**
+     * Screen a reply sentence by sentence, in the order it is spoken. Sentences
+     * that break a claim or advice rule are dropped; once the word limit is
+     * reached (leaving room for the disclaimers the reply has called for) the
+     * rest is dropped too.
+     */
+    function createScreen() {
+        const kept = [];
+        const violations = [];
+        const needed = new Set();
+        let words = 0;
+        let reserved = 0;
+        let full = false;
+
+        const flag = (violation) => {
+            if (!violations.some((existing) => existing.rule === violation.rule)) violations.push(violation);
+        };
+
+        return {
+            /**
+             * @param {string} sentence
+             * @returns {string|null} Text to say (shortened if the very first sentence runs over), or null to drop it
+             */
+            accept(sentence) {
+                if (full) return null;
+
+                const broken = contentRules.filter((rule) => rule.pattern.test(sentence));
+                if (broken.length) {
+                    broken.forEach((rule) => flag({ rule: rule.id, type: rule.type, description: rule.description, sentence }));
+                    return null;
+                }
+
+                const sofar = [...kept, sentence].join(' ');
+                const called = disclaimers.filter((rule) => !needed.has(rule.id) && rule.when.test(sentence) && !rule.present.test(sofar));
+                const reserve = called.reduce((sum, rule) => sum + countWords(rule.text), 0);
+                const length = countWords(sentence);
+                let text = sentence;
+
+                if (words + reserved + reserve + length > config.maxWords) {
+                    full = true;
+                    flag({ rule: 'max-words', type: 'too-long', description: `Longer than ${config.maxWords} words` });
+                    if (kept.length) return null;
+                    // A single run-on sentence: keep as much of it as fits
+                    const room = Math.max(config.maxWords - reserved - reserve, 1);
+                    text = `${sentence.split(/\s+/).slice(0, room).join(' ').replace(/[,;:]$/, '')}...`;
+                }
+
+                called.forEach((rule) => needed.add(rule.id));
+                reserved += reserve;
+                words += countWords(text);
+                kept.push(text);
+                return text;
+            },
+
+            /**
+             * @returns {{kept: string[], violations: object[], missingDisclaimers: object[]}}
+             */
+            finish() {
+                const text = kept.join(' ');
+                const missingDisclaimers = disclaimers.filter((rule) => needed.has(rule.id) && !rule.present.test(text));
+                missingDisclaimers.forEach((rule) => flag({ rule: rule.id, type: 'missing-disclaimer', description: `Needs the disclaimer: ${rule.text}` }));
+                return { kept, violations, missingDisclaimers };
+            }
+        };
+    }
+
+    return {
+        enabled: config.enabled,
+        createScreen,
+
+        /**
+         * Screen a whole reply
+         * @param {string} text
+         * @returns {{kept: string[], violations: object[], missingDisclaimers: object[]}}
+         */
+        review(text) {
+            const screen = createScreen();
+            splitSentences(text).forEach((sentence) => screen.accept(sentence));
+            return screen.finish();
+        },
+
+        /**
+         * Whether the violations are worth asking the model for a new reply
+         * (a trim or an added disclaimer fixes the rest)
+         */
+        needsRegeneration(violations) {
+            return violations.some((violation) => CONTENT_VIOLATIONS.includes(violation.type));
+        },
+
+        /**
+         * Write an intervention to the log
+         * @param {object} entry - { sourceId, channel, language, original, final, violations, actions, interrupted }
+         */
+        record(entry) {
+            const stored = { id: uuidv4(), at: new Date().toISOString(), ...entry };
+            return log.set(stored.id, stored);
+        },
+
+        /**
+         * Logged interventions, newest first
+         * @param {object} filters - { rule, channel, sourceId, since, limit }
+         */
+        listLog(filters = {}) {
+            const entries = log.values()
+                .filter((entry) => !filters.rule || entry.violations.some((violation) => violation.rule === filters.rule))
+                .filter((entry) => !filters.channel || entry.channel === filters.channel)
+                .filter((entry) => !filters.sourceId || entry.sourceId === filters.sourceId)
+                .filter((entry) => !filters.since || entry.at >= filters.since)
+                .sort((a, b) => b.at.localeCompare(a.at));
+            return filters.limit ? entries.slice(0, filters.limit) : entries;
+        }
+    };
+}
+
+module.exports = {
+    createGuardrails,
+};
@@ -0,0 +1,174 @@
+// ============================================
+// Human Handoff
+// ============================================
+// Decides when a conversation should go to a human admissions counselor and
+// keeps the handoff records (data/handoffs.json). A handoff starts when the
+// caller asks for a person, when the assistant says it cannot help (the
+// transfer_to_counselor tool), or after maxFailedTurns turns in a row that
+// were not understood (no speech, low speech confidence, errors).
+//
+// Phone calls are transferred with <Dial> and the counselor hears a short
+// summary before being connected; web chats wait in a queue until a staff
+// member picks them up from the admin dashboard, or until webWaitSeconds
+// pass and the chat goes back to the assistant as a missed handoff.
+
+const { v4: uuidv4 } = require('uuid');
+const { createJsonStore } = require('./jsonStore');
+
+// Handoffs a counselor still has to act on, per channel
+const OPEN_STATUSES = ['waiting', 'active', 'dialing'];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Negation right before or after a request phrase: "I don't want to talk to
+// a human", "kisi se baat nahi karni", "काउंसलर से बात नहीं करनी"
+const NEGATED_BEFORE = /\b(not|don't|dont|do not|never|no need to)\s+(\S+\s+){0,3}$/i;
+const NEGATED_AFTER = /^\s+(\S+\s+){0,2}(nahi|nahin|mat|nako|नहीं|नही|मत|नको)(?![\p{L}\p{M}])/iu;
+
+/**
+ * Build a matcher for the configured request phrases. Latin-script phrases
+ * must match whole words ("agent" but not "agency"); phrases in other
+ * scripts match anywhere, since \b only knows Latin word characters. A
+ * phrase that is negated next to it does not count.
+ */
+function createPhraseMatcher(phrases) {
+    const patterns = phrases.map((phrase) => {
+        const body = escapeRegExp(phrase).replace(/\s+/g, '\\s+');
+        return new RegExp(/^[\x20-\x7E]+$/.test(phrase) ? `\\b${body}\\b` : body, 'gi');
+    });
+
+    return (text) => {
+        const value = String(text || '');
+        return patterns.some((pattern) => [...value.matchAll(pattern)].some((match) =>
+            !NEGATED_BEFORE.test(value.slice(0, match.index))
+            && !NEGATED_AFTER.test(value.slice(match.index + match[0].length))));
+    };
+}
+
+/**
+ * Create the handoff desk
+ * @param {object} config - handoffConfig from config/data.js
+ * @param {object} options - Passed through to createJsonStore
+ */
+function createHandoffDesk(config, options = {}) {
+    const store = createJsonStore('handoffs', options);
+    const isExplicitRequest = createPhraseMatcher(config.requestPhrases);
+
+    function update(id, fields) {
+        const handoff = store.get(id);
+        return handoff && store.set(id, { ...handoff, ...fields, updatedAt: new Date().toISOString() });
+    }
+
+    function transition(id, from, fields) {
+        const handoff = store.get(id);
+        if (!handoff) {
+            return { handoff: null, error: 'Handoff not found' };
+        }
+        if (!from.includes(handoff.status)) {
+            return { handoff: null, error: `Handoff is ${handoff.status}` };
+        }
+        return { handoff: update(id, fields), error: null };
+    }
+
+    return {
+        isExplicitRequest,
+
+        /** Whether phone handoffs have anywhere to go */
+        get canTransferCalls() {
+            return config.counselorNumbers.length > 0 || !!config.counselorQueue;
+        },
+
+        /**
+         * Check one turn and update the session's run of failed turns
+         * @param {object} session - Conversation session (meta.failedTurns is updated)
+         * @param {object} turn - { text, confidence (0-1, phone only), failed (not understood at all) }
+         * @returns {string|null} Why to hand off ('requested', 'low_confidence', 'repeated_failures'), or null
+         */
+        assess(session, turn) {
+            if (turn.text && isExplicitRequest(turn.text)) {
+                return 'requested';
+            }
+
+            const confidence = turn.confidence === undefined || turn.confidence === null || turn.confidence === ''
+                ? null
+                : Number(turn.confidence);
+            const lowConfidence = confidence !== null && confidence < config.minConfidence;
+
+            if (turn.failed || lowConfidence) {
+                session.meta.failedTurns = (session.meta.failedTurns || 0) + 1;
+                if (session.meta.failedTurns >= config.maxFailedTurns) {
+                    return lowConfidence ? 'low_confidence' : 'repeated_failures';
+                }
+            } else {
+                session.meta.failedTurns = 0;
+            }
+            return null;
+        },
+
+        /**
+         * Record a new handoff and mark the session as handed off
+         * @param {object} session - Conversation session (meta.handoff is set)
+         * @param {object} details - { reason, summary, lead, status }
+         * @returns {object} The handoff record
+         */
+        open(session, details) {
+            const now = new Date().toISOString();
+            const handoff = {
+                id: uuidv4(),
+                sessionId: session.id,
+                channel: session.channel,
+                persona: session.meta?.persona || null,
+                reason: details.reason,
+                summary: details.summary,
+                lead: details.lead || null,
+                status: details.status,
+                claimedBy: null,
+                requestedAt: now,
+                updatedAt: now
+            };
+            store.set(handoff.id, handoff);
+            session.meta.handoff = { id: handoff.id, status: handoff.status };
+            session.meta.failedTurns = 0;
+            return handoff;
+        },
+
+        get(id) {
+            return store.get(id);
+        },
+
+        update,
+
+        /**
+         * Handoffs, oldest first so the queue reads in pick-up order
+         * @param {object} filters - { status ('open' for any status still needing a counselor), channel }
+         */
+        list(filters = {}) {
+            return store.values()
+                .filter((handoff) => !filters.channel || handoff.channel === filters.channel)
+                .filter((handoff) => !filters.status
+                    || (filters.status === 'open' ? OPEN_STATUSES.includes(handoff.status) : handoff.status === filters.status))
+                .sort((a, b) => a.requestedAt.localeCompare(b.requestedAt));
+        },
+
+        /** A staff member takes a waiting web chat */
+        claim(id, staffName) {
+            return transition(id, ['waiting'], { status: 'active', claimedBy: staffName, claimedAt: new Date().toISOString() });
+        },
+
+        /** A waiting web chat nobody picked up in time */
+        expire(id) {
+            return transition(id, ['waiting'], { status: 'missed', missedAt: new Date().toISOString() });
+        },
+
+        /** Hand a web chat back to the assistant */
+        close(id) {
+            return transition(id, ['waiting', 'active'], { status: 'closed', closedAt: new Date().toISOString() });
+        }
+    };
+}
+
+module.exports = {
+    createHandoffDesk,
+};
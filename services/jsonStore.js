@@ -0,0 +1,76 @@
+// ============================================
+// File-backed JSON Record Store
+// ============================================
+// Small persistence layer for offline deployments: records are kept in
+// memory and written through to a single JSON file on every change.
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+/**
+ * Create a store backed by data/<name>.json
+ * @param {string} name - Collection name (file name without extension)
+ * @param {object} options - { dataDir }
+ * @returns {object} Store with get/set/remove/all/values
+ */
+function createJsonStore(name, options = {}) {
+    const dataDir = options.dataDir || DATA_DIR;
+    const filePath = path.join(dataDir, `${name}.json`);
+    let records = {};
+
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    if (fs.existsSync(filePath)) {
+        const raw = fs.readFileSync(filePath, 'utf8');
+        records = raw.trim() ? JSON.parse(raw) : {};
+    }
+
+    // Write to a temp file and rename so a crash never leaves half a file
+    function persist() {
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(records, null, 2));
+        fs.renameSync(tempPath, filePath);
+    }
+
+    return {
+        filePath,
+
+        get(id) {
+            return records[id] || null;
+        },
+
+        set(id, record) {
+            records[id] = record;
+            persist();
+            return record;
+        },
+
+        remove(id) {
+            if (!records[id]) return false;
+            delete records[id];
+            persist();
+            return true;
+        },
+
+        has(id) {
+            return Object.prototype.hasOwnProperty.call(records, id);
+        },
+
+        values() {
+            return Object.values(records);
+        },
+
+        get size() {
+            return Object.keys(records).length;
+        }
+    };
+}
+
+module.exports = {
+    createJsonStore,
+    DATA_DIR,
+};
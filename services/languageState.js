@@ -0,0 +1,118 @@
+// ============================================
+// Conversation Language
+// ============================================
+// Holds the language a conversation is in, so one English word in a Marathi
+// call does not flip the replies to English. Detection has to see another
+// language on switchAfterTurns turns in a row, each long enough to judge,
+// before the conversation follows it. A language the caller asks for
+// ("Hindi mein baat karo", "speak in English") or picks from the call menu
+// holds until they ask for another. A request has to start the utterance
+// (after commandLeadIns like "please") and not be negated, so "I don't speak
+// Hindi" or "my friend said reply in Hindi" switch nothing. Code-mixed
+// speech - Hinglish, Manglish - is a mode of its own: a language plus
+// English, answered the same way.
+//
+// State (session.meta.languageState):
+//   { language, mixed, source: 'detected'|'command'|'menu', settled, candidate: { language, mixed, turns } | null }
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Negation right before or after a request: "please don't speak in English",
+// "Hindi mein baat mat karo", "इंग्रजीत बोलू नका"
+const NEGATED_BEFORE = /\b(not|don't|dont|do not|never|no)\s+(\S+\s+){0,3}$/i;
+const NEGATED_AFTER = /^[\s,]*(\S+\s+)?(nahi|nahin|mat|nako|naka|नहीं|नही|मत|नको|नका)(?![\p{L}\p{M}])/iu;
+
+function sameMode(a, b) {
+    return !!a && !!b && a.language === b.language && !!a.mixed === !!b.mixed;
+}
+
+/**
+ * Create the tracker
+ * @param {object} config - languageConfig from config/data.js
+ */
+function createLanguageTracker(config) {
+    // One matcher per (language, mixed) and command pattern
+    const names = [
+        ...Object.entries(config.names).flatMap(([language, list]) => list.map((name) => ({ language, mixed: false, name }))),
+        ...Object.entries(config.mixedNames).flatMap(([language, list]) => list.map((name) => ({ language, mixed: true, name })))
+    ];
+    // Longest first, so "can you" is not read as "can" + "you"
+    const leadIns = [...(config.commandLeadIns || [])]
+        .sort((a, b) => b.length - a.length)
+        .map((words) => escapeRegExp(words).replace(/\s+/g, '\\s+'));
+    const leadIn = leadIns.length ? `(?:(?:${leadIns.join('|')})[\\s,]+)*` : '';
+    const requests = names.flatMap(({ language, mixed, name }) => config.commands.map((command) => ({
+        language,
+        mixed,
+        pattern: new RegExp(`^(${leadIn})(?:${command.replace('{language}', escapeRegExp(name))})`, 'iu')
+    })));
+
+    // The lead-in is what comes before the request itself
+    function isRequest(pattern, text) {
+        const match = pattern.exec(text);
+        return !!match
+            && !NEGATED_BEFORE.test(match[1])
+            && !NEGATED_AFTER.test(text.slice(match[0].length));
+    }
+
+    return {
+        /**
+         * A language the user explicitly asks for in an utterance
+         * @param {string} text - What they said
+         * @param {string[]} [offered] - Only these languages count (e.g. the persona's)
+         * @returns {{language: string, mixed: boolean}|null}
+         */
+        requestedLanguage(text, offered) {
+            const utterance = String(text || '').trim();
+            const request = requests.find((entry) =>
+                (!offered || offered.includes(entry.language)) && isRequest(entry.pattern, utterance));
+            return request ? { language: request.language, mixed: request.mixed } : null;
+        },
+
+        /**
+         * Language state after a turn
+         * @param {object|null} state - Current state (null before the first turn)
+         * @param {object} turn - { language, mixed (detected), words (in the utterance), requested (from requestedLanguage) }
+         * @returns {{state: object, switched: boolean}}
+         */
+        next(state, turn) {
+            if (turn.requested) {
+                const next = { ...turn.requested, source: 'command', settled: true, candidate: null };
+                return { state: next, switched: !!state && !sameMode(state, next) };
+            }
+
+            const detected = { language: turn.language, mixed: !!turn.mixed };
+            const longEnough = turn.words >= config.minWordsToSwitch;
+
+            // Until a turn long enough to judge, follow detection as it comes
+            if (!state || (!state.settled && state.source === 'detected')) {
+                const next = { ...detected, source: 'detected', settled: longEnough, candidate: null };
+                return { state: next, switched: !!state && !sameMode(state, next) };
+            }
+
+            // Asked for or picked from the menu: holds until asked otherwise
+            if (state.source !== 'detected') {
+                return { state, switched: false };
+            }
+
+            if (sameMode(state, detected)) {
+                return { state: { ...state, candidate: null }, switched: false };
+            }
+            if (!longEnough) {
+                return { state, switched: false };
+            }
+
+            const turns = sameMode(state.candidate, detected) ? state.candidate.turns + 1 : 1;
+            if (turns >= config.switchAfterTurns) {
+                return { state: { ...detected, source: 'detected', settled: true, candidate: null }, switched: true };
+            }
+            return { state: { ...state, candidate: { ...detected, turns } }, switched: false };
+        }
+    };
+}
+
+module.exports = {
+    createLanguageTracker,
+};
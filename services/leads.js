@@ -0,0 +1,112 @@
+// ============================================
+// Lead Store
+// ============================================
+// One lead per conversation, linked to the Twilio CallSid or the web
+// session id. Details are merged in as the conversation reveals them.
+
+const { v4: uuidv4 } = require('uuid');
+const { createJsonStore } = require('./jsonStore');
+
+const LEAD_FIELDS = ['name', 'phone', 'city', 'educationLevel', 'courseInterest'];
+
+const CSV_COLUMNS = ['id', 'sourceId', 'channel', ...LEAD_FIELDS, 'createdAt', 'updatedAt'];
+
+function isBlank(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Create the lead store
+ * @param {object} options - Passed through to createJsonStore
+ */
+function createLeadStore(options = {}) {
+    const store = createJsonStore('leads', options);
+
+    function findBySource(sourceId) {
+        return store.values().find((lead) => lead.sourceId === sourceId) || null;
+    }
+
+    return {
+        /**
+         * Create or update the lead for a conversation. Blank values never
+         * overwrite details captured earlier in the conversation.
+         * @param {string} sourceId - CallSid or web session id
+         * @param {string} channel - 'phone' or 'web'
+         * @param {object} details - Any of LEAD_FIELDS
+         * @returns {object|null} The lead, or null if nothing was captured yet
+         */
+        upsertLead(sourceId, channel, details = {}) {
+            const updates = {};
+            LEAD_FIELDS.forEach((field) => {
+                if (!isBlank(details[field])) {
+                    updates[field] = String(details[field]).trim();
+                }
+            });
+
+            const existing = findBySource(sourceId);
+            if (!existing && Object.keys(updates).length === 0) {
+                return null;
+            }
+
+            const now = new Date().toISOString();
+            const lead = existing
+                ? { ...existing, ...updates, updatedAt: now }
+                : {
+                    id: uuidv4(),
+                    sourceId,
+                    channel,
+                    ...Object.fromEntries(LEAD_FIELDS.map((field) => [field, null])),
+                    ...updates,
+                    createdAt: now,
+                    updatedAt: now
+                };
+
+            return store.set(lead.id, lead);
+        },
+
+        /**
+         * Look up a lead by its id or by the CallSid/session id it belongs to
+         */
+        getLead(id) {
+            return store.get(id) || findBySource(id);
+        },
+
+        /**
+         * List leads, newest first
+         * @param {object} filters - { channel, course, since }
+         */
+        listLeads(filters = {}) {
+            return store.values()
+                .filter((lead) => !filters.channel || lead.channel === filters.channel)
+                .filter((lead) => !filters.course ||
+                    (lead.courseInterest || '').toLowerCase().includes(filters.course.toLowerCase()))
+                .filter((lead) => !filters.since || lead.createdAt >= filters.since)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        },
+
+        get size() {
+            return store.size;
+        }
+    };
+}
+
+/**
+ * Render leads as CSV for spreadsheet import
+ * @param {object[]} leads
+ * @returns {string}
+ */
+function leadsToCsv(leads) {
+    const escape = (value) => {
+        const text = isBlank(value) ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = leads.map((lead) => CSV_COLUMNS.map((column) => escape(lead[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+    createLeadStore,
+    leadsToCsv,
+    LEAD_FIELDS,
+};
@@ -0,0 +1,318 @@
+// ============================================
+// Twilio Media Streams (real-time phone audio)
+// ============================================
+// Twilio opens a WebSocket and sends the caller's audio as 20 ms frames of
+// 8 kHz μ-law. We detect speech with a simple energy VAD, hand complete
+// utterances to the server's reply pipeline, and stream synthesized audio
+// back. If the caller starts talking while Skylar is speaking (or still
+// thinking), the current turn is aborted and Twilio's playback buffer is
+// cleared - barge-in.
+//
+// Protocol reference: https://www.twilio.com/docs/voice/media-streams/websocket-messages
+
+const { WebSocketServer } = require('ws');
+const { mulawToPcm, pcmToMulaw, rms } = require('./audio');
+
+const FRAME_MS = 20;
+const SAMPLE_RATE = 8000;
+const SAMPLES_PER_FRAME = (SAMPLE_RATE * FRAME_MS) / 1000; // 160
+
+// What each event we handle must carry; frames without it are dropped
+const WELL_FORMED = {
+    start: (message) => typeof message.start?.callSid === 'string' && typeof message.start?.streamSid === 'string',
+    media: (message) => typeof message.media?.payload === 'string',
+    mark: (message) => typeof message.mark?.name === 'string',
+    dtmf: (message) => typeof message.dtmf?.digit === 'string',
+};
+
+function concatPcm(chunks) {
+    const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const output = new Int16Array(total);
+    let offset = 0;
+    chunks.forEach((chunk) => {
+        output.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return output;
+}
+
+/**
+ * Per-call state and the operations handlers can perform on the call
+ */
+function createStreamCall(ws, logger) {
+    const pendingMarks = new Map(); // mark name -> resolve
+    let markCounter = 0;
+
+    const call = {
+        callSid: null,
+        streamSid: null,
+        parameters: {},
+        turn: null, // { controller, pcm, spoke } for the reply in progress
+
+        /** True while Twilio still has our audio queued or playing */
+        isSpeaking() {
+            return pendingMarks.size > 0;
+        },
+
+        /**
+         * Send 8 kHz PCM to the caller
+         * @param {Int16Array} pcm
+         * @param {AbortSignal} signal - Resolves early if the turn is interrupted
+         * @returns {Promise<void>} Resolves when Twilio reports playback finished
+         */
+        play(pcm, signal) {
+            if (ws.readyState !== ws.OPEN || signal?.aborted) return Promise.resolve();
+            if (call.turn) call.turn.spoke = true;
+
+            const mulaw = pcmToMulaw(pcm);
+            for (let offset = 0; offset < mulaw.length; offset += SAMPLES_PER_FRAME) {
+                ws.send(JSON.stringify({
+                    event: 'media',
+                    streamSid: call.streamSid,
+                    media: { payload: mulaw.subarray(offset, offset + SAMPLES_PER_FRAME).toString('base64') }
+                }));
+            }
+
+            // Twilio echoes the mark back once everything before it has played
+            const name = `clip_${++markCounter}`;
+            ws.send(JSON.stringify({ event: 'mark', streamSid: call.streamSid, mark: { name } }));
+
+            return new Promise((resolve) => {
+                pendingMarks.set(name, resolve);
+                signal?.addEventListener('abort', () => {
+                    pendingMarks.delete(name);
+                    resolve();
+                }, { once: true });
+            });
+        },
+
+        /** Drop any audio Twilio has queued for the caller */
+        clear() {
+            if (ws.readyState === ws.OPEN && call.streamSid) {
+                ws.send(JSON.stringify({ event: 'clear', streamSid: call.streamSid }));
+            }
+            pendingMarks.forEach((resolve) => resolve());
+            pendingMarks.clear();
+        },
+
+        /** Abort the reply in progress and silence playback */
+        interrupt() {
+            if (call.isSpeaking()) {
+                logger.info(`[${call.callSid}] Barge-in: caller interrupted playback`);
+                call.clear();
+            }
+            if (call.turn) {
+                call.turn.controller.abort();
+            }
+        },
+
+        markPlayed(name) {
+            const resolve = pendingMarks.get(name);
+            if (resolve) {
+                pendingMarks.delete(name);
+                resolve();
+            }
+        },
+
+        hangup() {
+            ws.close();
+        }
+    };
+
+    return call;
+}
+
+/**
+ * Energy-based voice activity detector fed one frame at a time
+ * @param {object} vad - { speechThreshold, minSpeechMs, endSilenceMs, maxUtteranceMs, preRollMs }
+ * @param {object} callbacks - { onSpeechStart(), onUtterance(pcm) }
+ */
+function createVoiceDetector(vad, callbacks) {
+    const preRollFrames = Math.ceil(vad.preRollMs / FRAME_MS);
+    const minSpeechFrames = Math.ceil(vad.minSpeechMs / FRAME_MS);
+    const endSilenceFrames = Math.ceil(vad.endSilenceMs / FRAME_MS);
+    const maxFrames = Math.ceil(vad.maxUtteranceMs / FRAME_MS);
+
+    let recent = []; // frames before speech is confirmed (pre-roll)
+    let utterance = [];
+    let inSpeech = false;
+    let speechFrames = 0;
+    let silenceFrames = 0;
+
+    return {
+        push(pcm) {
+            const loud = rms(pcm) >= vad.speechThreshold;
+
+            if (!inSpeech) {
+                recent.push(pcm);
+                if (recent.length > preRollFrames + minSpeechFrames) recent.shift();
+                speechFrames = loud ? speechFrames + 1 : 0;
+
+                if (speechFrames >= minSpeechFrames) {
+                    inSpeech = true;
+                    silenceFrames = 0;
+                    utterance = recent;
+                    recent = [];
+                    callbacks.onSpeechStart();
+                }
+                return;
+            }
+
+            utterance.push(pcm);
+            silenceFrames = loud ? 0 : silenceFrames + 1;
+
+            if (silenceFrames >= endSilenceFrames || utterance.length >= maxFrames) {
+                inSpeech = false;
+                speechFrames = 0;
+                const audio = concatPcm(utterance);
+                utterance = [];
+                callbacks.onUtterance(audio);
+            }
+        }
+    };
+}
+
+/**
+ * Accept Twilio media-stream WebSockets on the given HTTP server
+ * @param {http.Server} httpServer - Server returned by app.listen
+ * @param {object} options
+ * @param {string} options.path - WebSocket path (e.g., '/media-stream')
+ * @param {object} options.vad - Voice activity detection settings
+ * @param {object} options.logger - Winston logger
+ * @param {function(http.IncomingMessage): boolean} [options.verifyUpgrade] - Return false to refuse the connection
+ * @param {function(call): Promise<boolean>} options.onStart - Return false to reject the stream
+ * @param {function(call, Int16Array, AbortSignal): Promise<void>} options.onUtterance - Reply to one utterance
+ * @param {function(call, string, AbortSignal): Promise<void>} [options.onDigit] - Reply to a keypress (DTMF)
+ * @param {function(call): void} options.onStop
+ * @returns {WebSocketServer}
+ */
+function attachMediaStreamServer(httpServer, options) {
+    const { logger } = options;
+    const wss = new WebSocketServer({ noServer: true });
+
+    httpServer.on('upgrade', (req, socket, head) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname !== options.path) {
+            socket.destroy();
+            return;
+        }
+        if (options.verifyUpgrade && !options.verifyUpgrade(req)) {
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+        wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+    });
+
+    wss.on('connection', (ws) => {
+        const call = createStreamCall(ws, logger);
+        let started = false;
+        let carriedPcm = null; // Speech from a turn interrupted before it said anything
+
+        const detector = createVoiceDetector(options.vad, {
+            onSpeechStart() {
+                // Keep what the caller said if we had not answered it yet
+                if (call.turn && !call.turn.spoke) {
+                    carriedPcm = call.turn.pcm;
+                }
+                call.interrupt();
+            },
+
+            onUtterance(pcm) {
+                const audio = carriedPcm ? concatPcm([carriedPcm, pcm]) : pcm;
+                carriedPcm = null;
+                startTurn(audio, (signal) => options.onUtterance(call, audio, signal));
+            }
+        });
+
+        // Run one reply; the call's current turn is what barge-in aborts
+        function startTurn(pcm, run) {
+            const turn = { controller: new AbortController(), pcm, spoke: false };
+            call.turn = turn;
+
+            Promise.resolve(run(turn.controller.signal))
+                .catch((error) => {
+                    if (!turn.controller.signal.aborted) {
+                        logger.error(`[${call.callSid}] Media stream turn error:`, error);
+                    }
+                })
+                .finally(() => {
+                    if (call.turn === turn) call.turn = null;
+                });
+        }
+
+        ws.on('message', async (raw) => {
+            let message;
+            try {
+                message = JSON.parse(raw);
+            } catch (error) {
+                logger.warn('Ignoring non-JSON media stream message');
+                return;
+            }
+            if (!message || typeof message !== 'object' || (WELL_FORMED[message.event] && !WELL_FORMED[message.event](message))) {
+                logger.warn(`[${call.callSid}] Ignoring malformed media stream ${message?.event || ''} message`);
+                return;
+            }
+
+            switch (message.event) {
+                case 'start':
+                    call.streamSid = message.start.streamSid;
+                    call.callSid = message.start.callSid;
+                    call.parameters = message.start.customParameters || {};
+                    logger.info(`[${call.callSid}] Media stream started: ${call.streamSid}`);
+
+                    try {
+                        started = await options.onStart(call);
+                    } catch (error) {
+                        logger.error(`[${call.callSid}] Media stream start error:`, error);
+                        started = false;
+                    }
+                    if (!started) ws.close();
+                    break;
+
+                case 'media':
+                    if (started && message.media.track !== 'outbound') {
+                        detector.push(mulawToPcm(Buffer.from(message.media.payload, 'base64')));
+                    }
+                    break;
+
+                case 'mark':
+                    call.markPlayed(message.mark.name);
+                    break;
+
+                case 'dtmf':
+                    // A keypress interrupts like speech and starts a turn of its own
+                    if (started && options.onDigit) {
+                        carriedPcm = null;
+                        call.interrupt();
+                        startTurn(null, (signal) => options.onDigit(call, message.dtmf.digit, signal));
+                    }
+                    break;
+
+                case 'stop':
+                    logger.info(`[${call.callSid}] Media stream stopped`);
+                    ws.close();
+                    break;
+
+                default:
+                    break;
+            }
+        });
+
+        ws.on('close', () => {
+            if (call.turn) call.turn.controller.abort();
+            call.clear();
+            if (started) options.onStop(call);
+        });
+
+        ws.on('error', (error) => {
+            logger.error(`[${call.callSid}] Media stream socket error:`, error);
+        });
+    });
+
+    return wss;
+}
+
+module.exports = {
+    attachMediaStreamServer,
+    SAMPLE_RATE,
+};
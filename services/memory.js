@@ -0,0 +1,94 @@
+// ============================================
+// Conversation Memory
+// ============================================
+// Keeps reply requests bounded on long calls and chats. The latest turns are
+// sent word for word; older ones are folded into a running summary kept on
+// the session (meta.memory), a batch at a time, and sooner if a request would
+// go over the token budget. Facts already extracted from the conversation
+// (name, course interest, chosen language) are sent separately with every
+// request, so folding never loses them.
+//
+// Session messages are only ever appended, so meta.memory.summarizedCount -
+// how many messages the summary covers - stays valid as the session grows.
+
+// Rough characters per token: English and romanized text, and Indic scripts
+// (which the tokenizer splits much more finely)
+const CHARS_PER_TOKEN = 4;
+const INDIC_CHARS_PER_TOKEN = 1.5;
+const INDIC_SCRIPT = /[\u0900-\u0D7F]/g;
+
+// Role and formatting overhead of each chat message
+const TOKENS_PER_MESSAGE = 4;
+
+/**
+ * Approximate token count of a piece of text
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    const value = String(text || '');
+    const indic = (value.match(INDIC_SCRIPT) || []).length;
+    return Math.ceil((value.length - indic) / CHARS_PER_TOKEN + indic / INDIC_CHARS_PER_TOKEN);
+}
+
+/**
+ * Approximate token count of chat messages
+ * @param {Array<{content: string}>} messages
+ * @returns {number}
+ */
+function estimateMessageTokens(messages) {
+    return messages.reduce((sum, message) => sum + TOKENS_PER_MESSAGE + estimateTokens(message.content), 0);
+}
+
+/**
+ * Create the memory manager
+ * @param {object} config - memoryConfig from config/data.js
+ * @param {object} options - { summarize(previousSummary, messages, session) => Promise<string>, logger }
+ */
+function createConversationMemory(config, options) {
+    const { summarize, logger } = options;
+
+    return {
+        /**
+         * What to send of a session's history with the next request. Folds
+         * messages that have left the recent window into the summary once a
+         * batch has built up, or straight away if the request would not fit.
+         * @param {object} session - Session; meta.memory is updated (the caller persists it)
+         * @param {object} request - { fixedTokens: tokens always sent (instructions, catalog, tools, facts, question) }
+         * @returns {Promise<{summary: string|null, recent: Array<object>}>}
+         */
+        async recall(session, request = {}) {
+            const messages = session.messages;
+            const state = session.meta.memory || { summary: null, summarizedCount: 0 };
+            const start = Math.min(state.summarizedCount, messages.length);
+            const fixedTokens = (request.fixedTokens || 0) + config.summaryMaxTokens;
+            const fits = (from) => fixedTokens + estimateMessageTokens(messages.slice(from)) <= config.tokenBudget;
+
+            // First message to send word for word: the recent window, shrunk to the budget
+            let cut = Math.max(start, messages.length - config.recentTurns);
+            while (cut < messages.length && !fits(cut)) cut++;
+
+            const overdue = cut - start;
+            if (overdue === 0 || (overdue < config.foldBatch && fits(start))) {
+                return { summary: state.summary, recent: messages.slice(start) };
+            }
+
+            try {
+                const summary = await summarize(state.summary, messages.slice(start, cut), session);
+                session.meta.memory = { summary, summarizedCount: cut };
+                logger.info(`[${session.id}] Memory: folded ${overdue} message(s) into the summary (${cut} of ${messages.length} summarized)`);
+                return { summary, recent: messages.slice(cut) };
+            } catch (error) {
+                // Send without them this time; they are folded on a later turn
+                logger.error(`[${session.id}] Memory summary failed:`, error);
+                return { summary: state.summary, recent: messages.slice(cut) };
+            }
+        }
+    };
+}
+
+module.exports = {
+    createConversationMemory,
+    estimateTokens,
+    estimateMessageTokens,
+};
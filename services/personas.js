@@ -0,0 +1,117 @@
+// ============================================
+// Persona Registry
+// ============================================
+// Resolves the personas in config/data.js into ready-to-use objects (prompt
+// text, voice settings, scoped catalog) and picks one per conversation.
+// Misconfigured personas fail at startup rather than mid-call.
+
+/**
+ * Digits only, so "+91 98765-43210" and "+919876543210" match
+ */
+function normalizeNumber(number) {
+    return String(number || '').replace(/[^\d]/g, '');
+}
+
+/**
+ * Build the persona registry
+ * @param {object} personaConfig - { defaultPersona, personas }
+ * @param {object} deps - { systemPrompts, voiceConfigs, catalog }
+ * @returns {object} get, resolve, forPhoneNumber, list, defaultPersona
+ */
+function createPersonaRegistry(personaConfig, deps) {
+    const { systemPrompts, voiceConfigs, catalog } = deps;
+    const personas = new Map();
+    const byNumber = new Map();
+
+    Object.entries(personaConfig.personas).forEach(([id, definition]) => {
+        const systemPrompt = systemPrompts[definition.systemPrompt];
+        if (!systemPrompt) {
+            throw new Error(`Persona "${id}" uses unknown system prompt "${definition.systemPrompt}"`);
+        }
+
+        const voice = voiceConfigs[definition.voice];
+        if (!voice) {
+            throw new Error(`Persona "${id}" uses unknown voice "${definition.voice}"`);
+        }
+
+        let courses = catalog.courses;
+        if (definition.courses) {
+            courses = definition.courses.map((courseId) => {
+                const course = catalog.courses.find((c) => c.id === courseId);
+                if (!course) {
+                    throw new Error(`Persona "${id}" lists unknown course "${courseId}"`);
+                }
+                return course;
+            });
+        }
+
+        if (!definition.languages || definition.languages.length === 0) {
+            throw new Error(`Persona "${id}" must list at least one language`);
+        }
+
+        const persona = {
+            id,
+            name: definition.name,
+            description: definition.description,
+            greeting: definition.greeting,
+            systemPrompt,
+            voiceId: definition.voice,
+            voice,
+            languages: definition.languages,
+            // Same shape as the full catalog, limited to this persona's courses
+            catalog: { ...catalog, courses },
+            phoneNumbers: definition.phoneNumbers || [],
+        };
+        personas.set(id, persona);
+
+        persona.phoneNumbers.forEach((number) => {
+            const key = normalizeNumber(number);
+            if (byNumber.has(key)) {
+                throw new Error(`Phone number ${number} is assigned to both "${byNumber.get(key).id}" and "${id}"`);
+            }
+            byNumber.set(key, persona);
+        });
+    });
+
+    const defaultPersona = personas.get(personaConfig.defaultPersona);
+    if (!defaultPersona) {
+        throw new Error(`Default persona "${personaConfig.defaultPersona}" is not defined`);
+    }
+
+    return {
+        defaultPersona,
+
+        /** Persona by id, or null */
+        get(id) {
+            return personas.get(id) || null;
+        },
+
+        /** Persona by id, falling back to the default for missing or unknown ids */
+        resolve(id) {
+            return personas.get(id) || defaultPersona;
+        },
+
+        /** Persona that owns a Twilio number, or null */
+        forPhoneNumber(number) {
+            return byNumber.get(normalizeNumber(number)) || null;
+        },
+
+        list() {
+            return [...personas.values()];
+        },
+    };
+}
+
+/**
+ * Language a persona should answer in
+ * @param {object} persona
+ * @param {string} detectedLanguage - Two-letter code
+ */
+function replyLanguageFor(persona, detectedLanguage) {
+    return persona.languages.includes(detectedLanguage) ? detectedLanguage : persona.languages[0];
+}
+
+module.exports = {
+    createPersonaRegistry,
+    replyLanguageFor,
+};
@@ -0,0 +1,60 @@
+// ============================================
+// Phone Numbers
+// ============================================
+// Numbers are checked, stored and dialed in E.164 form ("+" and digits).
+// Input without "+" or "00" is read as a number in the default country -
+// bare, with its trunk prefix ("0") or with the country code in front - and
+// anything that does not read one way only is rejected rather than guessed.
+
+// Allowed between digits: "+91 98765 43210", "(0) 98765-43210", "98765.43210"
+const SEPARATORS = /[\s().-]/g;
+
+// E.164 numbers are 8 to 15 digits with the country code
+const MIN_DIGITS = 8;
+const MAX_DIGITS = 15;
+
+/**
+ * E.164 form of a phone number
+ * @param {string} input - As typed ("+91 98765 43210", "098765 43210", "9876543210", "0091 98765 43210")
+ * @param {object} numbering - { defaultCountryCode: '91', nationalNumberLength: 10 } from outboundCallConfig
+ * @returns {string|null} null if it is not a phone number, or is ambiguous
+ */
+function toE164(input, numbering) {
+    if (typeof input !== 'string' && typeof input !== 'number') {
+        return null;
+    }
+    const match = /^(\+|00)?(\d+)$/.exec(String(input).trim().replace(SEPARATORS, ''));
+    if (!match) {
+        return null;
+    }
+
+    const [, international, digits] = match;
+    const { defaultCountryCode: country, nationalNumberLength: length } = numbering;
+
+    let number;
+    if (international) {
+        number = digits;
+    } else if (digits.length === length) {
+        number = `${country}${digits}`;
+    } else if (digits.length === length + 1 && digits.startsWith('0')) {
+        number = `${country}${digits.slice(1)}`;
+    } else if (digits.length === country.length + length && digits.startsWith(country)) {
+        number = digits;
+    } else {
+        return null;
+    }
+
+    // Country codes are prefix-free, so this is a number in the default
+    // country and needs a full national number
+    if (number.startsWith(country) && number.length !== country.length + length) {
+        return null;
+    }
+    if (number.startsWith('0') || number.length < MIN_DIGITS || number.length > MAX_DIGITS) {
+        return null;
+    }
+    return `+${number}`;
+}
+
+module.exports = {
+    toE164,
+};
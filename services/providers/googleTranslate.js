@@ -0,0 +1,36 @@
+// ============================================
+// Google Cloud Translation Provider
+// ============================================
+
+const { Translate } = require('@google-cloud/translate').v2;
+
+/**
+ * @param {object} options - { apiKey }
+ */
+function createGoogleTranslateProvider(options) {
+    const client = new Translate({ key: options.apiKey });
+
+    return {
+        name: 'google',
+
+        isConfigured() {
+            return !!(options.apiKey &&
+                options.apiKey.trim() !== '' &&
+                options.apiKey !== 'your_google_translate_api_key_here');
+        },
+
+        /**
+         * @param {string} text
+         * @param {string} targetLanguage - Two-letter code (e.g., 'hi')
+         * @returns {Promise<string>}
+         */
+        async translate(text, targetLanguage) {
+            const [translation] = await client.translate(text, targetLanguage);
+            return translation;
+        }
+    };
+}
+
+module.exports = {
+    createGoogleTranslateProvider,
+};
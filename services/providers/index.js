@@ -0,0 +1,68 @@
+// ============================================
+// Provider Registry
+// ============================================
+// The server talks to four kinds of external service through small
+// interfaces, so each can be swapped from config without touching routes:
+//
+//   llm       complete(params, { signal }) / stream(params, { signal, onToken })
+//             -> { content, toolCalls }
+//   stt       transcribe(pathOrWavBuffer, { language }) -> { text, language, duration }
+//   tts       synthesize(text, { languageCode, voice, sampleRate }) -> WAV Buffer | null
+//   translate translate(text, targetLanguage) -> string
+//
+// Every provider also has a name and isConfigured(). Providers are only
+// constructed when selected, so unused ones need no API keys.
+
+const { createOpenAIChatProvider, createOpenAITranscriptionProvider } = require('./openai');
+const { createSarvamSpeechProvider } = require('./sarvam');
+const { createGoogleTranslateProvider } = require('./googleTranslate');
+const {
+    createMockChatProvider,
+    createMockTranscriptionProvider,
+    createMockSpeechProvider,
+    createMockTranslateProvider,
+} = require('./mock');
+
+function select(kind, choice, factories) {
+    if (!factories[choice]) {
+        throw new Error(`Unknown ${kind} provider "${choice}". Use one of: ${Object.keys(factories).join(', ')}`);
+    }
+    return factories[choice]();
+}
+
+/**
+ * Create the configured providers
+ * @param {object} config - providerConfig from config/data.js
+ * @returns {{llm: object, stt: object, tts: object, translate: object}}
+ */
+function createProviders(config) {
+    return {
+        llm: select('llm', config.llm, {
+            openai: () => createOpenAIChatProvider({ name: 'openai', ...config.openai }),
+            local: () => createOpenAIChatProvider({ name: 'local', ...config.local }),
+            mock: () => createMockChatProvider(),
+        }),
+        stt: select('stt', config.stt, {
+            openai: () => createOpenAITranscriptionProvider({ name: 'openai', ...config.openai, model: 'whisper-1' }),
+            local: () => createOpenAITranscriptionProvider({
+                name: 'local',
+                apiKey: config.local.apiKey,
+                baseURL: config.local.transcriptionBaseURL || config.local.baseURL,
+                model: config.local.transcriptionModel
+            }),
+            mock: () => createMockTranscriptionProvider(config.mock),
+        }),
+        tts: select('tts', config.tts, {
+            sarvam: () => createSarvamSpeechProvider(config.sarvam),
+            mock: () => createMockSpeechProvider(),
+        }),
+        translate: select('translate', config.translate, {
+            google: () => createGoogleTranslateProvider(config.google),
+            mock: () => createMockTranslateProvider(),
+        }),
+    };
+}
+
+module.exports = {
+    createProviders,
+};
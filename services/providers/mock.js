@@ -0,0 +1,182 @@
+// ============================================
+// Mock Providers (offline, deterministic)
+// ============================================
+// Stand-ins for every external service so the assistant can run end to end
+// with no network or API keys - local development, demos and tests. The
+// same input always produces the same output.
+
+const { pcmToWav, parseWav } = require('../audio');
+
+// Unicode blocks of the scripts our supported languages are written in.
+// Devanagari is shared by Hindi and Marathi; we call it Hindi.
+const SCRIPT_LANGUAGES = [
+    [/[\u0900-\u097F]/, 'hi'],
+    [/[\u0980-\u09FF]/, 'bn'],
+    [/[\u0A00-\u0A7F]/, 'pa'],
+    [/[\u0A80-\u0AFF]/, 'gu'],
+    [/[\u0B80-\u0BFF]/, 'ta'],
+    [/[\u0C00-\u0C7F]/, 'te'],
+    [/[\u0C80-\u0CFF]/, 'kn'],
+    [/[\u0D00-\u0D7F]/, 'ml'],
+];
+
+// Everyday Hindi and Marathi words, to spot romanized (code-mixed) turns
+const ROMANIZED_LANGUAGES = [
+    [/\b(mujhe|chahiye|batao|kya|hai|hain|mein|karo|kaise)\b/i, 'hi'],
+    [/\b(mala|pahije|sanga|aahe|ahe|kasa|kuthe|bola)\b/i, 'mr'],
+];
+
+function guessLanguage(text) {
+    const match = SCRIPT_LANGUAGES.find(([pattern]) => pattern.test(text));
+    return match ? match[1] : 'en';
+}
+
+/**
+ * Script-based guess, plus Roman-script Hindi or Marathi counted as mixed
+ * @returns {{language: string, mixed: boolean}}
+ */
+function guessLanguageMix(text) {
+    const language = guessLanguage(text);
+    const romanized = language === 'en' && ROMANIZED_LANGUAGES.find(([pattern]) => pattern.test(text));
+    return romanized ? { language: romanized[1], mixed: true } : { language, mixed: false };
+}
+
+function lastUserMessage(messages) {
+    const message = [...messages].reverse().find((msg) => msg.role === 'user');
+    return message ? String(message.content) : '';
+}
+
+/**
+ * Canned answers in the formats the server's prompts ask for, keyed by the
+ * task label callers put on each request
+ */
+function mockCompletion(params) {
+    const userText = lastUserMessage(params.messages);
+
+    switch (params.task) {
+        case 'detect-language': {
+            const { language, mixed } = guessLanguageMix(userText);
+            return `LANGUAGE: ${language}\nMIXED: ${mixed ? 'yes' : 'no'}\nCORRECTED: ${userText.replace(/\s+/g, ' ').trim()}`;
+        }
+        case 'recommend-course':
+            return 'INTEREST_DETECTED: NONE\nRECOMMENDED_COURSE: NONE\nREASON: NONE';
+        case 'handoff-summary': {
+            const lastCallerLine = userText.split('\n').reverse().find((line) => line.startsWith('Caller: '));
+            return `The caller would like to speak with a counselor. They last said: ${lastCallerLine ? lastCallerLine.slice(8, 120) : 'nothing yet'}.`;
+        }
+        case 'summarize-memory': {
+            const userLines = userText.split('\n').filter((line) => line.startsWith('User: ')).map((line) => line.slice(6));
+            const previous = userText.match(/^SUMMARY SO FAR:\n(.*)$/m)?.[1];
+            const earlier = previous && previous !== '(none)' ? `${previous} ` : '';
+            return `${earlier}The user asked: ${userLines.join('; ').slice(0, 200)}.`;
+        }
+        case 'guardrail-rewrite':
+            return 'We cannot promise any particular outcome, but our counselors can tell you more about the course. Is there anything else I can help you with?';
+        default:
+            if (params.json) return '{}';
+            return `Thank you for your question about "${userText.slice(0, 80)}". This is a mock reply.`;
+    }
+}
+
+function createMockChatProvider() {
+    return {
+        name: 'mock',
+
+        isConfigured() {
+            return true;
+        },
+
+        async complete(params) {
+            return { content: mockCompletion(params), toolCalls: [] };
+        },
+
+        async stream(params, requestOptions = {}) {
+            const content = mockCompletion(params);
+            // Word-sized deltas, like a real stream
+            for (const token of content.match(/\S+\s*/g) || []) {
+                if (requestOptions.signal?.aborted) {
+                    const error = new Error('Request was aborted.');
+                    error.name = 'AbortError';
+                    throw error;
+                }
+                requestOptions.onToken?.(token);
+            }
+            return { content, toolCalls: [] };
+        }
+    };
+}
+
+/**
+ * @param {object} options - { transcript } returned for every audio clip
+ */
+function createMockTranscriptionProvider(options = {}) {
+    const transcript = options.transcript || 'I want to know about the UI/UX design course.';
+
+    return {
+        name: 'mock',
+
+        isConfigured() {
+            return true;
+        },
+
+        async transcribe(audio) {
+            let duration = null;
+            if (Buffer.isBuffer(audio)) {
+                try {
+                    const { pcm, sampleRate } = parseWav(audio);
+                    duration = pcm.length / sampleRate;
+                } catch (error) {
+                    // Not a WAV buffer - duration unknown
+                }
+            }
+            return { text: transcript, language: guessLanguage(transcript), duration };
+        }
+    };
+}
+
+/**
+ * Speech as a quiet tone, roughly as long as the text would take to say
+ */
+function createMockSpeechProvider() {
+    return {
+        name: 'mock',
+
+        isConfigured() {
+            return true;
+        },
+
+        async synthesize(text, synthesisOptions = {}) {
+            const sampleRate = synthesisOptions.sampleRate || 22050;
+            const words = text.split(/\s+/).filter(Boolean).length;
+            const seconds = Math.max(0.5, words * 0.3);
+
+            const pcm = new Int16Array(Math.round(seconds * sampleRate));
+            for (let i = 0; i < pcm.length; i++) {
+                pcm[i] = Math.round(2000 * Math.sin((2 * Math.PI * 440 * i) / sampleRate));
+            }
+            return pcmToWav(pcm, sampleRate);
+        }
+    };
+}
+
+// Returns text unchanged
+function createMockTranslateProvider() {
+    return {
+        name: 'mock',
+
+        isConfigured() {
+            return true;
+        },
+
+        async translate(text) {
+            return text;
+        }
+    };
+}
+
+module.exports = {
+    createMockChatProvider,
+    createMockTranscriptionProvider,
+    createMockSpeechProvider,
+    createMockTranslateProvider,
+};
@@ -0,0 +1,140 @@
+// ============================================
+// OpenAI Providers (chat completions + Whisper)
+// ============================================
+// Also used for self-hosted OpenAI-compatible servers (Ollama, vLLM,
+// LM Studio, faster-whisper-server...) by passing a baseURL. A fixed model
+// can be set for such servers, since they will not know OpenAI model names.
+
+const fs = require('fs');
+const OpenAI = require('openai');
+const { toFile } = require('openai');
+
+function createClient(options) {
+    return new OpenAI({
+        apiKey: options.apiKey,
+        baseURL: options.baseURL || undefined,
+    });
+}
+
+/**
+ * Chat completion provider
+ * @param {object} options - { name, apiKey, baseURL, model (overrides per-request models) }
+ */
+function createOpenAIChatProvider(options) {
+    const client = createClient(options);
+
+    function toRequest(params) {
+        const request = {
+            model: options.model || params.model,
+            messages: params.messages,
+            temperature: params.temperature,
+            max_tokens: params.maxTokens,
+        };
+        if (params.tools) {
+            request.tools = params.tools;
+            request.tool_choice = params.toolChoice || 'auto';
+        }
+        if (params.json) {
+            request.response_format = { type: 'json_object' };
+        }
+        return request;
+    }
+
+    return {
+        name: options.name,
+
+        isConfigured() {
+            return !!options.apiKey;
+        },
+
+        /**
+         * @param {object} params - { model, messages, temperature, maxTokens, tools, toolChoice, json, task }
+         * @param {object} requestOptions - { signal }
+         * @returns {Promise<{content: string|null, toolCalls: Array<object>}>}
+         */
+        async complete(params, requestOptions = {}) {
+            const completion = await client.chat.completions.create(toRequest(params), { signal: requestOptions.signal });
+            const message = completion.choices[0].message;
+            return { content: message.content, toolCalls: message.tool_calls || [] };
+        },
+
+        /**
+         * Same as complete, but text deltas are passed to onToken as they arrive
+         * @param {object} requestOptions - { signal, onToken }
+         */
+        async stream(params, requestOptions = {}) {
+            const stream = await client.chat.completions.create(
+                { ...toRequest(params), stream: true },
+                { signal: requestOptions.signal }
+            );
+
+            // Tool call arguments arrive in fragments, keyed by index
+            let content = '';
+            const toolCalls = [];
+            for await (const chunk of stream) {
+                const delta = chunk.choices[0]?.delta || {};
+                if (delta.content) {
+                    content += delta.content;
+                    requestOptions.onToken?.(delta.content);
+                }
+                (delta.tool_calls || []).forEach((part) => {
+                    const call = toolCalls[part.index] ||
+                        (toolCalls[part.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+                    if (part.id) call.id = part.id;
+                    if (part.function?.name) call.function.name += part.function.name;
+                    if (part.function?.arguments) call.function.arguments += part.function.arguments;
+                });
+            }
+
+            return { content, toolCalls: toolCalls.filter(Boolean) };
+        }
+    };
+}
+
+/**
+ * Speech-to-text provider (Whisper API or a compatible server)
+ * @param {object} options - { name, apiKey, baseURL, model }
+ */
+function createOpenAITranscriptionProvider(options) {
+    const client = createClient(options);
+
+    return {
+        name: options.name,
+
+        isConfigured() {
+            return !!options.apiKey;
+        },
+
+        /**
+         * @param {string|Buffer} audio - File path, or WAV bytes
+         * @param {object} transcribeOptions - { language }
+         * @returns {Promise<{text: string, language: string|null, duration: number|null}>}
+         */
+        async transcribe(audio, transcribeOptions = {}) {
+            const file = Buffer.isBuffer(audio)
+                ? await toFile(audio, 'audio.wav')
+                : fs.createReadStream(audio);
+
+            const params = {
+                file,
+                model: options.model || 'whisper-1',
+                response_format: 'verbose_json',
+            };
+            if (transcribeOptions.language) {
+                params.language = transcribeOptions.language;
+            }
+
+            const transcription = await client.audio.transcriptions.create(params);
+            return {
+                text: transcription.text,
+                language: transcription.language || null,
+                duration: transcription.duration ?? null
+            };
+        }
+    };
+}
+
+module.exports = {
+    createOpenAIChatProvider,
+    createOpenAITranscriptionProvider,
+};
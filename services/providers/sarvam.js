@@ -0,0 +1,60 @@
+// ============================================
+// Sarvam AI Text-to-Speech Provider
+// ============================================
+
+const axios = require('axios');
+
+const SARVAM_TTS_URL = 'https://api.sarvam.ai/text-to-speech';
+
+/**
+ * @param {object} options - { apiKey, apiUrl }
+ */
+function createSarvamSpeechProvider(options) {
+    return {
+        name: 'sarvam',
+
+        isConfigured() {
+            return !!(options.apiKey && options.apiKey !== 'your_sarvam_api_key_here');
+        },
+
+        /**
+         * @param {string} text - Text to speak
+         * @param {object} synthesisOptions
+         * @param {string} synthesisOptions.languageCode - e.g., 'hi-IN'
+         * @param {object} synthesisOptions.voice - { speaker, model, pitch, pace, loudness } from voiceConfigs
+         * @param {number} synthesisOptions.sampleRate - Output sample rate (Hz)
+         * @returns {Promise<Buffer|null>} WAV audio, or null if Sarvam returned none
+         */
+        async synthesize(text, synthesisOptions) {
+            const { languageCode, voice, sampleRate = 22050 } = synthesisOptions;
+
+            const requestBody = {
+                inputs: [text],
+                target_language_code: languageCode,
+                speaker: voice.speaker,
+                model: voice.model,
+                pitch: voice.pitch,
+                pace: voice.pace,
+                loudness: voice.loudness,
+                enable_preprocessing: true,
+                speech_sample_rate: sampleRate
+            };
+
+            const response = await axios.post(options.apiUrl || SARVAM_TTS_URL, requestBody, {
+                headers: {
+                    'api-subscription-key': options.apiKey,
+                    'Content-Type': 'application/json'
+                },
+                responseType: 'json',
+                timeout: 30000 // 30 second timeout
+            });
+
+            const audioBase64 = response.data.audios?.[0];
+            return audioBase64 ? Buffer.from(audioBase64, 'base64') : null;
+        }
+    };
+}
+
+module.exports = {
+    createSarvamSpeechProvider,
+};
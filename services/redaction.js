@@ -0,0 +1,209 @@
+// ============================================
+// Personal Data Redaction
+// ============================================
+// Masks personal data before it is written to logs or archived with a
+// conversation: phone numbers, email addresses, names callers give, and
+// government ID numbers (Aadhaar, PAN, passport, voter ID). Each destination
+// (console, log files, transcripts, ...) has its own list of categories in
+// redactionConfig. Text is matched by pattern; fields that hold a name are
+// masked whole, and names already known for a conversation (from its lead)
+// are masked wherever they appear. The introduction patterns only look at
+// what callers say: the assistant's own turns ("I am Skylar from Skillora")
+// are left to the known names, and persona and brand names never count as
+// a caller's name.
+
+const CATEGORIES = ['phone', 'email', 'name', 'governmentId'];
+
+// Fields whose whole value is a person's name
+const NAME_FIELDS = ['name', 'visitorName', 'visitor_name', 'callerName'];
+
+// Fields that hold ids, times or URLs - never personal data, and long digit
+// runs in them must not be mistaken for phone numbers
+const SKIPPED_FIELDS = ['id', 'sessionId', 'callSid', 'timestamp', 'at', 'startedAt', 'endedAt', 'updatedAt', 'audioUrl', 'audioUrls', 'level', 'service'];
+
+const EMAIL = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+
+// Numbers and ids never start or end next to a letter, digit, - or _, so
+// the groups of a session id ("web_1b4e28ba-...-001612345678") are left alone
+const START = '(?<![\\w-])';
+const END = '(?![\\w-])';
+
+// Indian mobiles (optional +91 / 91 / 0, 10 digits from 6-9, grouped 5-5 or
+// run together), landlines with their 0 STD code, and any other number
+// written in +<country code> form
+const PHONE = new RegExp([
+    `${START}(?:\\+91[ -]?|(?:91[ -]?|0)?)[6-9]\\d{4}[ -]?\\d{5}${END}`,
+    `${START}0\\d{2,4}[ -]?\\d{3,4}[ -]?\\d{4}${END}`,
+    `${START}\\+\\d{1,3}[ -]?\\d(?:[ -]?\\d){6,12}${END}`,
+].join('|'), 'g');
+
+const GOVERNMENT_IDS = [
+    new RegExp(`${START}[2-9]\\d{3}[ -]?\\d{4}[ -]?\\d{4}${END}`, 'g'), // Aadhaar
+    new RegExp(`${START}[A-Z]{5}\\d{4}[A-Z]${END}`, 'gi'), // PAN
+    new RegExp(`${START}[A-Z]{3}\\d{7}${END}`, 'gi'), // Voter ID (EPIC)
+    new RegExp(`${START}[A-Z]\\d{7}${END}`, 'gi'), // Passport
+];
+
+// "My name is Priya", "myself Rahul", "mera naam Amit hai", "माझं नाव सायली"
+const NAME_INTRO = /(\b(?:my name is|my name's|myself|mera naam|mera nam|maza nav|majha nav|maza naav|majha naav)\s+|(?:मेरा नाम|माझं नाव|माझे नाव|माझा नाव)\s+)(\p{L}[\p{L}\p{M}]*)(\s+\p{L}[\p{L}\p{M}]*)?/giu;
+
+// "I am Priya Sharma", "this is Rahul" - only capitalized words, so "I am
+// interested" and "this is the fee" are left alone (case-sensitive on purpose)
+const NAME_SELF_INTRO = /(\b(?:I am|I'm|[Tt]his is)\s+)(\p{Lu}[\p{L}\p{M}]*)(\s+\p{Lu}[\p{L}\p{M}]*)?/gu;
+
+// "main Priya hoon", "mi Sayali aahe", "मैं प्रिया हूँ", "मी सायली आहे"
+const NAME_BEFORE_VERB = /(\b(?:main|mai|mi)\s+)(\p{L}[\p{L}\p{M}]*)(\s+\p{L}[\p{L}\p{M}]*)?(?=\s+(?:hoon|hun|hu|aahe|ahe)\b)|((?:मैं|मी)\s+)([\p{L}\p{M}]+)(\s+[\p{L}\p{M}]+)?(?=\s+(?:हूँ|हूं|हू|आहे))/giu;
+
+function isCapitalized(word) {
+    const first = word.trim().charAt(0);
+    return first !== first.toLowerCase();
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Create a redactor
+ * @param {object} [config] - redactionConfig from config/data.js; without it
+ *        every category is masked everywhere (used until the config is loaded)
+ * @param {object} [options] - { keptNames: persona names, never masked as a caller's name }
+ */
+function createRedactor(config, options = {}) {
+    const destinations = config?.destinations || {};
+    const digitsShown = config?.phoneDigitsShown || 0;
+    const keptNames = new Set([...(config?.keptNames || []), ...(options.keptNames || [])].map((name) => name.toLowerCase()));
+    const isKept = (word) => keptNames.has(word.trim().toLowerCase());
+
+    function categoriesFor(destination) {
+        return destinations[destination] || CATEGORIES;
+    }
+
+    function maskPhone(match) {
+        const digits = match.replace(/\D/g, '');
+        return digitsShown > 0 ? `[phone …${digits.slice(-digitsShown)}]` : '[phone]';
+    }
+
+    /**
+     * Mask personal data in a piece of text
+     * @param {string} text
+     * @param {string[]} categories - Which of CATEGORIES to mask
+     * @param {object} known - { names: names already known for this conversation,
+     *        assistant: the text is the assistant's own turn, so introductions in it are not the caller's }
+     */
+    function redactText(text, categories, known = {}) {
+        let result = text;
+
+        if (categories.includes('email')) {
+            result = result.replace(EMAIL, '[email]');
+        }
+        if (categories.includes('phone')) {
+            result = result.replace(PHONE, maskPhone);
+        }
+        if (categories.includes('governmentId')) {
+            GOVERNMENT_IDS.forEach((pattern) => {
+                result = result.replace(pattern, '[id]');
+            });
+        }
+        if (categories.includes('name')) {
+            if (!known.assistant) {
+                // A second word is part of the name only when both are capitalized ("Priya Sharma", not "Priya and")
+                result = result.replace(NAME_INTRO, (match, intro, first, second) => {
+                    if (isKept(first)) return match;
+                    const fullName = second && isCapitalized(first) && isCapitalized(second);
+                    return `${intro}[name]${second && !fullName ? second : ''}`;
+                });
+                result = result.replace(NAME_SELF_INTRO, (match, intro, first) => (isKept(first) ? match : `${intro}[name]`));
+                result = result.replace(NAME_BEFORE_VERB, (match, intro, first, second, nativeIntro, nativeFirst) =>
+                    (isKept(first || nativeFirst) ? match : `${intro || nativeIntro}[name]`));
+            }
+
+            // Whole names first, then their parts ("Priya Sharma", then "Priya")
+            const names = (known.names || []).filter(Boolean);
+            const parts = names.flatMap((name) => [name, ...name.split(/\s+/)])
+                .map((name) => name.trim())
+                .filter((name) => name.length >= 3)
+                .sort((a, b) => b.length - a.length);
+            [...new Set(parts)].forEach((name) => {
+                result = result.replace(new RegExp(`(?<![\\p{L}\\p{M}])${escapeRegExp(name)}(?![\\p{L}\\p{M}])`, 'giu'), '[name]');
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Mask personal data in a value of any shape, returning a copy. Objects
+     * that refer back to themselves (errors with their request and response)
+     * are copied once; the way back becomes "[Circular]".
+     * @param {*} value - String, array or plain object; a message ({ role, content })
+     *        from the assistant is masked as the assistant's words
+     * @param {string[]} categories
+     * @param {object} known - { names, assistant }
+     * @param {WeakSet} [parents] - Objects on the way down to value
+     */
+    function redactValue(value, categories, known = {}, parents = new WeakSet()) {
+        if (typeof value === 'string') {
+            return redactText(value, categories, known);
+        }
+        if (value && typeof value === 'object' && parents.has(value)) {
+            return '[Circular]';
+        }
+        if (Array.isArray(value)) {
+            parents.add(value);
+            const copy = value.map((entry) => redactValue(entry, categories, known, parents));
+            parents.delete(value);
+            return copy;
+        }
+        if (value && typeof value === 'object' && !(value instanceof Date)) {
+            parents.add(value);
+            const copy = {};
+            const context = typeof value.role === 'string' ? { ...known, assistant: value.role === 'assistant' } : known;
+            Object.entries(value).forEach(([key, entry]) => {
+                if (SKIPPED_FIELDS.includes(key)) {
+                    copy[key] = entry;
+                } else if (NAME_FIELDS.includes(key) && typeof entry === 'string' && entry && categories.includes('name')) {
+                    copy[key] = '[name]';
+                } else {
+                    copy[key] = redactValue(entry, categories, context, parents);
+                }
+            });
+            parents.delete(value);
+            return copy;
+        }
+        return value;
+    }
+
+    return {
+        /**
+         * Mask personal data for one destination
+         * @param {*} value - Text or data to be written there
+         * @param {string} destination - Key of redactionConfig.destinations
+         * @param {object} known - { names }
+         * @returns {*} Masked copy
+         */
+        redact(value, destination, known = {}) {
+            const categories = categoriesFor(destination);
+            return categories.length ? redactValue(value, categories, known) : value;
+        },
+
+        /**
+         * Mask a winston log entry in place (winston hands each transport its own copy)
+         * @param {object} info - Log entry
+         * @param {string} destination - Key of redactionConfig.destinations
+         * @param {object} known - { names } of the conversation the entry is about
+         * @returns {object} The entry
+         */
+        redactLogEntry(info, destination, known = {}) {
+            const categories = categoriesFor(destination);
+            if (categories.length === 0) return info;
+            Object.assign(info, redactValue({ ...info }, categories, known));
+            return info;
+        }
+    };
+}
+
+module.exports = {
+    createRedactor,
+    CATEGORIES,
+};
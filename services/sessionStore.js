@@ -0,0 +1,274 @@
+// ============================================
+// Conversation Session Store
+// ============================================
+// Server-owned conversation state for phone calls (keyed by CallSid) and
+// web chats (keyed by a server-issued session id). Every backend exposes
+// the same async interface and expires idle sessions after ttlSeconds, so
+// a missed /call-status webhook can never leak a conversation forever.
+//
+// Session shape:
+//   { id, channel, messages: [{ role, content, metadata }], meta: {},
+//     version, createdAt, updatedAt, expiresAt }
+//
+// Every write bumps the version. A write based on an older version - two
+// requests on one session at once (a retried /chat, a counselor message, a
+// media-stream turn) - is merged into the newer session instead of replacing
+// it: messages it appended go after the ones already stored, and the meta
+// keys it changed win. The caller's session object is updated to the merged
+// result, so it can keep going and persist again.
+
+const { createJsonStore } = require('./jsonStore');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Merge attempts before a write gives up (each one lost a race to another write)
+const MAX_WRITE_ATTEMPTS = 5;
+
+function isExpired(session, now = Date.now()) {
+    return !session || new Date(session.expiresAt).getTime() <= now;
+}
+
+function withExpiry(session, ttlSeconds) {
+    const now = new Date();
+    return {
+        ...session,
+        createdAt: session.createdAt || now.toISOString(),
+        updatedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + ttlSeconds * 1000).toISOString()
+    };
+}
+
+function isStale(current, expectedVersion) {
+    return !!current && expectedVersion !== undefined && (current.version || 0) !== expectedVersion;
+}
+
+// In-memory backend - fastest, lost on restart. Sessions are copied in and
+// out so requests never share one object.
+function createMemoryBackend(ttlSeconds) {
+    const sessions = new Map();
+
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        sessions.forEach((session, id) => {
+            if (isExpired(session, now)) sessions.delete(id);
+        });
+    }, SWEEP_INTERVAL_MS);
+    sweep.unref();
+
+    return {
+        async get(id) {
+            const session = sessions.get(id);
+            if (isExpired(session)) {
+                sessions.delete(id);
+                return null;
+            }
+            return structuredClone(session);
+        },
+        async compareAndSet(id, session, expectedVersion) {
+            const current = sessions.get(id);
+            if (!isExpired(current) && isStale(current, expectedVersion)) {
+                return { current: structuredClone(current) };
+            }
+            const stored = withExpiry(structuredClone(session), ttlSeconds);
+            sessions.set(id, stored);
+            return { stored: structuredClone(stored) };
+        },
+        async delete(id) {
+            return sessions.delete(id);
+        },
+        async list() {
+            return [...sessions.values()].filter((session) => !isExpired(session));
+        },
+        async close() {
+            clearInterval(sweep);
+        }
+    };
+}
+
+// File backend - survives restarts on a single server (data/sessions.json)
+function createFileBackend(ttlSeconds, options) {
+    const store = createJsonStore('sessions', options);
+
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        store.values()
+            .filter((session) => isExpired(session, now))
+            .forEach((session) => store.remove(session.id));
+    }, SWEEP_INTERVAL_MS);
+    sweep.unref();
+
+    return {
+        async get(id) {
+            const session = store.get(id);
+            if (isExpired(session)) {
+                if (session) store.remove(id);
+                return null;
+            }
+            return structuredClone(session);
+        },
+        async compareAndSet(id, session, expectedVersion) {
+            const current = store.get(id);
+            if (!isExpired(current) && isStale(current, expectedVersion)) {
+                return { current: structuredClone(current) };
+            }
+            return { stored: structuredClone(store.set(id, withExpiry(structuredClone(session), ttlSeconds))) };
+        },
+        async delete(id) {
+            return store.remove(id);
+        },
+        async list() {
+            return store.values().filter((session) => !isExpired(session));
+        },
+        async close() {
+            clearInterval(sweep);
+        }
+    };
+}
+
+// Write a session unless the stored one has another version; returns the
+// stored session on a conflict, nothing when written. Atomic in Redis.
+const COMPARE_AND_SET_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if current and ARGV[2] ~= '' and tostring(cjson.decode(current).version or 0) ~= ARGV[2] then
+    return current
+end
+redis.call('SET', KEYS[1], ARGV[1], 'EX', ARGV[3])
+return false
+`;
+
+// Redis backend - shared across server instances; expiry handled by Redis
+// itself. Works with any Redis-protocol server (Redis, Valkey, KeyDB...).
+function createRedisBackend(ttlSeconds, options) {
+    const Redis = require('ioredis');
+    const redis = new Redis(options.redisUrl, { lazyConnect: false, maxRetriesPerRequest: 2 });
+    const keyPrefix = options.keyPrefix || 'session:';
+
+    async function scanKeys() {
+        const keys = [];
+        let cursor = '0';
+        do {
+            const [next, batch] = await redis.scan(cursor, 'MATCH', `${keyPrefix}*`, 'COUNT', 100);
+            cursor = next;
+            keys.push(...batch);
+        } while (cursor !== '0');
+        return keys;
+    }
+
+    return {
+        async get(id) {
+            const raw = await redis.get(keyPrefix + id);
+            return raw ? JSON.parse(raw) : null;
+        },
+        async compareAndSet(id, session, expectedVersion) {
+            const stored = withExpiry(session, ttlSeconds);
+            const current = await redis.eval(COMPARE_AND_SET_SCRIPT, 1, keyPrefix + id,
+                JSON.stringify(stored), expectedVersion === undefined ? '' : String(expectedVersion), ttlSeconds);
+            return current ? { current: JSON.parse(current) } : { stored };
+        },
+        async delete(id) {
+            return (await redis.del(keyPrefix + id)) > 0;
+        },
+        async list() {
+            const keys = await scanKeys();
+            if (keys.length === 0) return [];
+            const values = await redis.mget(keys);
+            return values.filter(Boolean).map((raw) => JSON.parse(raw));
+        },
+        async close() {
+            await redis.quit();
+        }
+    };
+}
+
+/**
+ * Create the session store for the configured backend
+ * @param {object} config - { backend: 'memory'|'file'|'redis', ttlSeconds, redisUrl, keyPrefix }
+ * @returns {object} Async store: get, set, delete, list, size, close
+ */
+function createSessionStore(config) {
+    const backends = {
+        memory: () => createMemoryBackend(config.ttlSeconds),
+        file: () => createFileBackend(config.ttlSeconds, config),
+        redis: () => createRedisBackend(config.ttlSeconds, config),
+    };
+
+    if (!backends[config.backend]) {
+        throw new Error(`Unknown session backend "${config.backend}". Use one of: ${Object.keys(backends).join(', ')}`);
+    }
+
+    const backend = backends[config.backend]();
+
+    // What each session object looked like when it was read (or last written)
+    const reads = new WeakMap();
+
+    function remember(session) {
+        if (session) {
+            reads.set(session, {
+                version: session.version || 0,
+                messageCount: session.messages.length,
+                meta: structuredClone(session.meta || {})
+            });
+        }
+        return session;
+    }
+
+    // A write from `session` (read as `read`) on top of the newer `current`
+    function merge(current, session, read) {
+        const meta = { ...current.meta };
+        new Set([...Object.keys(read.meta), ...Object.keys(session.meta || {})]).forEach((key) => {
+            if (JSON.stringify(session.meta[key]) === JSON.stringify(read.meta[key])) return;
+            if (session.meta[key] === undefined) {
+                delete meta[key];
+            } else {
+                meta[key] = session.meta[key];
+            }
+        });
+        return {
+            ...session,
+            messages: [...current.messages, ...session.messages.slice(read.messageCount)],
+            meta,
+            createdAt: current.createdAt
+        };
+    }
+
+    /**
+     * Save a session, merging with any write made since it was read
+     * @param {string} id
+     * @param {object} session - Updated in place to what was stored
+     * @returns {Promise<object>} The stored session
+     */
+    async function set(id, session) {
+        const read = reads.get(session);
+        let next = { ...session, id };
+        let expectedVersion = read?.version;
+
+        for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+            const result = await backend.compareAndSet(id, { ...next, version: (expectedVersion ?? session.version ?? 0) + 1 }, expectedVersion);
+            if (result.stored) {
+                session.messages.splice(0, session.messages.length, ...result.stored.messages);
+                Object.keys(session.meta).forEach((key) => delete session.meta[key]);
+                Object.assign(session.meta, structuredClone(result.stored.meta));
+                Object.assign(session, { version: result.stored.version, createdAt: result.stored.createdAt, updatedAt: result.stored.updatedAt, expiresAt: result.stored.expiresAt });
+                remember(session);
+                return result.stored;
+            }
+            next = merge(result.current, { ...session, id }, read);
+            expectedVersion = result.current.version || 0;
+        }
+        throw new Error(`Session ${id} kept changing while it was being saved`);
+    }
+
+    return {
+        backend: config.backend,
+        get: async (id) => remember(await backend.get(id)),
+        set,
+        delete: (id) => backend.delete(id),
+        list: () => backend.list(),
+        size: async () => (await backend.list()).length,
+        close: () => backend.close(),
+    };
+}
+
+module.exports = {
+    createSessionStore,
+};
@@ -0,0 +1,164 @@
+// ============================================
+// Conversation Transcript Archive
+// ============================================
+// Each call or web session is archived as data/transcripts/<id>.json and
+// rewritten after every turn, so a transcript survives even if the session
+// expires or the end-of-call webhook never arrives. A summary index is kept
+// in memory for listing. Personal data is masked (options.redact) on every
+// write, so nothing unmasked reaches the disk.
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./jsonStore');
+
+/**
+ * Convert stored session turns into transcript turns
+ * @param {Array<object>} messages - Session messages with metadata
+ */
+function toTranscriptTurns(messages) {
+    return messages.map(({ role, content, metadata = {} }) => {
+        const turn = { role, content, timestamp: metadata.timestamp || null };
+
+        if (role === 'user') {
+            turn.language = metadata.originalLanguage || null;
+            turn.original = metadata.original ?? content;
+            if (metadata.mixed) turn.mixed = true;
+            if (metadata.dtmf) turn.dtmf = metadata.dtmf;
+        } else {
+            turn.language = metadata.language || null;
+            turn.audioUrl = metadata.audioUrl || metadata.audioUrls?.[0] || null;
+            // Streamed replies are spoken as one clip per sentence
+            if (metadata.audioUrls) turn.audioUrls = metadata.audioUrls;
+            if (metadata.staff) turn.staff = metadata.staff;
+        }
+
+        return turn;
+    });
+}
+
+function summarize(transcript) {
+    const { turns, ...summary } = transcript;
+    return { ...summary, turnCount: turns.length };
+}
+
+/**
+ * Create the transcript archive
+ * @param {object} options - { dataDir, redact (transcript => masked copy) }
+ */
+function createTranscriptStore(options = {}) {
+    const dir = path.join(options.dataDir || DATA_DIR, 'transcripts');
+    const index = new Map();
+
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    fs.readdirSync(dir)
+        .filter((file) => file.endsWith('.json'))
+        .forEach((file) => {
+            const transcript = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            index.set(transcript.id, summarize(transcript));
+        });
+
+    // Ids come from Twilio or from us, but never trust them as file names
+    function fileFor(id) {
+        return path.join(dir, `${String(id).replace(/[^A-Za-z0-9_-]/g, '_')}.json`);
+    }
+
+    function read(id) {
+        const filePath = fileFor(id);
+        return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+    }
+
+    function write(record) {
+        const transcript = options.redact ? options.redact(record) : record;
+        const filePath = fileFor(transcript.id);
+        fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(transcript, null, 2));
+        fs.renameSync(`${filePath}.tmp`, filePath);
+
+        const summary = summarize(transcript);
+        index.set(transcript.id, summary);
+        return summary;
+    }
+
+    return {
+        /**
+         * Write (or rewrite) the transcript for a session
+         * @param {object} session - Session from the session store
+         * @param {object} updates - { status, endedAt, callStatus, ... } merged onto the record
+         * @returns {object} Transcript summary
+         */
+        saveFromSession(session, updates = {}) {
+            const existing = read(session.id);
+            const turns = toTranscriptTurns(session.messages);
+            const languages = [...new Set(turns.map((turn) => turn.language).filter(Boolean))];
+
+            const transcript = {
+                ...(existing || {}),
+                id: session.id,
+                channel: session.channel,
+                persona: session.meta?.persona || null,
+                handoff: session.meta?.handoff || null,
+                status: 'active',
+                startedAt: existing?.startedAt || session.createdAt || new Date().toISOString(),
+                endedAt: null,
+                ...updates,
+                languages,
+                updatedAt: new Date().toISOString(),
+                turns
+            };
+
+            return write(transcript);
+        },
+
+        /**
+         * Merge fields onto an archived transcript without touching its turns
+         * @returns {object|null} Updated summary, or null if there is no transcript
+         */
+        update(id, updates) {
+            const existing = read(id);
+            if (!existing) return null;
+
+            return write({ ...existing, ...updates, updatedAt: new Date().toISOString() });
+        },
+
+        /**
+         * Full transcript including turns
+         */
+        get(id) {
+            return index.has(id) ? read(id) : null;
+        },
+
+        /**
+         * Summary (no turns) of one transcript
+         */
+        getSummary(id) {
+            return index.get(id) || null;
+        },
+
+        /**
+         * Transcript summaries, newest first
+         * @param {object} filters - { from, to (ISO date or date-time), channel, language, status }
+         */
+        list(filters = {}) {
+            // A bare YYYY-MM-DD "to" date includes that whole day
+            const to = filters.to && filters.to.length === 10 ? `${filters.to}T23:59:59.999Z` : filters.to;
+
+            return [...index.values()]
+                .filter((t) => !filters.from || t.startedAt >= filters.from)
+                .filter((t) => !to || t.startedAt <= to)
+                .filter((t) => !filters.channel || t.channel === filters.channel)
+                .filter((t) => !filters.language || t.languages.includes(filters.language))
+                .filter((t) => !filters.status || t.status === filters.status)
+                .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+        },
+
+        get size() {
+            return index.size;
+        }
+    };
+}
+
+module.exports = {
+    createTranscriptStore,
+};
@@ -0,0 +1,187 @@
+// ============================================
+// Text-to-Speech Audio Cache
+// ============================================
+// Synthesized audio is stored under a hash of everything that affects how
+// it sounds (provider, text, language, voice settings, sample rate), so a
+// phrase is synthesized once and then served from disk to every call and
+// web session. Files live in a public directory so Twilio <Play> and the
+// browser can fetch them directly. Least recently used entries are evicted
+// once the cache exceeds its size or entry limits.
+//
+// Only phrases that are said again belong here: fixed prompts (greetings,
+// menus, reprompts) go in at once, anything else once it has been asked for
+// minRepeats times. One-off replies - with names, numbers, booking details -
+// stay out of the long-lived public cache. Repeats are counted by key in
+// memory, so the text itself is never kept.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Cache key for one synthesis request
+ * @param {object} params - { provider, text, languageCode, voice, sampleRate }
+ * @returns {string} Hex SHA-256
+ */
+function ttsCacheKey(params) {
+    const { provider, text, languageCode, voice, sampleRate } = params;
+    const material = JSON.stringify([
+        provider,
+        text.trim(),
+        languageCode,
+        voice.speaker,
+        voice.model,
+        voice.pitch,
+        voice.pace,
+        voice.loudness,
+        sampleRate
+    ]);
+    return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+/**
+ * Create the cache
+ * @param {object} config - { dir, maxBytes, maxEntries, minRepeats }
+ * @returns {object} admit, getOrCreate, stats
+ */
+function createTtsCache(config) {
+    const dir = config.dir;
+    const entries = new Map(); // key -> { fileName, filePath, size }; Map order = least recently used first
+    const inflight = new Map(); // key -> Promise, so concurrent misses synthesize once
+    const requested = new Map(); // key -> times asked for, not yet cached; Map order = least recently asked first
+    let totalBytes = 0;
+    let hits = 0;
+    let misses = 0;
+    let evictions = 0;
+
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    // Rebuild the index from disk, oldest first
+    fs.readdirSync(dir)
+        .filter((file) => /^[0-9a-f]{64}\.wav$/.test(file))
+        .map((file) => {
+            const filePath = path.join(dir, file);
+            const stat = fs.statSync(filePath);
+            return { key: file.slice(0, 64), fileName: file, filePath, size: stat.size, mtime: stat.mtimeMs };
+        })
+        .sort((a, b) => a.mtime - b.mtime)
+        .forEach(({ key, fileName, filePath, size }) => {
+            entries.set(key, { fileName, filePath, size });
+            totalBytes += size;
+        });
+
+    function evict() {
+        while (entries.size > 0 && (totalBytes > config.maxBytes || entries.size > config.maxEntries)) {
+            const [key, entry] = entries.entries().next().value;
+            entries.delete(key);
+            totalBytes -= entry.size;
+            evictions++;
+            try {
+                fs.unlinkSync(entry.filePath);
+            } catch (error) {
+                // Already gone - nothing to free
+            }
+        }
+    }
+
+    function store(key, audioBuffer) {
+        const fileName = `${key}.wav`;
+        const filePath = path.join(dir, fileName);
+        fs.writeFileSync(`${filePath}.tmp`, audioBuffer);
+        fs.renameSync(`${filePath}.tmp`, filePath);
+
+        const entry = { fileName, filePath, size: audioBuffer.length };
+        entries.set(key, entry);
+        totalBytes += entry.size;
+        evict();
+        return entry;
+    }
+
+    evict();
+
+    return {
+        /**
+         * Note a request for a phrase and say whether to serve it from the cache
+         * @param {string} key - From ttsCacheKey
+         * @param {boolean} [fixed] - A fixed prompt, cached on first use
+         * @returns {boolean}
+         */
+        admit(key, fixed = false) {
+            if (fixed || entries.has(key) || inflight.has(key)) {
+                requested.delete(key);
+                return true;
+            }
+
+            const count = (requested.get(key) || 0) + 1;
+            requested.delete(key);
+            if (count >= config.minRepeats) {
+                return true;
+            }
+            requested.set(key, count);
+            if (requested.size > config.maxEntries) {
+                requested.delete(requested.keys().next().value);
+            }
+            return false;
+        },
+
+        /**
+         * Return the cached file for a key, synthesizing and storing it on a miss
+         * @param {string} key - From ttsCacheKey
+         * @param {function(): Promise<Buffer|null>} synthesize - Called on a miss
+         * @returns {Promise<{fileName: string, filePath: string, size: number, cached: boolean}|null>}
+         *          null if synthesis returned no audio
+         */
+        async getOrCreate(key, synthesize) {
+            const existing = entries.get(key);
+            if (existing && fs.existsSync(existing.filePath)) {
+                // Move to the most recently used end
+                entries.delete(key);
+                entries.set(key, existing);
+                hits++;
+                return { ...existing, cached: true };
+            }
+            if (existing) {
+                // File was removed behind our back
+                entries.delete(key);
+                totalBytes -= existing.size;
+            }
+
+            if (inflight.has(key)) {
+                hits++;
+                const entry = await inflight.get(key);
+                return entry && { ...entry, cached: true };
+            }
+
+            misses++;
+            const pending = Promise.resolve()
+                .then(synthesize)
+                .then((audioBuffer) => (audioBuffer ? store(key, audioBuffer) : null))
+                .finally(() => inflight.delete(key));
+            inflight.set(key, pending);
+
+            const entry = await pending;
+            return entry && { ...entry, cached: false };
+        },
+
+        stats() {
+            const lookups = hits + misses;
+            return {
+                entries: entries.size,
+                bytes: totalBytes,
+                maxBytes: config.maxBytes,
+                maxEntries: config.maxEntries,
+                hits,
+                misses,
+                evictions,
+                hitRate: lookups > 0 ? Math.round((hits / lookups) * 1000) / 1000 : null
+            };
+        }
+    };
+}
+
+module.exports = {
+    createTtsCache,
+    ttsCacheKey,
+};
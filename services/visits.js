@@ -0,0 +1,176 @@
+// ============================================
+// Campus Visit Scheduling
+// ============================================
+// Slots are generated from visitConfig (config/data.js) in IST; bookings
+// are persisted in data/bookings.json. Capacity is counted from active
+// bookings, so a cancellation frees its seat immediately.
+
+const { v4: uuidv4 } = require('uuid');
+const { createJsonStore } = require('./jsonStore');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Current date (YYYY-MM-DD) and time (HH:MM) in the given time zone
+ */
+function localNow(timeZone, now = new Date()) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-CA', {
+            timeZone,
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }).formatToParts(now).map((part) => [part.type, part.value])
+    );
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function formatSlotLabel(date, time) {
+    const day = new Date(`${date}T00:00:00Z`);
+    const dayLabel = day.toLocaleDateString('en-IN', { weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC' });
+    const [hours, minutes] = time.split(':').map(Number);
+    const suffix = hours >= 12 ? 'PM' : 'AM';
+    const hour12 = hours % 12 === 0 ? 12 : hours % 12;
+    return `${dayLabel}, ${hour12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+}
+
+/**
+ * Create the visit scheduler
+ * @param {object} visitConfig - Slot times, capacity, blackout dates (see config/data.js)
+ * @param {object} options - Passed through to createJsonStore
+ */
+function createVisitScheduler(visitConfig, options = {}) {
+    const store = createJsonStore('bookings', options);
+
+    function activeBookings() {
+        return store.values().filter((booking) => booking.status === 'confirmed');
+    }
+
+    function bookedCount(slotId) {
+        return activeBookings().filter((booking) => booking.slotId === slotId).length;
+    }
+
+    /**
+     * List bookable slots
+     * @param {object} filters - { date: 'YYYY-MM-DD' to restrict to one day, limit, now }
+     * @returns {object[]} Slots with remaining capacity, soonest first
+     */
+    function getAvailableSlots(filters = {}) {
+        const { date: today, time: nowTime } = localNow(visitConfig.timezone, filters.now);
+        const earliestToday = toMinutes(nowTime) + visitConfig.minNoticeHours * 60;
+        const blackouts = new Set(visitConfig.blackoutDates || []);
+        const slots = [];
+
+        for (let offset = 0; offset <= visitConfig.bookingHorizonDays; offset++) {
+            const date = addDays(today, offset);
+            if (filters.date && filters.date !== date) continue;
+            if (blackouts.has(date)) continue;
+
+            const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+            (visitConfig.slotTimes[weekday] || []).forEach((time) => {
+                if (offset === 0 && toMinutes(time) < earliestToday) return;
+
+                const slotId = `${date}T${time}`;
+                const remaining = visitConfig.capacityPerSlot - bookedCount(slotId);
+                if (remaining > 0) {
+                    slots.push({ slotId, date, time, label: formatSlotLabel(date, time), remaining });
+                }
+            });
+        }
+
+        return filters.limit ? slots.slice(0, filters.limit) : slots;
+    }
+
+    /**
+     * Book a visit. A new booking for the same conversation replaces the
+     * earlier one, so callers can reschedule by simply picking again.
+     * @param {object} request - { slotId, sourceId, channel, name, phone, language, leadId }
+     * @returns {{booking: object|null, error: string|null}}
+     */
+    function bookVisit(request) {
+        const slot = getAvailableSlots({ date: request.slotId.slice(0, 10) })
+            .find((s) => s.slotId === request.slotId);
+
+        if (!slot) {
+            return { booking: null, error: 'Slot is not available' };
+        }
+
+        const now = new Date().toISOString();
+        const previous = activeBookings().find((booking) => booking.sourceId === request.sourceId);
+        if (previous) {
+            store.set(previous.id, { ...previous, status: 'rescheduled', updatedAt: now });
+        }
+
+        const booking = {
+            id: uuidv4(),
+            slotId: slot.slotId,
+            date: slot.date,
+            time: slot.time,
+            label: slot.label,
+            durationMinutes: visitConfig.durationMinutes,
+            sourceId: request.sourceId,
+            channel: request.channel,
+            leadId: request.leadId || null,
+            name: request.name || null,
+            phone: request.phone || null,
+            language: request.language || 'en',
+            status: 'confirmed',
+            createdAt: now,
+            updatedAt: now
+        };
+
+        store.set(booking.id, booking);
+        return { booking, error: null };
+    }
+
+    /**
+     * Cancel a booking by id
+     * @returns {object|null} The cancelled booking, or null if not found
+     */
+    function cancelBooking(id, reason = null) {
+        const booking = store.get(id);
+        if (!booking) return null;
+
+        const cancelled = {
+            ...booking,
+            status: 'cancelled',
+            cancelReason: reason,
+            updatedAt: new Date().toISOString()
+        };
+        return store.set(id, cancelled);
+    }
+
+    /**
+     * List bookings, soonest visit first
+     * @param {object} filters - { date, status, sourceId }
+     */
+    function listBookings(filters = {}) {
+        return store.values()
+            .filter((booking) => !filters.date || booking.date === filters.date)
+            .filter((booking) => !filters.status || booking.status === filters.status)
+            .filter((booking) => !filters.sourceId || booking.sourceId === filters.sourceId)
+            .sort((a, b) => a.slotId.localeCompare(b.slotId));
+    }
+
+    return {
+        getAvailableSlots,
+        bookVisit,
+        cancelBooking,
+        listBookings,
+        getBooking: (id) => store.get(id),
+    };
+}
+
+module.exports = {
+    createVisitScheduler,
+};
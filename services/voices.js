@@ -0,0 +1,76 @@
+// ============================================
+// Voice Catalog
+// ============================================
+// Picks the text-to-speech voice for each reply. A voice the visitor or
+// caller chose for their session always wins; otherwise the reply language's
+// entry in languageVoices swaps in a speaker suited to that language, and
+// anything else is spoken in the persona's own voice.
+
+const TUNABLE_SETTINGS = ['pace', 'pitch', 'loudness'];
+
+/**
+ * Build the voice catalog
+ * @param {object} voiceConfigs - Voice id -> { model, speaker, gender, language, pitch, pace, loudness, description }
+ * @param {object} languageVoices - Language code -> { female, male, pace?, pitch?, loudness? }
+ * @returns {object} get, list, select, languageVoices
+ */
+function createVoiceCatalog(voiceConfigs, languageVoices) {
+    Object.entries(languageVoices).forEach(([language, entry]) => {
+        ['female', 'male'].forEach((gender) => {
+            if (entry[gender] && !voiceConfigs[entry[gender]]) {
+                throw new Error(`languageVoices.${language}.${gender} uses unknown voice "${entry[gender]}"`);
+            }
+        });
+    });
+
+    return {
+        languageVoices,
+
+        /** Voice settings by id, or null */
+        get(id) {
+            return (id && voiceConfigs[id]) || null;
+        },
+
+        /** Public description of every voice */
+        list() {
+            return Object.entries(voiceConfigs).map(([id, voice]) => ({
+                id,
+                speaker: voice.speaker,
+                model: voice.model,
+                gender: voice.gender,
+                language: voice.language,
+                description: voice.description
+            }));
+        },
+
+        /**
+         * Voice for one reply
+         * @param {object} params
+         * @param {string} [params.voiceId] - Voice chosen for the session, if any
+         * @param {object} params.persona - Persona speaking
+         * @param {string} params.language - Two-letter reply language
+         * @returns {object} Voice settings for the TTS provider
+         */
+        select({ voiceId, persona, language }) {
+            if (voiceId && voiceConfigs[voiceId]) {
+                return voiceConfigs[voiceId];
+            }
+
+            const entry = languageVoices[language];
+            const matchedId = entry && (entry[persona.voice.gender] || entry.female || entry.male);
+            if (!matchedId) {
+                return persona.voice;
+            }
+
+            const voice = { ...voiceConfigs[matchedId] };
+            TUNABLE_SETTINGS.forEach((setting) => {
+                if (entry[setting] !== undefined) voice[setting] = entry[setting];
+            });
+            return voice;
+        }
+    };
+}
+
+module.exports = {
+    createVoiceCatalog,
+};
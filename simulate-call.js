@@ -0,0 +1,522 @@
+// ============================================
+// Call Simulator
+// ============================================
+// Plays the part of Twilio against a running server: answers a call on
+// /twilio-voice, follows the returned TwiML (<Say>, <Play>, <Gather>,
+// <Redirect>, <Pause>, <Hangup>, counselor transfers), feeds scripted or typed caller speech to
+// the <Gather> action as SpeechResult, and finally posts /call-status, so a
+// prompt change can be tried without a phone or ngrok.
+//
+// Usage:
+//   node simulate-call.js                                  type each caller turn
+//   node simulate-call.js --say "Hi" --say "Tell me more"  scripted turns
+//   node simulate-call.js --script turns.txt               one turn per line
+//   node simulate-call.js --offline --script turns.txt     start a mock-provider server first
+//
+// Options:
+//   --url <base>          Server to call (default http://localhost:$PORT or 3000)
+//   --offline             Start server.js with PROVIDERS=mock on a spare port and stop it afterwards
+//   --say <text>          A caller turn; repeat for more. "(silence)" means the caller says nothing,
+//                         "(press 2)" presses a key instead of speaking
+//   --script <file>       Caller turns, one per line; blank lines and # comments are skipped
+//   --persona <id>        Persona to answer as (as if placed through /make-call)
+//   --from / --to <num>   Caller and called numbers (default +919800000001 / TWILIO_PHONE_NUMBER)
+//   --outbound            Simulate a call the server placed (Direction=outbound-api)
+//   --answered-by <value> AnsweredBy from machine detection on an outbound call
+//                         (human, machine_end_beep, fax, ...)
+//   --confidence <0-1>    Speech confidence reported with each turn (default 0.92)
+//   --counselor <answer|no-answer>  Whether a counselor picks up a transfer (default answer)
+//   --max-turns <n>       Stop after this many caller turns (default 20)
+//   --public-url <base>   URL the server believes it is reached at, for signing (default PUBLIC_URL)
+//
+// Turns are read from --say/--script when given, otherwise typed at the
+// prompt (Ctrl+D hangs up). Every <Play> URL is fetched to check it exists.
+// With ADMIN_API_KEY set (always, with --offline) the words behind each
+// <Play> are looked up in the server's live transcript.
+//
+// Requests are signed with X-Twilio-Signature when TWILIO_AUTH_TOKEN is set,
+// exactly as Twilio signs them. --offline without a token starts the server
+// with TWILIO_SIGNATURE_VALIDATION=off instead.
+
+require('dotenv').config();
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const twilio = require('twilio');
+
+// ============================================
+// Arguments
+// ============================================
+
+function parseArgs(argv) {
+    const options = {
+        url: null,
+        offline: false,
+        turns: null,
+        persona: null,
+        from: '+919800000001',
+        to: process.env.TWILIO_PHONE_NUMBER || '+15005550006',
+        outbound: false,
+        answeredBy: null,
+        confidence: 0.92,
+        counselor: 'answer',
+        maxTurns: 20,
+        adminKey: process.env.ADMIN_API_KEY || null,
+        authToken: process.env.TWILIO_AUTH_TOKEN || null,
+        publicUrl: process.env.PUBLIC_URL || null,
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--url': options.url = next().replace(/\/$/, ''); break;
+            case '--offline': options.offline = true; break;
+            case '--say': (options.turns = options.turns || []).push(next()); break;
+            case '--script': {
+                const lines = fs.readFileSync(next(), 'utf8').split(/\r?\n/)
+                    .map((line) => line.trim())
+                    .filter((line) => line && !line.startsWith('#'));
+                options.turns = (options.turns || []).concat(lines);
+                break;
+            }
+            case '--persona': options.persona = next(); break;
+            case '--from': options.from = next(); break;
+            case '--to': options.to = next(); break;
+            case '--outbound': options.outbound = true; break;
+            case '--answered-by': options.answeredBy = next(); break;
+            case '--confidence': options.confidence = Number(next()); break;
+            case '--max-turns': options.maxTurns = Number(next()); break;
+            case '--counselor': options.counselor = next(); break;
+            case '--public-url': options.publicUrl = next().replace(/\/$/, ''); break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option ${arg} (see --help)`);
+        }
+    }
+    return options;
+}
+
+// ============================================
+// TwiML Parsing
+// ============================================
+// Enough XML for TwiML: elements, attributes, text and the five predefined
+// entities. No DTDs, CDATA or namespaces.
+
+function decodeEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * @param {string} xml - TwiML document
+ * @returns {{name: string, attributes: object, children: Array, text: string}} The <Response> element
+ */
+function parseTwiml(xml) {
+    const root = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+    const tokens = /<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<\/([\w:-]+)\s*>|<([\w:-]+)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    let match;
+
+    while ((match = tokens.exec(xml)) !== null) {
+        const [, closeName, openName, attributeText, selfClosing, text] = match;
+        const current = stack[stack.length - 1];
+
+        if (openName) {
+            const attributes = {};
+            (attributeText.match(/[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*')/g) || []).forEach((pair) => {
+                const [, key, value] = pair.match(/([\w:-]+)\s*=\s*["']([\s\S]*)["']$/);
+                attributes[key] = decodeEntities(value);
+            });
+            const element = { name: openName, attributes, children: [], text: '' };
+            current.children.push(element);
+            if (!selfClosing) stack.push(element);
+        } else if (closeName) {
+            if (current.name !== closeName) {
+                throw new Error(`Malformed TwiML: </${closeName}> closes <${current.name}>`);
+            }
+            stack.pop();
+        } else if (text) {
+            current.text += decodeEntities(text);
+        }
+    }
+
+    const response = root.children.find((element) => element.name === 'Response');
+    if (!response) {
+        throw new Error('TwiML has no <Response> element');
+    }
+    return response;
+}
+
+// ============================================
+// Simulated Call
+// ============================================
+
+function randomSid(prefix) {
+    return prefix + crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Source of caller turns: the script, or the terminal
+ * @returns {{echo: boolean, next: function(string): Promise<string|null>, close: function(): void}}
+ *          next resolves null when the caller has nothing more to say; echo
+ *          says whether turns need printing
+ */
+function createCaller(turns) {
+    if (turns) {
+        const queue = [...turns];
+        return {
+            echo: true,
+            async next() {
+                return queue.length ? queue.shift() : null;
+            },
+            close() {}
+        };
+    }
+
+    // Lines typed (or piped) while the server is still answering are queued
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const typed = [];
+    const waiting = [];
+    let closed = false;
+    rl.on('line', (line) => {
+        const resolve = waiting.shift();
+        if (resolve) resolve(line.trim());
+        else typed.push(line.trim());
+    });
+    rl.on('close', () => {
+        closed = true;
+        waiting.splice(0).forEach((resolve) => resolve(null));
+    });
+
+    return {
+        // Typed turns are already on screen; piped ones are not
+        echo: !process.stdin.isTTY,
+        next(prompt) {
+            if (typed.length) return Promise.resolve(typed.shift());
+            if (closed) return Promise.resolve(null);
+            rl.setPrompt(prompt);
+            rl.prompt();
+            return new Promise((resolve) => waiting.push(resolve));
+        },
+        close() {
+            rl.close();
+        }
+    };
+}
+
+const SILENCE = /^\(?silence\)?$/i;
+// "(press 2)" answers a <Gather> with the keypad
+const KEYPRESS = /^\(?press ([0-9*#])\)?$/i;
+
+/**
+ * Run one call to completion
+ * @param {object} options - Parsed command-line options
+ * @returns {Promise<Array<{speaker: string, text: string}>>} The dialogue
+ */
+async function simulateCall(options) {
+    const baseUrl = options.url;
+    const callSid = randomSid('CA');
+    const startedAt = Date.now();
+    const caller = createCaller(options.turns);
+    const dialogue = [];
+    let turnsTaken = 0;
+
+    const commonParams = {
+        CallSid: callSid,
+        AccountSid: process.env.TWILIO_ACCOUNT_SID || randomSid('AC'),
+        From: options.outbound ? options.to : options.from,
+        To: options.outbound ? options.from : options.to,
+        Direction: options.outbound ? 'outbound-api' : 'inbound',
+        CallStatus: 'in-progress',
+        ...(options.outbound && options.answeredBy && { AnsweredBy: options.answeredBy }),
+    };
+
+    const post = async (url, params) => {
+        const target = new URL(url, baseUrl).toString();
+        const body = { ...commonParams, ...params };
+        const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+        if (options.authToken) {
+            // Signed against the URL the server checks, which may differ from where we send it
+            const signedUrl = new URL(url, options.publicUrl || baseUrl).toString();
+            headers['X-Twilio-Signature'] = twilio.getExpectedTwilioSignature(options.authToken, signedUrl, body);
+        }
+
+        const response = await axios.post(target, new URLSearchParams(body).toString(), {
+            headers,
+            responseType: 'text',
+            validateStatus: () => true,
+        });
+        if (response.status >= 400) {
+            throw new Error(`POST ${target} returned ${response.status}: ${String(response.data).slice(0, 200)}`);
+        }
+        return response.data;
+    };
+
+    const say = (text) => {
+        dialogue.push({ speaker: 'assistant', text });
+        console.log(`🤖 Assistant: ${text}`);
+    };
+
+    // Synthesized replies only carry a URL; the transcript has the words
+    const spokenText = async (audioUrl) => {
+        if (!options.adminKey) return null;
+        try {
+            const response = await axios.get(`${baseUrl}/conversations/${callSid}`, {
+                headers: { 'X-Admin-Key': options.adminKey },
+            });
+            const turn = response.data.turns.find((t) => t.role === 'assistant' &&
+                (t.audioUrl === audioUrl || (t.audioUrls || []).includes(audioUrl)));
+            return turn ? turn.content : null;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    const play = async (url) => {
+        try {
+            const response = await axios.get(new URL(url, baseUrl).toString(), { responseType: 'arraybuffer' });
+            console.log(`   🔊 ${url} (${response.data.byteLength} bytes)`);
+        } catch (error) {
+            console.log(`   ⚠️  Could not fetch ${url}: ${error.message}`);
+        }
+    };
+
+    // Speak <Say>/<Play> children, e.g. of a <Gather>
+    const speakContents = async (element) => {
+        for (const child of element.children) {
+            if (child.name === 'Say') say(child.text.trim());
+            if (child.name === 'Play') {
+                say((await spokenText(child.text.trim())) || '[synthesized audio]');
+                await play(child.text.trim());
+            }
+        }
+    };
+
+    /**
+     * Execute a TwiML document
+     * @returns {Promise<string|null>} The next document to execute, or null when the call ends
+     */
+    const execute = async (twiml) => {
+        const response = parseTwiml(twiml);
+
+        for (const verb of response.children) {
+            switch (verb.name) {
+                case 'Say':
+                    say(verb.text.trim());
+                    break;
+
+                case 'Play':
+                    say((await spokenText(verb.text.trim())) || '[synthesized audio]');
+                    await play(verb.text.trim());
+                    break;
+
+                case 'Pause':
+                    break;
+
+                case 'Gather': {
+                    await speakContents(verb);
+                    if (turnsTaken >= options.maxTurns) {
+                        console.log(`\n(Stopping after ${options.maxTurns} caller turns)`);
+                        return null;
+                    }
+
+                    const speech = await caller.next('🧑 Caller: ');
+                    if (speech === null) return null;
+                    turnsTaken++;
+
+                    if (!speech || SILENCE.test(speech)) {
+                        // No input: Twilio carries on with the verbs after <Gather>,
+                        // unless the action wants to hear about it
+                        dialogue.push({ speaker: 'caller', text: '(silence)' });
+                        if (caller.echo) console.log('🧑 Caller: (silence)');
+                        if (verb.attributes.actionOnEmptyResult === 'true') {
+                            return post(verb.attributes.action || '', {});
+                        }
+                        break;
+                    }
+
+                    dialogue.push({ speaker: 'caller', text: speech });
+                    if (caller.echo) console.log(`🧑 Caller: ${speech}`);
+
+                    const keypress = speech.match(KEYPRESS);
+                    if (keypress) {
+                        return post(verb.attributes.action || '', { Digits: keypress[1] });
+                    }
+                    return post(verb.attributes.action || '', {
+                        SpeechResult: speech,
+                        Confidence: String(options.confidence),
+                    });
+                }
+
+                case 'Redirect':
+                    return post(verb.text.trim(), {});
+
+                case 'Hangup':
+                    console.log('📴 Assistant hung up');
+                    return null;
+
+                case 'Dial':
+                case 'Enqueue': {
+                    const target = verb.name === 'Enqueue'
+                        ? `queue "${verb.text.trim()}"`
+                        : verb.text.trim() || verb.children.map((c) => c.text.trim()).join(', ');
+                    console.log(`☎️  Transferring to ${target}`);
+                    const answered = options.counselor === 'answer';
+
+                    // The counselor who picks up hears the <Number url> whisper first
+                    const whisperUrl = verb.children.find((child) => child.name === 'Number' && child.attributes.url)?.attributes.url;
+                    if (answered && whisperUrl) {
+                        const whisper = parseTwiml(await post(whisperUrl, { CallSid: randomSid('CA'), ParentCallSid: callSid }));
+                        whisper.children
+                            .filter((child) => child.name === 'Say')
+                            .forEach((child) => console.log(`   👂 Counselor hears: ${child.text.trim()}`));
+                    }
+                    console.log(answered ? '🧑‍💼 A counselor took the call' : '   (no counselor answered)');
+
+                    if (!verb.attributes.action) return null;
+                    return post(verb.attributes.action, verb.name === 'Dial'
+                        ? { DialCallStatus: answered ? 'completed' : 'no-answer' }
+                        : { QueueResult: answered ? 'bridged' : 'leave' });
+                }
+
+                case 'Connect':
+                    console.log('⚠️  <Connect><Stream> (stream mode) cannot be simulated - use gather mode');
+                    return null;
+
+                default:
+                    console.log(`⚠️  Ignoring unsupported verb <${verb.name}>`);
+            }
+        }
+
+        // Running off the end of the document ends the call
+        console.log('📴 Call ended (no more TwiML)');
+        return null;
+    };
+
+    console.log(`📞 ${commonParams.Direction} call ${callSid} (${commonParams.From} -> ${commonParams.To}) on ${baseUrl}\n`);
+
+    try {
+        const query = new URLSearchParams({ mode: 'gather' });
+        if (options.persona) query.set('persona', options.persona);
+
+        let twiml = await post(`/twilio-voice?${query}`, {});
+        while (twiml) {
+            twiml = await execute(twiml);
+        }
+    } finally {
+        caller.close();
+        await post('/call-status', {
+            CallStatus: 'completed',
+            CallDuration: String(Math.round((Date.now() - startedAt) / 1000)),
+        }).catch((error) => console.log(`⚠️  /call-status failed: ${error.message}`));
+    }
+
+    return { callSid, dialogue };
+}
+
+// ============================================
+// Offline Server
+// ============================================
+
+/**
+ * Start server.js with mock providers on a spare port and wait until it answers
+ * @param {string} adminKey - Lets the simulator read the live transcript
+ * @param {boolean} signed - Whether our requests will carry Twilio signatures
+ * @returns {Promise<{url: string, stop: function(): void}>}
+ */
+async function startOfflineServer(adminKey, signed) {
+    const port = 30000 + Math.floor(Math.random() * 20000);
+    const url = `http://localhost:${port}`;
+    // Keep simulated leads and transcripts out of the real data directory
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'call-simulator-'));
+    const child = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+        env: {
+            ...process.env,
+            PROVIDERS: 'mock',
+            PORT: String(port),
+            PUBLIC_URL: url,
+            ADMIN_API_KEY: adminKey,
+            DATA_DIR: dataDir,
+            SESSION_BACKEND: 'memory',
+            CONFIG_WATCH: 'off',
+            ...(signed ? {} : { TWILIO_SIGNATURE_VALIDATION: 'off' }),
+        },
+        stdio: ['ignore', 'ignore', 'inherit'],
+    });
+
+    const stop = () => {
+        if (child.exitCode === null) child.kill('SIGTERM');
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    };
+
+    for (let attempt = 0; attempt < 50; attempt++) {
+        if (child.exitCode !== null) {
+            throw new Error(`Offline server exited with code ${child.exitCode}`);
+        }
+        try {
+            await axios.get(`${url}/health`, { timeout: 1000 });
+            return { url, stop };
+        } catch (error) {
+            await new Promise((resolve) => setTimeout(resolve, 200));
+        }
+    }
+    stop();
+    throw new Error('Offline server did not start within 10 seconds');
+}
+
+// ============================================
+// Main
+// ============================================
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        const header = fs.readFileSync(__filename, 'utf8').split('\n').filter((line) => line.startsWith('//'));
+        console.log(header.slice(3).map((line) => line.replace(/^\/\/ ?/, '')).join('\n'));
+        return;
+    }
+
+    let server = null;
+    if (options.offline) {
+        options.adminKey = options.adminKey || crypto.randomBytes(16).toString('hex');
+        server = await startOfflineServer(options.adminKey, !!options.authToken);
+        options.url = server.url;
+        options.publicUrl = server.url;
+    }
+    options.url = options.url || `http://localhost:${process.env.PORT || 3000}`;
+
+    try {
+        const { callSid, dialogue } = await simulateCall(options);
+
+        console.log('\n' + '='.repeat(50));
+        console.log(`📝 Dialogue (${callSid}):\n`);
+        dialogue.forEach(({ speaker, text }) => {
+            console.log(`  ${speaker === 'caller' ? 'Caller   ' : 'Assistant'}  ${text}`);
+        });
+        console.log('='.repeat(50));
+    } finally {
+        if (server) server.stop();
+    }
+}
+
+main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -29,14 +29,35 @@ checks['✅ Dependencies'] = allDepsOk ? 'All installed' : 'Some missing';
 
 console.log('\n📋 Environment Variables:\n');
 
+// OpenAI is only needed when it provides the LLM or speech-to-text
+const { providerConfig } = require('./config/data');
+const needsOpenAI = providerConfig.llm === 'openai' || providerConfig.stt === 'openai';
+
 const envVars = [
-    { name: 'OPENAI_API_KEY', required: true },
+    { name: 'OPENAI_API_KEY', required: needsOpenAI },
     { name: 'TWILIO_ACCOUNT_SID', required: false },
     { name: 'TWILIO_AUTH_TOKEN', required: false },
     { name: 'TWILIO_PHONE_NUMBER', required: false },
+    { name: 'TWILIO_SIGNATURE_VALIDATION', required: false },
     { name: 'SARVAM_API_KEY', required: false },
     { name: 'GOOGLE_TRANSLATE_API_KEY', required: false },
     { name: 'PUBLIC_URL', required: false },
+    { name: 'ADMIN_API_KEY', required: false },
+    { name: 'CALL_API_KEYS', required: false },
+    { name: 'CALL_ALLOWED_COUNTRY_CODES', required: false },
+    { name: 'COUNSELOR_PHONE_NUMBERS', required: false },
+    { name: 'COUNSELOR_QUEUE', required: false },
+    { name: 'MACHINE_DETECTION', required: false },
+    { name: 'INBOUND_IVR', required: false },
+    { name: 'GUARDRAILS', required: false },
+    { name: 'SESSION_BACKEND', required: false },
+    { name: 'REDIS_URL', required: false },
+    { name: 'PROVIDERS', required: false },
+    { name: 'LLM_PROVIDER', required: false },
+    { name: 'STT_PROVIDER', required: false },
+    { name: 'TTS_PROVIDER', required: false },
+    { name: 'TRANSLATE_PROVIDER', required: false },
+    { name: 'LOCAL_LLM_BASE_URL', required: false },
     { name: 'PORT', required: false }
 ];
 
@@ -54,6 +75,16 @@ envVars.forEach(({ name, required }) => {
     console.log(`  ${status.padEnd(20)} ${name}`);
 });
 
+console.log('\n⚙️  Configuration (config/data.js):\n');
+
+const { validateConfig } = require('./services/configSchema');
+const configErrors = validateConfig(require('./config/data'));
+if (configErrors.length === 0) {
+    console.log('  ✓ Valid');
+} else {
+    configErrors.forEach((error) => console.log(`  ✗ ${error}`));
+}
+
 console.log('\n📁 Directory Structure:\n');
 
 const fs = require('fs');
@@ -64,7 +95,8 @@ const dirs = [
     { path: 'public', file: null },
     { path: 'public/audio', file: null },
     { path: 'temp', file: null },
-    { path: 'logs', file: null }
+    { path: 'logs', file: null },
+    { path: 'data', file: null }
 ];
 
 dirs.forEach(({ path: dirPath, file }) => {
@@ -87,11 +119,17 @@ if (allDepsOk) {
     console.log('❌ Some dependencies missing - run: npm install');
 }
 
+if (configErrors.length === 0) {
+    console.log('✅ Configuration is valid');
+} else {
+    console.log('❌ Configuration has errors - fix the keys listed above in config/data.js');
+}
+
 if (hasRequiredVars) {
     console.log('✅ Required environment variables set');
 } else {
     console.log('❌ Missing required variables - check .env file');
-    console.log('   OPENAI_API_KEY is required!');
+    console.log('   OPENAI_API_KEY is required (or set PROVIDERS=mock to run offline)');
 }
 
 console.log('\n💡 Next Steps:');
@@ -103,7 +141,7 @@ if (!hasRequiredVars) {
 console.log('4. Run: npm start');
 console.log('5. Open: http://localhost:3000\n');
 
-if (allDepsOk && hasRequiredVars) {
+if (allDepsOk && hasRequiredVars && configErrors.length === 0) {
     console.log('🎉 System is ready to start!\n');
     console.log('Run: npm start\n');
 } else {
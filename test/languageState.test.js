@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLanguageTracker } = require('../services/languageState');
+const { languageConfig } = require('../config/data');
+
+const tracker = createLanguageTracker(languageConfig);
+
+test('takes a request at the start of an utterance', () => {
+    assert.deepEqual(tracker.requestedLanguage('speak in Hindi'), { language: 'hi', mixed: false });
+    assert.deepEqual(tracker.requestedLanguage('Can you please reply in English?'), { language: 'en', mixed: false });
+    assert.deepEqual(tracker.requestedLanguage('aap Hindi mein baat kijiye'), { language: 'hi', mixed: false });
+    assert.deepEqual(tracker.requestedLanguage('Marathit bola'), { language: 'mr', mixed: false });
+    assert.deepEqual(tracker.requestedLanguage('Hinglish please'), { language: 'hi', mixed: true });
+});
+
+test('ignores negated requests', () => {
+    assert.equal(tracker.requestedLanguage("I don't speak Hindi"), null);
+    assert.equal(tracker.requestedLanguage("Please don't speak in English"), null);
+    assert.equal(tracker.requestedLanguage('Hindi mein baat mat karo'), null);
+    assert.equal(tracker.requestedLanguage('इंग्रजीत बोलू नका'), null);
+});
+
+test('ignores languages reported mid-sentence', () => {
+    assert.equal(tracker.requestedLanguage('my friend said reply in hindi is bad'), null);
+    assert.equal(tracker.requestedLanguage('what is the fee for the hindi course'), null);
+});
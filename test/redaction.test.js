@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRedactor } = require('../services/redaction');
+
+const config = {
+    destinations: { transcripts: ['phone', 'email', 'name', 'governmentId'] },
+    phoneDigitsShown: 0,
+    keptNames: ['Skillora'],
+};
+const redactor = createRedactor(config, { keptNames: ['Skylar'] });
+
+test('leaves the assistant greeting alone', () => {
+    const messages = [
+        { role: 'assistant', content: 'Hello! I am Skylar from Skillora Design Academy. How can I help you today?' },
+        { role: 'assistant', content: 'This is Skillora Design Academy, and I am here to help.' },
+    ];
+    assert.deepEqual(redactor.redact(messages, 'transcripts'), messages);
+});
+
+test('masks names callers introduce themselves with', () => {
+    const [turn] = redactor.redact([{ role: 'user', content: 'Hi, I am Priya Sharma and this is Rahul' }], 'transcripts');
+    assert.equal(turn.content, 'Hi, I am [name] and this is [name]');
+});
+
+test('still masks known names in assistant turns', () => {
+    const [turn] = redactor.redact(
+        [{ role: 'assistant', content: 'Thanks Priya, I am Skylar and I will note that down.' }],
+        'transcripts',
+        { names: ['Priya Sharma'] }
+    );
+    assert.equal(turn.content, 'Thanks [name], I am Skylar and I will note that down.');
+});
+
+test('does not take persona or brand names for a caller in log text', () => {
+    assert.equal(
+        redactor.redact('GPT says: "I am Skylar. This is Skillora." Caller said: "I\'m Amit"', 'transcripts'),
+        'GPT says: "I am Skylar. This is Skillora." Caller said: "I\'m [name]"'
+    );
+});
+
+test('stops at circular references', () => {
+    const error = { message: 'failed', to: '+919876543210' };
+    error.request = { error };
+    const copy = redactor.redact(error, 'transcripts');
+    assert.equal(copy.to, '[phone]');
+    assert.equal(copy.request.error, '[Circular]');
+});